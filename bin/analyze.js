@@ -0,0 +1,316 @@
+#!/usr/bin/env -S gjs -m
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Nowa Panel - Command-line wallpaper analyzer
+//
+// Runs WallpaperAnalyzer outside GNOME Shell on one or more images.
+
+import GLib from 'gi://GLib'
+import GdkPixbuf from 'gi://GdkPixbuf'
+import System from 'system'
+
+import { Logger } from '../src/services/Logger.js'
+import { WallpaperAnalyzer } from '../src/services/WallpaperAnalyzer.js'
+import { WallpaperGeometry } from '../src/services/WallpaperGeometry.js'
+
+const USAGE = `Usage: analyze.js [OPTIONS] IMAGE...
+
+Options:
+  -t, --threshold N         Luminance threshold, 0.0-1.0 (default 0.575)
+  -H, --height N            Panel height in pixels (default 32)
+  -s, --strategy NAME       threshold or contrast (default threshold)
+  -c, --min-contrast N      Contrast ratio for the contrast strategy (default 4.5)
+  -m, --monitor WxH[@S]     Crop as shown on a monitor, e.g. 2560x1440@2
+  -o, --picture-options OPT How the image is drawn with --monitor (default zoom)
+  -j, --json                Print JSON instead of a report
+  -p, --preview DIR         Write a PNG of each sampled strip with the style overlaid
+  -v, --verbose             Show analyzer debug output
+  -h, --help                Show this help
+
+Examples:
+  analyze.js ~/Pictures/wallpaper.jpg
+  analyze.js -s contrast -m 1920x1080 --json /usr/share/backgrounds/*.jpg`
+
+// Panel backing and text per style, from stylesheet.css
+const STYLE_APPEARANCE = {
+  'dark': { backing: null, text: [255, 255, 255, 1] },
+  'light': { backing: null, text: [0, 0, 0, 0.65] },
+  'translucent-dark': { backing: [0, 0, 0, 0.25], text: [255, 255, 255, 1] },
+  'translucent-light': { backing: [255, 255, 255, 0.20], text: [0, 0, 0, 0.65] },
+  'maximized': { backing: [0, 0, 0, 1], text: [255, 255, 255, 1] }
+}
+
+// Preview strips are scaled to this width
+const PREVIEW_WIDTH = 1280
+
+function parseArgs (args) {
+  const options = {
+    threshold: 0.575,
+    height: 32,
+    strategy: 'threshold',
+    minContrast: 4.5,
+    monitor: null,
+    pictureOptions: 'zoom',
+    json: false,
+    preview: null,
+    verbose: false,
+    help: false,
+    files: []
+  }
+
+  const number = (name, value) => {
+    const parsed = Number(value)
+    if (value === undefined || !Number.isFinite(parsed)) {
+      throw new Error(`${name} needs a number`)
+    }
+    return parsed
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+
+    switch (arg) {
+      case '-t':
+      case '--threshold':
+        options.threshold = number(arg, args[++i])
+        break
+      case '-H':
+      case '--height':
+        options.height = Math.max(1, Math.round(number(arg, args[++i])))
+        break
+      case '-s':
+      case '--strategy':
+        options.strategy = args[++i]
+        if (!['threshold', 'contrast'].includes(options.strategy)) {
+          throw new Error(`Unknown strategy '${options.strategy}'`)
+        }
+        break
+      case '-c':
+      case '--min-contrast':
+        options.minContrast = number(arg, args[++i])
+        break
+      case '-m':
+      case '--monitor':
+        options.monitor = parseMonitor(args[++i])
+        break
+      case '-o':
+      case '--picture-options':
+        options.pictureOptions = args[++i]
+        if (!WallpaperGeometry.PICTURE_OPTIONS.includes(options.pictureOptions)) {
+          throw new Error(`Unknown picture option '${options.pictureOptions}'`)
+        }
+        break
+      case '-j':
+      case '--json':
+        options.json = true
+        break
+      case '-p':
+      case '--preview':
+        options.preview = args[++i]
+        if (!options.preview) {
+          throw new Error(`${arg} needs a directory`)
+        }
+        break
+      case '-v':
+      case '--verbose':
+        options.verbose = true
+        break
+      case '-h':
+      case '--help':
+        options.help = true
+        break
+      default:
+        if (arg.startsWith('-')) {
+          throw new Error(`Unknown option: ${arg}`)
+        }
+        options.files.push(arg)
+    }
+  }
+
+  return options
+}
+
+function parseMonitor (value) {
+  const match = /^(\d+)x(\d+)(?:@(\d+(?:\.\d+)?))?$/.exec(value ?? '')
+  if (!match) {
+    throw new Error(`Monitor must look like 1920x1080 or 2560x1440@2, got '${value}'`)
+  }
+
+  return { width: Number(match[1]), height: Number(match[2]), scale: Number(match[3] ?? 1) }
+}
+
+function getScreen (options) {
+  if (!options.monitor) {
+    return null
+  }
+
+  const { width, height, scale } = options.monitor
+
+  return {
+    monitorX: 0,
+    monitorY: 0,
+    monitorWidth: width,
+    monitorHeight: height,
+    scaleFactor: scale,
+    pictureOptions: options.pictureOptions,
+    spanArea: { x: 0, y: 0, width, height }
+  }
+}
+
+/**
+* Writes the sampled strip with the style's backing and mock text on top
+* @returns {string} Path of the PNG
+*/
+function writePreview (path, result, directory) {
+  const image = GdkPixbuf.Pixbuf.new_from_file(path)
+  const region = result.region
+  const x = Math.max(0, Math.min(image.get_width() - 1, Math.round(region.x)))
+  const y = Math.max(0, Math.min(image.get_height() - 1, Math.round(region.y)))
+  const width = Math.max(1, Math.min(image.get_width() - x, Math.round(region.width)))
+  const height = Math.max(1, Math.min(image.get_height() - y, Math.round(region.height)))
+
+  const scale = Math.min(1, PREVIEW_WIDTH / width)
+  const strip = image.new_subpixbuf(x, y, width, height).scale_simple(
+    Math.max(1, Math.round(width * scale)),
+    Math.max(1, Math.round(height * scale)),
+    GdkPixbuf.InterpType.BILINEAR
+  ).add_alpha(false, 0, 0, 0)
+
+  const appearance = STYLE_APPEARANCE[result.style] ?? STYLE_APPEARANCE.dark
+  const stripWidth = strip.get_width()
+  const stripHeight = strip.get_height()
+
+  if (appearance.backing) {
+    paint(strip, 0, 0, stripWidth, stripHeight, appearance.backing)
+  }
+
+  // Blocks where the activities button, clock and indicators sit
+  const blockHeight = Math.max(1, Math.round(stripHeight * 0.4))
+  const blockY = Math.round((stripHeight - blockHeight) / 2)
+  const blockWidth = Math.max(1, Math.round(stripWidth * 0.06))
+  for (const position of [0.02, 0.5 - 0.03, 0.92]) {
+    paint(strip, Math.round(stripWidth * position), blockY, blockWidth, blockHeight, appearance.text)
+  }
+
+  GLib.mkdir_with_parents(directory, 0o755)
+  const name = GLib.path_get_basename(path).replace(/\.[^.]+$/, '')
+  const output = GLib.build_filenamev([directory, `${name}-preview.png`])
+  strip.savev(output, 'png', [], [])
+
+  return output
+}
+
+function paint (pixbuf, x, y, width, height, [r, g, b, alpha]) {
+  width = Math.min(width, pixbuf.get_width() - x)
+  height = Math.min(height, pixbuf.get_height() - y)
+  if (width <= 0 || height <= 0) {
+    return
+  }
+
+  const color = GdkPixbuf.Pixbuf.new(GdkPixbuf.Colorspace.RGB, true, 8, width, height)
+  color.fill(((r << 24) | (g << 16) | (b << 8) | 0xff) >>> 0)
+  color.composite(pixbuf, x, y, width, height, x, y, 1, 1, GdkPixbuf.InterpType.NEAREST, Math.round(alpha * 255))
+}
+
+function formatReport (path, result) {
+  const lines = [path]
+
+  if (result.error) {
+    lines.push(`  Error:      ${result.error}`)
+    return lines.join('\n')
+  }
+
+  const percent = value => `${(value * 100).toFixed(0)}%`
+
+  lines.push(`  Style:      ${result.style} (${result.strategy} strategy, confidence ${result.confidence?.toFixed(3)})`)
+  lines.push(`  Luminance:  mean ${result.meanLuminance.toFixed(3)}, std ${result.luminanceStd?.toFixed(3)}`)
+
+  if (result.contrast) {
+    const ratios = Object.entries(result.contrast)
+      .map(([style, { median, worst }]) => `${style} ${median.toFixed(1)}:1 (worst ${worst.toFixed(1)}:1)`)
+    lines.push(`  Contrast:   ${ratios.join(', ')}`)
+  }
+
+  if (result.palette?.length) {
+    lines.push(`  Palette:    ${result.palette.map(color => `${color.hex} ${percent(color.weight)}`).join(', ')}`)
+  }
+
+  if (result.region) {
+    const { x, y, width, height } = result.region
+    lines.push(`  Region:     ${Math.round(x)},${Math.round(y)} ${Math.round(width)}x${Math.round(height)}, decoded at ${percent(result.decodeScale)}`)
+  }
+
+  if (result.preview) {
+    lines.push(`  Preview:    ${result.preview}`)
+  }
+
+  return lines.join('\n')
+}
+
+async function main (args) {
+  let options
+  try {
+    options = parseArgs(args)
+  } catch (e) {
+    printerr(`${e.message}\nUse -h for help`)
+    return 2
+  }
+
+  if (options.help || options.files.length === 0) {
+    print(USAGE)
+    return options.help ? 0 : 2
+  }
+
+  // The analyzer logs every decision at debug level, with its numbers at trace
+  Logger.setLevel(options.verbose ? 'trace' : 'error')
+
+  const criteria = {
+    luminanceThreshold: options.threshold,
+    strategy: options.strategy,
+    minContrastRatio: options.minContrast
+  }
+  const screen = getScreen(options)
+  const results = []
+  let failed = false
+
+  for (const path of options.files) {
+    const result = { file: path, ...await WallpaperAnalyzer.analyze(path, criteria, options.height, screen) }
+
+    if (result.error) {
+      failed = true
+    } else if (options.preview && result.region) {
+      try {
+        result.preview = writePreview(path, result, options.preview)
+      } catch (e) {
+        printerr(`${path}: Failed to write preview - ${e.message}`)
+      }
+    }
+
+    if (options.json) {
+      results.push(result)
+    } else {
+      print(`${results.length > 0 ? '\n' : ''}${formatReport(path, result)}`)
+      results.push(result)
+    }
+  }
+
+  if (options.json) {
+    print(JSON.stringify(results, null, 2))
+  }
+
+  return failed ? 1 : 0
+}
+
+const loop = new GLib.MainLoop(null, false)
+let exitCode = 0
+
+main(System.programArgs).then(code => {
+  exitCode = code
+}).catch(e => {
+  printerr(e.stack ?? e.message)
+  exitCode = 1
+}).finally(() => loop.quit())
+
+loop.run()
+System.exit(exitCode)
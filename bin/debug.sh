@@ -10,8 +10,11 @@ GREEN='\033[0;32m'
 YELLOW='\033[1;33m'
 NC='\033[0m' # No Color
 
+SCHEMA="org.gnome.shell.extensions.nowa-panel"
+
 # Parse arguments
 MODULE_FILTER=""
+LOG_LEVEL=""
 
 while [[ $# -gt 0 ]]; do
   case $1 in
@@ -19,16 +22,22 @@ while [[ $# -gt 0 ]]; do
       MODULE_FILTER="$2"
       shift 2
       ;;
+    -l|--level)
+      LOG_LEVEL="$2"
+      shift 2
+      ;;
     -h|--help)
-      echo "Usage: debug.sh [-m MODULE_NAME]"
+      echo "Usage: debug.sh [-m MODULE_NAME] [-l LEVEL]"
       echo ""
       echo "Options:"
-      echo "  -m, --module MODULE_NAME    Filter logs by module name"
+      echo "  -m, --module MODULE_NAME    Filter logs by module name (part of it is enough)"
+      echo "  -l, --level LEVEL           Set the log level: error, warn, info, debug or trace"
       echo "  -h, --help                  Show this help"
       echo ""
       echo "Examples:"
       echo "  debug.sh                        # Show all logs"
-      echo "  debug.sh -m \"Adaptive Panel\"   # Filter specific module"
+      echo "  debug.sh -m AdaptivePanel       # Filter specific module"
+      echo "  debug.sh -l debug               # Log every decision"
       exit 0
       ;;
     *)
@@ -61,9 +70,24 @@ else
   exit 1
 fi
 
+# Log level, the schema is only installed with the extension
+GSETTINGS="gsettings --schemadir $EXTENSION_DIR/schemas"
+if [ -n "$LOG_LEVEL" ]; then
+  if ! $GSETTINGS set $SCHEMA log-level "$LOG_LEVEL"; then
+    echo "✗ Unknown log level: $LOG_LEVEL"
+    exit 1
+  fi
+fi
+
+CURRENT_LEVEL=$($GSETTINGS get $SCHEMA log-level 2>/dev/null || echo "unknown")
+echo ""
+echo "- Log Level: $CURRENT_LEVEL"
+if [ "$CURRENT_LEVEL" = "'error'" ] || [ "$CURRENT_LEVEL" = "'warn'" ]; then
+  echo -e "  ${YELLOW}Only problems are logged, use -l debug for decisions${NC}"
+fi
+
 # Current wallpaper
 WALLPAPER=$(gsettings get org.gnome.desktop.background picture-uri 2>/dev/null || echo "unknown")
-echo ""
 echo "- Current Wallpaper: $WALLPAPER"
 
 # Show filter info
@@ -79,9 +103,10 @@ echo ""
 
 # Build grep pattern
 if [ -n "$MODULE_FILTER" ]; then
-  echo "Looking for 'Nowa Panel [$MODULE_FILTER]' messages..."
+  # Lines read "Nowa Panel [Module] level: message"
+  echo "Looking for 'Nowa Panel [*$MODULE_FILTER*]' messages..."
   echo ""
-  journalctl -f -o cat /usr/bin/gnome-shell 2>/dev/null | grep --line-buffered "Nowa Panel \[$MODULE_FILTER\]"
+  journalctl -f -o cat /usr/bin/gnome-shell 2>/dev/null | grep --line-buffered -i "Nowa Panel \[[^]]*$MODULE_FILTER[^]]*\]"
 else
   echo "Looking for 'Nowa Panel' messages..."
   echo ""
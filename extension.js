@@ -4,6 +4,9 @@
 import { Extension } from 'resource:///org/gnome/shell/extensions/extension.js'
 
 import { AdaptivePanel } from './src/modules/AdaptivePanel.js'
+import { ModuleRegistry } from './src/modules/ModuleRegistry.js'
+import { PanelDBus } from './src/modules/PanelDBus.js'
+import { StyleEngine } from './src/modules/StyleEngine.js'
 import { Logger } from './src/services/Logger.js'
 
 /**
@@ -13,31 +16,62 @@ import { Logger } from './src/services/Logger.js'
  * - Wallpaper luminance (dark/light detection)
  * - Window state (maximized mode)
  * - Color scheme changes
+ *
+ * Runs in the unlock-dialog session mode too, so the panel over the lock
+ * screen is styled for the lock screen background instead of the desktop.
+ *
+ * Each module runs on its own switch in the module registry, so one that
+ * fails to start leaves the others running.
  */
 export default class NowaPanelExtension extends Extension {
-  #adaptivePanel = null
+  #registry = null
+  #settings = null
+  #logLevelConnection = null
 
   enable () {
-    Logger.log('Nowa Panel extension enabling...')
-
     const settings = this.getSettings('org.gnome.shell.extensions.nowa-panel')
+    this.#settings = settings
+
+    // Log level first, so enabling is logged at the configured level
+    Logger.setLevel(settings.get_string('log-level'))
+    this.#logLevelConnection = settings.connect('changed::log-level', () => {
+      Logger.setLevel(settings.get_string('log-level'))
+    })
+
+    Logger.info('Extension', 'Enabling...')
+
+    this.#registry = new ModuleRegistry(settings)
+
+    // Load the panel state styles
+    this.#registry.register(StyleEngine, () => new StyleEngine(settings))
 
     // Initialize Adaptive Panel
-    this.#adaptivePanel = new AdaptivePanel(settings)
-    this.#adaptivePanel.enable()
+    this.#registry.register(AdaptivePanel, () => new AdaptivePanel(settings))
+
+    // Export org.nowaos.Panel
+    this.#registry.register(PanelDBus, modules => new PanelDBus(modules.AdaptivePanel, settings), ['AdaptivePanel'])
+
+    this.#registry.enable()
 
-    Logger.log('Nowa Panel extension enabled')
+    Logger.info('Extension', 'Enabled')
   }
 
+  // Also called when the session leaves the user and unlock-dialog modes
   disable () {
-    Logger.log('Nowa Panel extension disabling...')
+    Logger.info('Extension', 'Disabling...')
+
+    // Disable modules, in reverse order
+    if (this.#registry) {
+      this.#registry.disable()
+      this.#registry = null
+    }
 
-    // Disable modules
-    if (this.#adaptivePanel) {
-      this.#adaptivePanel.disable()
-      this.#adaptivePanel = null
+    if (this.#logLevelConnection) {
+      this.#settings.disconnect(this.#logLevelConnection)
+      this.#logLevelConnection = null
     }
+    this.#settings = null
 
-    Logger.log('Nowa Panel extension disabled')
+    Logger.info('Extension', 'Disabled')
   }
 }
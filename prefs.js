@@ -4,12 +4,18 @@
 import {ExtensionPreferences} from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 
 import { PanelPrefs } from './src/prefs/PanelPrefs.js';
+import { PrefsScope } from './src/prefs/PrefsScope.js';
 
 export default class NowaPanelPreferences extends ExtensionPreferences {
   fillPreferencesWindow(window) {
     const settings = this.getSettings('org.gnome.shell.extensions.nowa-panel');
-    
+    // Handlers on settings are released when the window closes
+    const scope = new PrefsScope(window);
+
     // Add Panel preferences page
-    window.add(PanelPrefs.buildPage(settings));
+    window.add(PanelPrefs.buildPage(settings, scope));
+
+    // Add panel style definitions page
+    window.add(PanelPrefs.buildStylesPage(settings, scope));
   }
 }
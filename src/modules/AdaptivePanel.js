@@ -3,38 +3,96 @@
 
 import GLib from 'gi://GLib'
 import Gio from 'gi://Gio'
+import Mtk from 'gi://Mtk'
+import Shell from 'gi://Shell'
 import St from 'gi://St'
-import Clutter from 'gi://Clutter'
-import Meta from 'gi://Meta'
 import * as Main from 'resource:///org/gnome/shell/ui/main.js'
 
 import { _BaseModule } from './_BaseModule.js'
 import { Logger } from '../services/Logger.js'
 import { WallpaperAnalyzer } from '../services/WallpaperAnalyzer.js'
+import { SlideshowParser } from '../services/SlideshowParser.js'
+import { AnalysisCache } from '../services/AnalysisCache.js'
+import { PanelTint } from '../services/PanelTint.js'
+import { PanelStyles } from '../services/PanelStyles.js'
+import { StyleStabilizer } from '../services/StyleStabilizer.js'
+import { HeaderBarColor } from '../services/HeaderBarColor.js'
+import { AppRules } from '../services/AppRules.js'
+import { WallpaperPins } from '../services/WallpaperPins.js'
+import { WindowStateTracker } from './WindowStateTracker.js'
+import { PanelAnimator } from './PanelAnimator.js'
+
+Gio._promisify(Gio.File.prototype, 'load_contents_async')
+Gio._promisify(Shell.Screenshot, 'composite_to_stream')
 
 const BACKGROUND_SCHEMA = 'org.gnome.desktop.background'
 const BACKGROUND_KEY = 'picture-uri'
 const BACKGROUND_KEY_DARK = 'picture-uri-dark'
+const BACKGROUND_OPTIONS_KEY = 'picture-options'
+const BACKGROUND_PRIMARY_COLOR_KEY = 'primary-color'
+const BACKGROUND_SECONDARY_COLOR_KEY = 'secondary-color'
+const BACKGROUND_SHADING_KEY = 'color-shading-type'
 const INTERFACE_SCHEMA = 'org.gnome.desktop.interface'
+// How the unlock dialog blurs and dims its background (GNOME 48 unlockDialog.js)
+const LOCK_SCREEN_BLUR = { radius: 90, brightness: 0.65 }
+const PANEL_ZONES = ['left', 'center', 'right']
+const ZONE_STYLES = ['dark', 'light', 'translucent-dark', 'translucent-light']
+// Header bar rows sampled below the panel, and the wait for window animations (ms)
+const HEADER_BAR_SAMPLE_ROWS = 12
+const HEADER_BAR_SAMPLE_DELAY = 250
+// Re-analyze slideshow cross-fades in steps (seconds)
+const SLIDESHOW_TRANSITION_STEP = 300
+// Wait that merges a burst of triggers into one evaluation, and after file edits (ms)
+const RESTYLE_DELAY = 100
+const FILE_CHANGE_DELAY = 300
+// Triggers that cannot change the wallpaper analysis
+const WALLPAPER_INDEPENDENT_TRIGGERS = ['window-state', 'focus', 'forced']
+// Wallpapers whose analyses are kept for bug reports
+const RECENT_ANALYSES = 10
+// Styles that can be forced from outside (D-Bus)
+const FORCEABLE_STYLES = ['dark', 'light', 'translucent-dark', 'translucent-light', 'maximized', 'hidden']
+// Styles that blur what is behind the panel
+const BLURRED_STYLES = ['translucent-dark', 'translucent-light']
+const BLUR_EFFECT_NAME = 'nowa-panel-blur'
 
 /**
 * Adaptive Panel - adaptive panel based on wallpaper analysis and window state
 */
 export class AdaptivePanel extends _BaseModule {
+  static settingsKey = 'enable-adaptive-panel'
+
   #settings
   #backgroundSettings
   #interfaceSettings
   #panel
   #currentStyle = null
+  #currentZoneStyles = null
+  #currentTint = null
+  #panelHidden = false
+  #locked = false
+  #blurEffects = new Map()
+  #overviewShowing = false
+  #styleReason = null
+  #lastAnalysis = null
+  #recentAnalyses = []
+  #forcedStyle = null
+  #forcedStyleTimeoutId = 0
+  #listeners = new Set()
   #fileMonitor = null
-  #windowSignalIds = null
-  #actorSignalIds = null
-  #isWindowMaximized = false
-  #overviewShowingConnection = null
-  #overviewHidingConnection = null
-  #screenShieldConnection = null
-  #backgroundSignals = []
-  #settingsConnections = []
+  #fileMonitorPath = null
+  #pendingTriggers = new Set()
+  #lastTriggers = []
+  #restyleSourceId = 0
+  #restyleRun = null
+  #analysisStale = true
+  #slideshowTimeoutId = 0
+  #analysisCancellable = null
+  #analysisCache = null
+  #stabilizer = new StyleStabilizer()
+  #appRules = []
+  #pins = {}
+  #windowTracker = null
+  #animator = null
 
   constructor (settings) {
     super()
@@ -48,377 +106,1043 @@ export class AdaptivePanel extends _BaseModule {
   enable () {
     super.enable()
 
+    // Persistent analysis cache
+    this.#analysisCache = new AnalysisCache()
+    this.#analysisCache.load()
+
     // Monitor background changes
-    this.#backgroundSignals.push(
-      this.#backgroundSettings.connect(`changed::${BACKGROUND_KEY}`, () => {
-        Logger.debug(this.name, 'Background changed')
-        this.#onWallpaperChanged()
-      })
-    )
+    this.connectSignal(this.#backgroundSettings, `changed::${BACKGROUND_KEY}`, () => {
+      Logger.debug(this.name, 'Background changed')
+      this.#scheduleRestyle('background')
+    })
+
+    this.connectSignal(this.#backgroundSettings, `changed::${BACKGROUND_KEY_DARK}`, () => {
+      Logger.debug(this.name, 'Dark background changed')
+      this.#scheduleRestyle('background')
+    })
+
+    this.connectSignal(this.#backgroundSettings, `changed::${BACKGROUND_OPTIONS_KEY}`, () => {
+      Logger.debug(this.name, 'Picture options changed')
+      this.#scheduleRestyle('background')
+    })
 
-    this.#backgroundSignals.push(
-      this.#backgroundSettings.connect(`changed::${BACKGROUND_KEY_DARK}`, () => {
-        Logger.debug(this.name, 'Dark background changed')
-        this.#onWallpaperChanged()
+    // Monitor background colors (visible without an image)
+    for (const key of [BACKGROUND_PRIMARY_COLOR_KEY, BACKGROUND_SECONDARY_COLOR_KEY, BACKGROUND_SHADING_KEY]) {
+      this.connectSignal(this.#backgroundSettings, `changed::${key}`, () => {
+        Logger.debug(this.name, `Background ${key} changed`)
+        this.#scheduleRestyle('background')
       })
-    )
+    }
 
     // Monitor color scheme changes (light/dark mode)
-    this.#backgroundSignals.push(
-      this.#interfaceSettings.connect('changed::color-scheme', () => {
-        Logger.debug(this.name, 'Color scheme changed')
-        this.#onWallpaperChanged()
-      })
-    )
+    this.connectSignal(this.#interfaceSettings, 'changed::color-scheme', () => {
+      Logger.debug(this.name, 'Color scheme changed')
+      this.#scheduleRestyle('color-scheme')
+    })
 
     // Monitor panel mode changes
-    this.#settingsConnections.push(
-      this.#settings.connect('changed::panel-mode', () => {
-        Logger.debug(this.name, 'Panel mode changed')
-        this.#onWallpaperChanged()
-      })
-    )
+    this.connectSignal(this.#settings, 'changed::panel-mode', () => {
+      Logger.debug(this.name, 'Panel mode changed')
+      this.#scheduleRestyle('settings')
+    })
 
     // Monitor luminance threshold changes
-    this.#settingsConnections.push(
-      this.#settings.connect('changed::luminance-threshold', () => {
-        Logger.debug(this.name, 'Luminance threshold changed')
-        this.#onWallpaperChanged()
+    this.connectSignal(this.#settings, 'changed::luminance-threshold', () => {
+      Logger.debug(this.name, 'Luminance threshold changed')
+      // A deliberate change must not be held back by hysteresis
+      this.#stabilizer.clear()
+      this.#scheduleRestyle('settings')
+    })
+
+    // Monitor style strategy changes
+    for (const key of ['style-strategy', 'min-contrast-ratio', 'hysteresis-margin']) {
+      this.connectSignal(this.#settings, `changed::${key}`, () => {
+        Logger.debug(this.name, `Setting ${key} changed`)
+        this.#stabilizer.clear()
+        this.#scheduleRestyle('settings')
       })
-    )
+    }
 
-    // Setup file monitor
-    this.#setupFileMonitor()
+    // Monitor per-box styling changes
+    this.connectSignal(this.#settings, 'changed::per-box-styling', () => {
+      Logger.debug(this.name, 'Per-box styling changed')
+      this.#scheduleRestyle('settings')
+    })
 
+    // Monitor layout changes (resolution, scale, primary monitor)
+    this.connectSignal(Main.layoutManager, 'monitors-changed', () => {
+      Logger.debug(this.name, 'Monitors changed')
+      this.#scheduleRestyle('monitors')
+    })
+
+    // Overview and style change animations
+    this.#animator = new PanelAnimator(this.#panel, this.#settings, () => {
+      // The cross-fade duration lives in the inline style
+      this.#panel.set_style(this.#getInlineStyle(this.#currentTint))
+    })
+    this.#animator.enable()
 
     // Monitor Overview to hide/show panel with animations
-    this.#overviewShowingConnection = Main.overview.connect('showing', () => {
-      // Move panel off-screen (above viewport)
-      const panelHeight = this.#panel.height
-      this.#panel.translation_y = -panelHeight
-      this.#panel.opacity = 0
+    this.connectSignal(Main.overview, 'showing', () => {
+      if (!this.#animator.hidesInOverview) {
+        return
+      }
+
+      this.#animator.hideForOverview()
+
+      // Nothing to blur while the panel is out of sight
+      this.#overviewShowing = true
+      this.#removeBlur()
     })
 
-    this.#overviewHidingConnection = Main.overview.connect('hiding', () => {
-      this.#panel.translation_y = -6
-      this.#panel.opacity = 0
-
-      this.#panel.ease({
-        translation_y: 0,
-        opacity: 255,
-        duration: 200,
-        mode: Clutter.AnimationMode.EASE_OUT_QUAD,
-        onComplete: () => {
-          if (this.#currentStyle) {
-            const savedStyle = this.#currentStyle
-            this.#currentStyle = null
-            this.#applyStyle(savedStyle)
-          }
+    this.connectSignal(Main.overview, 'hiding', () => {
+      this.#animator.showAfterOverview(this.#panelHidden ? 0 : 255, () => {
+        this.#overviewShowing = false
+        this.#updateBlur()
+
+        if (this.#currentStyle) {
+          const savedStyle = this.#currentStyle
+          const savedZoneStyles = this.#currentZoneStyles
+          const savedTint = this.#currentTint
+          this.#currentStyle = null
+          this.#applyStyle(savedStyle, savedZoneStyles, savedTint)
         }
       })
     })
 
-    // Monitor screen lock/unlock
-    this.#screenShieldConnection = Main.screenShield.connect('active-changed', () => {
-      if (!Main.screenShield.locked) {
-        GLib.timeout_add(GLib.PRIORITY_DEFAULT, 500, () => {
-          this.#currentStyle = null
-          this.#onWallpaperChanged()
-          return GLib.SOURCE_REMOVE
-        })
+    // Lock screen: the unlock dialog shows the desktop background, so
+    // background changes while locked restyle through the usual triggers
+    this.#locked = Main.sessionMode.isLocked
+    this.connectSignal(Main.sessionMode, 'updated', () => {
+      if (this.#locked === Main.sessionMode.isLocked) {
+        return
       }
+
+      this.#locked = Main.sessionMode.isLocked
+      Logger.debug(this.name, this.#locked ? 'Screen locked' : 'Screen unlocked')
+      this.#scheduleRestyle('lock')
+    })
+
+    this.connectSignal(this.#settings, 'changed::lock-screen-style', () => {
+      Logger.debug(this.name, 'Lock screen style changed')
+      this.#scheduleRestyle('settings')
     })
 
     // Setup window tracking
-    this.#setupWindowTracking()
+    this.#windowTracker = new WindowStateTracker(() => {
+      this.#notifyListeners()
+      this.#scheduleRestyle('window-state')
+    })
+    this.#windowTracker.enable()
 
-    // Initial wallpaper check
-    GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
-      this.#onWallpaperChanged()
-      return GLib.SOURCE_REMOVE
+    // Application rules and header bar matching follow focus
+    this.connectSignal(global.display, 'notify::focus-window', () => {
+      if (this.#appRules.length > 0 ||
+        (this.#windowTracker?.state === 'maximized' && this.#settings.get_boolean('match-header-bar'))) {
+        this.#scheduleRestyle('focus')
+      }
+    })
+
+    // Application rules
+    this.#loadAppRules()
+    this.connectSignal(this.#settings, 'changed::app-rules', () => {
+      Logger.debug(this.name, 'Application rules changed')
+      this.#loadAppRules()
+      this.#scheduleRestyle('settings')
     })
 
-    // Initial maximized state check
-    GLib.timeout_add(GLib.PRIORITY_DEFAULT, 300, () => {
-      this.#updateMaximizedState()
-      return GLib.SOURCE_REMOVE
+    // Styles pinned to wallpapers
+    this.#loadPins()
+    this.connectSignal(this.#settings, 'changed::pinned-styles', () => {
+      Logger.debug(this.name, 'Pinned styles changed')
+      this.#loadPins()
+      this.#scheduleRestyle('settings')
     })
+
+    // Window state settings
+    for (const key of ['maximized-style', 'fullscreen-style', 'edge-style', 'match-header-bar']) {
+      this.connectSignal(this.#settings, `changed::${key}`, () => {
+        Logger.debug(this.name, `Setting ${key} changed`)
+        this.#scheduleRestyle('settings')
+      })
+    }
+
+    // The contrast strategy and tints judge the configured colors
+    for (const state of PanelStyles.STATES) {
+      const { background, foreground } = PanelStyles.getKeys(state)
+      for (const key of [background, foreground]) {
+        this.connectSignal(this.#settings, `changed::${key}`, () => {
+          Logger.debug(this.name, `Setting ${key} changed`)
+          this.#stabilizer.clear()
+          this.#scheduleRestyle('settings')
+        })
+      }
+    }
+
+    // Blur settings apply to the current style directly
+    for (const key of ['blur-radius', 'blur-brightness']) {
+      this.connectSignal(this.#settings, `changed::${key}`, () => {
+        Logger.debug(this.name, `Setting ${key} changed`)
+        this.#updateBlur()
+      })
+    }
+
+    // Initial wallpaper check
+    this.#scheduleRestyle('startup')
+
+    // Initial window state check, once startup windows are placed
+    this.addTimeout(300, () => this.#windowTracker?.update())
   }
 
   disable () {
     super.disable()
 
+    // Stop pending evaluations, slideshow timer and analysis
+    this.#clearRestyle()
+    this.#clearSlideshowTimeout()
+    this.#cancelAnalysis()
+
+    // Drop a style forced from outside
+    this.#clearForcedStyleTimeout()
+    this.#forcedStyle = null
+
+    // Flush analysis cache
+    if (this.#analysisCache) {
+      this.#analysisCache.destroy()
+      this.#analysisCache = null
+    }
+
     // Cancel file monitor
-    if (this.#fileMonitor) {
-      this.#fileMonitor.cancel()
-      this.#fileMonitor = null
+    this.#clearFileMonitor()
+
+    this.#locked = false
+
+    if (this.#windowTracker) {
+      this.#windowTracker.disable()
+      this.#windowTracker = null
     }
 
-    // Disconnect overview signals
-    if (this.#overviewShowingConnection) {
-      Main.overview.disconnect(this.#overviewShowingConnection)
-      this.#overviewShowingConnection = null
+    if (this.#animator) {
+      this.#animator.disable()
+      this.#animator = null
     }
 
-    if (this.#overviewHidingConnection) {
-      Main.overview.disconnect(this.#overviewHidingConnection)
-      this.#overviewHidingConnection = null
+    // Restore original style
+    this.#restoreOriginalStyle()
+    this.#overviewShowing = false
+    this.#currentStyle = null
+    this.#styleReason = null
+    this.#lastAnalysis = null
+    this.#lastTriggers = []
+    this.#recentAnalyses = []
+  }
+
+  /**
+  * Snapshot of the current decision
+  * @returns {object} {style, reason, triggers, windowState, forcedStyle, lastAnalysis}
+  */
+  get status () {
+    return {
+      style: this.#currentStyle,
+      reason: this.#styleReason,
+      // What made the last evaluation run
+      triggers: [...this.#lastTriggers],
+      windowState: this.#windowTracker?.state ?? 'none',
+      forcedStyle: this.#forcedStyle,
+      lastAnalysis: this.#lastAnalysis
     }
+  }
 
-    // Disconnect screen shield signal
-    if (this.#screenShieldConnection) {
-      Main.screenShield.disconnect(this.#screenShieldConnection)
-      this.#screenShieldConnection = null
+  /**
+  * Latest analysis of each recently shown wallpaper, oldest first, for bug reports
+  * @returns {Array<object>} Analyses as in `lastAnalysis`, with the time they were made
+  */
+  get recentAnalyses () {
+    return [...this.#recentAnalyses]
+  }
+
+  /**
+  * Calls back whenever the style or window state changes
+  * @param {Function} callback - Called without arguments, read `status` for details
+  */
+  addListener (callback) {
+    this.#listeners.add(callback)
+  }
+
+  removeListener (callback) {
+    this.#listeners.delete(callback)
+  }
+
+  /**
+  * Drops cached results for the current wallpaper and decides again
+  */
+  reanalyze () {
+    const wallpaperPath = this.#getWallpaperPath()
+    if (wallpaperPath) {
+      this.#analysisCache?.invalidate(wallpaperPath)
     }
 
-    // Remove background signals
-    this.#backgroundSignals.forEach(id => this.#backgroundSettings.disconnect(id))
-    this.#backgroundSignals = []
+    this.#stabilizer.clear()
+    this.#scheduleRestyle('reanalyze')
+  }
 
-    // Remove settings signals
-    this.#settingsConnections.forEach(id => this.#settings.disconnect(id))
-    this.#settingsConnections = []
+  /**
+  * Forces a style over every other setting
+  * @param {string} style - Style to force, empty to go back to normal
+  * @param {number} timeout - Seconds until the style is released, 0 to keep it
+  */
+  forceStyle (style, timeout = 0) {
+    if (style && !FORCEABLE_STYLES.includes(style)) {
+      throw new Error(`Unknown style '${style}'`)
+    }
 
-    // Disconnect window tracking
-    this.#cleanupWindowTracking()
+    this.#clearForcedStyleTimeout()
+    this.#forcedStyle = style || null
 
-    // Restore original style
-    this.#restoreOriginalStyle()
+    if (this.#forcedStyle && timeout > 0) {
+      this.#forcedStyleTimeoutId = this.addTimeoutSeconds(timeout, () => {
+        this.#forcedStyleTimeoutId = 0
+        this.#forcedStyle = null
+        Logger.debug(this.name, 'Forced style expired')
+        this.#scheduleRestyle('forced')
+      })
+    }
+
+    Logger.debug(this.name, this.#forcedStyle ? `Forcing style: ${this.#forcedStyle}` : 'Forced style released')
+    this.#scheduleRestyle('forced')
   }
 
-  #setupFileMonitor () {
-    try {
-      const wallpaperPath = this.#getWallpaperPath()
-      if (wallpaperPath && wallpaperPath !== '') {
-        const file = Gio.File.new_for_path(wallpaperPath)
-        this.#fileMonitor = file.monitor_file(Gio.FileMonitorFlags.NONE, null)
-        this.#fileMonitor.connect('changed', (monitor, file, otherFile, eventType) => {
-          if (
-            eventType === Gio.FileMonitorEvent.CHANGED ||
-            eventType === Gio.FileMonitorEvent.CREATED ||
-            eventType === Gio.FileMonitorEvent.ATTRIBUTE_CHANGED
-          ) {
-            Logger.debug(this.name, 'Wallpaper file changed')
-            GLib.timeout_add(GLib.PRIORITY_DEFAULT, 200, () => {
-              this.#onWallpaperChanged()
-              return GLib.SOURCE_REMOVE
-            })
-          }
-        })
-        Logger.debug(this.name, `File monitor setup for ${wallpaperPath}`)
+  /**
+  * Analyzes any image with the current settings and screen, without applying it
+  * @param {string} path - Image file
+  * @returns {Promise<object>} Analysis result
+  */
+  analyzeFile (path) {
+    return WallpaperAnalyzer.analyze(
+      path,
+      this.#getDecisionCriteria(),
+      this.#panel.get_height() || 32,
+      this.#getScreenGeometry()
+    )
+  }
+
+  #clearForcedStyleTimeout () {
+    if (this.#forcedStyleTimeoutId) {
+      this.removeSource(this.#forcedStyleTimeoutId)
+      this.#forcedStyleTimeoutId = 0
+    }
+  }
+
+  #notifyListeners () {
+    for (const callback of this.#listeners) {
+      try {
+        callback()
+      } catch (e) {
+        Logger.error(this.name, `Style listener failed: ${e.message}`)
       }
+    }
+  }
+
+  #setupFileMonitor (wallpaperPath) {
+    if (this.#fileMonitor && this.#fileMonitorPath === wallpaperPath) {
+      return
+    }
+
+    this.#clearFileMonitor()
+
+    try {
+      const file = Gio.File.new_for_path(wallpaperPath)
+      this.#fileMonitor = file.monitor_file(Gio.FileMonitorFlags.NONE, null)
+      this.#fileMonitorPath = wallpaperPath
+      this.connectSignal(this.#fileMonitor, 'changed', (monitor, file, otherFile, eventType) => {
+        if (
+          eventType === Gio.FileMonitorEvent.CHANGED ||
+          eventType === Gio.FileMonitorEvent.CREATED ||
+          eventType === Gio.FileMonitorEvent.ATTRIBUTE_CHANGED
+        ) {
+          Logger.debug(this.name, 'Wallpaper file changed')
+          this.#analysisCache?.invalidate(wallpaperPath)
+          // Give the writer time to finish
+          this.#scheduleRestyle('file', FILE_CHANGE_DELAY)
+        }
+      })
+      Logger.debug(this.name, `File monitor setup for ${wallpaperPath}`)
     } catch (e) {
-      Logger.error(`Failed to setup file monitor: ${e.message}`)
+      Logger.error(this.name, `Failed to setup file monitor: ${e.message}`)
     }
   }
 
-  #setupWindowTracking () {
-    this.#windowSignalIds = new Map()
-    this.#actorSignalIds = new Map()
+  #clearFileMonitor () {
+    if (this.#fileMonitor) {
+      this.disconnectSignals(this.#fileMonitor)
+      this.#fileMonitor.cancel()
+      this.#fileMonitor = null
+      this.#fileMonitorPath = null
+    }
+  }
+
+  #getWallpaperPath () {
+    try {
+      // Detect current color scheme
+      const colorScheme = this.#interfaceSettings.get_string('color-scheme')
+      const isDarkMode = colorScheme === 'prefer-dark'
+
+      // Use appropriate wallpaper (dark or light)
+      const wallpaperKey = isDarkMode ? BACKGROUND_KEY_DARK : BACKGROUND_KEY
+      const uri = this.#backgroundSettings.get_string(wallpaperKey)
+
+      Logger.debug(this.name, `Color scheme: ${colorScheme}, using ${wallpaperKey}`)
+      Logger.debug(this.name, `Raw URI: ${uri}`)
+
+      return WallpaperPins.uriToPath(uri)
+    } catch (e) {
+      Logger.error(this.name, `Failed to get wallpaper path: ${e.message}`)
+    }
+    return null
+  }
+
+  #getDecisionCriteria () {
+    return {
+      luminanceThreshold: this.#settings.get_double('luminance-threshold'),
+      strategy: this.#settings.get_string('style-strategy'),
+      minContrastRatio: this.#settings.get_double('min-contrast-ratio'),
+      styles: PanelStyles.read(this.#settings)
+    }
+  }
+
+  #getScreenGeometry () {
+    const monitor = Main.layoutManager.primaryMonitor
+    if (!monitor) {
+      return null
+    }
+
+    // Bounding box of all monitors, used by the 'spanned' option
+    const monitors = Main.layoutManager.monitors
+    const left = Math.min(...monitors.map(m => m.x))
+    const top = Math.min(...monitors.map(m => m.y))
+    const right = Math.max(...monitors.map(m => m.x + m.width))
+    const bottom = Math.max(...monitors.map(m => m.y + m.height))
+
+    return {
+      monitorX: monitor.x,
+      monitorY: monitor.y,
+      monitorWidth: monitor.width,
+      monitorHeight: monitor.height,
+      scaleFactor: global.display.get_monitor_scale(monitor.index),
+      pictureOptions: this.#backgroundSettings.get_string(BACKGROUND_OPTIONS_KEY),
+      spanArea: { x: left, y: top, width: right - left, height: bottom - top },
+      background: this.#getBackgroundColors(),
+      zones: this.#getPanelZones()
+    }
+  }
+
+  #getPanelBoxes () {
+    return {
+      left: this.#panel._leftBox,
+      center: this.#panel._centerBox,
+      right: this.#panel._rightBox
+    }
+  }
+
+  #getPanelZones () {
+    if (!this.#settings.get_boolean('per-box-styling')) {
+      return null
+    }
+
+    const panelWidth = this.#panel.width
+    if (!panelWidth) {
+      return null
+    }
 
-    const tracker = global.display.get_workspace_manager().get_active_workspace()
-    const windows = tracker.list_windows()
+    // Live allocations, so RTL layouts and wide boxes are handled
+    const boxes = this.#getPanelBoxes()
+    const zones = []
 
-    windows.forEach(metaWindow => {
-      const metaWindowActor = metaWindow.get_compositor_private()
-      if (metaWindowActor) {
-        this.#onWindowActorAdded(metaWindowActor.get_parent(), metaWindowActor)
+    for (const name of PANEL_ZONES) {
+      const box = boxes[name]
+      if (!box || !box.visible) {
+        continue
       }
-    })
 
-    const windowManager = global.window_manager
-    global.display.connect('window-created', (display, metaWindow) => {
-      const metaWindowActor = metaWindow.get_compositor_private()
-      if (metaWindowActor) {
-        this.#onWindowActorAdded(metaWindowActor.get_parent(), metaWindowActor)
+      const allocation = box.get_allocation_box()
+      const width = allocation.x2 - allocation.x1
+      if (width <= 0) {
+        continue
       }
+
+      zones.push({ name, x: allocation.x1 / panelWidth, width: width / panelWidth })
+    }
+
+    return zones.length > 0 ? zones : null
+  }
+
+  #getBackgroundColors () {
+    return {
+      primaryColor: this.#backgroundSettings.get_string(BACKGROUND_PRIMARY_COLOR_KEY),
+      secondaryColor: this.#backgroundSettings.get_string(BACKGROUND_SECONDARY_COLOR_KEY),
+      shadingType: this.#backgroundSettings.get_string(BACKGROUND_SHADING_KEY)
+    }
+  }
+
+  /**
+  * Asks for the style to be decided again. Triggers arriving within the
+  * delay share one evaluation; while one runs, the next waits for it
+  * @param {string} trigger - What changed: background, color-scheme, settings, monitors, file,
+  *   slideshow, lock, window-state, focus, forced, reanalyze or startup
+  * @param {number} delay - Wait before evaluating (ms), if none is pending yet
+  */
+  #scheduleRestyle (trigger, delay = RESTYLE_DELAY) {
+    this.#pendingTriggers.add(trigger)
+    if (!WALLPAPER_INDEPENDENT_TRIGGERS.includes(trigger)) {
+      this.#analysisStale = true
+    }
+
+    if (this.#restyleSourceId || this.#restyleRun) {
+      return
+    }
+
+    this.#restyleSourceId = this.addTimeout(delay, () => {
+      this.#restyleSourceId = 0
+      this.#runRestyle()
     })
   }
 
-  #cleanupWindowTracking () {
-    if (this.#windowSignalIds) {
-      for (let [metaWindow, signalIds] of this.#windowSignalIds.entries()) {
-        signalIds.forEach(signalId => {
-          try {
-            metaWindow.disconnect(signalId)
-          } catch (e) {}
-        })
-      }
-      this.#windowSignalIds.clear()
-      this.#windowSignalIds = null
+  async #runRestyle () {
+    const triggers = [...this.#pendingTriggers]
+    this.#pendingTriggers.clear()
+    this.#lastTriggers = triggers
+
+    // Disable abandons a run, which may then never finish
+    const run = { triggers }
+    this.#restyleRun = run
+
+    Logger.debug(this.name, `Restyling for ${triggers.join(', ')}`)
+
+    try {
+      await this.#updateStyle(triggers)
+    } catch (e) {
+      Logger.error(this.name, `Failed to update panel style: ${e.message}`)
     }
 
-    if (this.#actorSignalIds) {
-      for (let [actor, signalId] of this.#actorSignalIds.entries()) {
-        try {
-          actor.disconnect(signalId)
-        } catch (e) {}
-      }
-      this.#actorSignalIds.clear()
-      this.#actorSignalIds = null
+    if (this.#restyleRun !== run) {
+      return
+    }
+    this.#restyleRun = null
+
+    // Triggers that came in meanwhile get their own run
+    if (this.#pendingTriggers.size > 0) {
+      this.#restyleSourceId = this.addTimeout(RESTYLE_DELAY, () => {
+        this.#restyleSourceId = 0
+        this.#runRestyle()
+      })
     }
   }
 
-  #onWindowActorAdded (container, metaWindowActor) {
-    if (!this.#windowSignalIds) {
-      this.#windowSignalIds = new Map()
+  #clearRestyle () {
+    if (this.#restyleSourceId) {
+      this.removeSource(this.#restyleSourceId)
+      this.#restyleSourceId = 0
     }
-    if (!this.#actorSignalIds) {
-      this.#actorSignalIds = new Map()
+
+    this.#pendingTriggers.clear()
+    this.#restyleRun = null
+    this.#analysisStale = true
+  }
+
+  async #updateStyle (triggers) {
+    // A style forced over D-Bus wins over everything
+    if (this.#forcedStyle) {
+      this.#applyStyle(this.#forcedStyle, null, null, 'forced')
+      return
     }
 
-    const metaWindow = metaWindowActor.get_meta_window()
+    // The lock screen covers every window with its own background
+    if (this.#locked) {
+      await this.#applyLockScreenStyle()
+      return
+    }
 
-    if (this.#windowSignalIds.has(metaWindow)) {
+    // Application rules win over every other setting
+    const ruleStyle = this.#getAppRuleStyle()
+    if (ruleStyle) {
+      this.#applyStyle(ruleStyle, null, null, 'app-rule')
       return
     }
 
-    const signalIds = []
+    const panelMode = this.#settings.get_string('panel-mode')
+    const tinted = panelMode === 'tinted'
 
-    signalIds.push(metaWindow.connect('size-changed', () => {
-      this.#updateMaximizedState()
-    }))
+    if (panelMode !== 'automatic' && !tinted) {
+      this.#applyStyle(panelMode, null, null, 'mode')
+      return
+    }
 
-    this.#windowSignalIds.set(metaWindow, signalIds)
+    const windowStyle = this.#getWindowStateStyle()
 
-    const actorSignalId = metaWindowActor.connect('destroy', () => {
-      this.#onWindowActorRemoved(metaWindow, metaWindowActor)
-    })
-    this.#actorSignalIds.set(metaWindowActor, actorSignalId)
-  }
+    // Take the color of the maximized window's header bar
+    if (windowStyle === 'maximized' && this.#windowTracker.state === 'maximized' &&
+      this.#settings.get_boolean('match-header-bar')) {
+      const cancellable = new Gio.Cancellable()
+      this.#analysisCancellable = cancellable
 
-  #onWindowActorRemoved (metaWindow, metaWindowActor) {
-    if (this.#windowSignalIds && this.#windowSignalIds.has(metaWindow)) {
-      const signalIds = this.#windowSignalIds.get(metaWindow)
-      signalIds.forEach(signalId => {
-        try {
-          metaWindow.disconnect(signalId)
-        } catch (e) {}
-      })
-      this.#windowSignalIds.delete(metaWindow)
+      const tint = await this.#sampleHeaderBar(cancellable)
+      if (cancellable.is_cancelled()) {
+        return
+      }
+      this.#analysisCancellable = null
+
+      if (tint) {
+        this.#applyStyle('maximized', null, tint, 'header-bar')
+        return
+      }
     }
 
-    if (this.#actorSignalIds && this.#actorSignalIds.has(metaWindowActor)) {
-      this.#actorSignalIds.delete(metaWindowActor)
+    // Tinted mode still needs the wallpaper palette behind a window
+    if (windowStyle && !tinted) {
+      this.#applyStyle(windowStyle, null, null, 'window-state')
+      return
     }
 
-    GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
-      this.#updateMaximizedState()
-      return GLib.SOURCE_REMOVE
-    })
+    // A style pinned to this exact wallpaper file replaces the analysis
+    const pinCancellable = new Gio.Cancellable()
+    this.#analysisCancellable = pinCancellable
+
+    const pinnedStyle = await this.#getPinnedStyle(pinCancellable)
+    if (pinCancellable.is_cancelled()) {
+      return
+    }
+    this.#analysisCancellable = null
+
+    if (pinnedStyle) {
+      this.#applyStyle(windowStyle ?? pinnedStyle, null, null, windowStyle ? 'window-state' : 'pinned')
+      return
+    }
+
+    const wallpaperKey = this.#getWallpaperKey()
+
+    // Window changes leave the wallpaper as it was analyzed
+    let result
+    if (!this.#analysisStale && this.#lastAnalysis?.wallpaper === wallpaperKey) {
+      Logger.debug(this.name, `Reusing the analysis for ${triggers.join(', ')}`)
+      result = this.#lastAnalysis
+    } else {
+      this.#analysisStale = false
+
+      result = await this.#analyzeWallpaper()
+      if (!result) {
+        // Superseded or disabled: nothing known to be current
+        this.#analysisStale = true
+        return
+      }
+
+      this.#lastAnalysis = { wallpaper: wallpaperKey, ...result }
+      this.#rememberAnalysis(this.#lastAnalysis)
+      this.#notifyListeners()
+    }
+
+    if (windowStyle) {
+      this.#applyStyle(windowStyle, null, this.#getTint(windowStyle, null, result.palette), 'window-state')
+      return
+    }
+
+    // Hysteresis: near the boundary, stay with the previous decision
+    const margin = this.#settings.get_double('hysteresis-margin')
+    const style = this.#stabilizer.stabilize(wallpaperKey, result.style, result.confidence, margin)
+
+    if (style !== result.style) {
+      Logger.debug(this.name, `Keeping ${style} (confidence ${result.confidence?.toFixed(3)} below margin ${margin})`)
+    }
+
+    const zoneStyles = this.#getZoneStyles(result, wallpaperKey, margin)
+    const tint = tinted ? this.#getTint(style, zoneStyles, result.palette) : null
+
+    this.#applyStyle(style, zoneStyles, tint, 'wallpaper')
   }
 
-  #updateMaximizedState () {
-    const state = this.#detectMaximizedWindow()
-    const wasMaximized = this.#isWindowMaximized
-    this.#isWindowMaximized = state
+  /**
+  * Tints the panel, or each box with a backing of its own when zoned
+  * @param {string} style - Panel style
+  * @param {object|null} zoneStyles - Style by box name
+  * @param {Array} palette - Dominant colors of the wallpaper
+  * @returns {object|null} Panel tint, {zones} with tints by box name, or null
+  */
+  #getTint (style, zoneStyles, palette) {
+    const darkText = PanelStyles.parseColor(PanelStyles.read(this.#settings).light.foreground)
+
+    if (!zoneStyles) {
+      return PanelTint.compute(style, palette, darkText)
+    }
+
+    const zones = Object.fromEntries(
+      Object.entries(zoneStyles)
+        .map(([name, zoneStyle]) => [name, PanelTint.compute(zoneStyle, palette, darkText)])
+        .filter(([, tint]) => tint)
+    )
 
-    if (wasMaximized !== state) {
-      Logger.debug(this.name, `Maximized state changed: ${state}`)
-      this.#onWallpaperChanged()
+    return Object.keys(zones).length > 0 ? { zones } : null
+  }
+
+  #rememberAnalysis (analysis) {
+    this.#recentAnalyses = this.#recentAnalyses.filter(other => other.wallpaper !== analysis.wallpaper)
+    this.#recentAnalyses.push({ time: Date.now(), ...analysis })
+    this.#recentAnalyses.splice(0, Math.max(0, this.#recentAnalyses.length - RECENT_ANALYSES))
+  }
+
+  async #applyLockScreenStyle () {
+    const lockStyle = this.#settings.get_string('lock-screen-style')
+    if (lockStyle !== 'automatic') {
+      this.#applyStyle(lockStyle, null, null, 'lock-screen')
+      return
+    }
+
+    const result = await this.#analyzeLockScreen()
+    if (result) {
+      this.#applyStyle(result.style, null, null, 'lock-screen')
     }
   }
 
-  #detectMaximizedWindow () {
-    const workspace = global.workspace_manager.get_active_workspace()
-    const windows = workspace.list_windows()
+  /**
+  * Analyzes the desktop background as the unlock dialog shows it; GNOME 48
+  * builds its background without a settings schema, so it follows
+  * org.gnome.desktop.background, dark variant included
+  * @returns {Promise<object|null>} Analysis result, null when superseded
+  */
+  async #analyzeLockScreen () {
+    const criteria = this.#getDecisionCriteria()
+    const panelHeight = this.#panel.get_height() || 32
+    const geometry = this.#getScreenGeometry()
+    // The lock screen panel has other boxes; style it as a whole
+    const screen = geometry ? { ...geometry, zones: null, blur: LOCK_SCREEN_BLUR } : null
+
+    const path = this.#getWallpaperPath()
+    if (!path || screen?.pictureOptions === 'none') {
+      return WallpaperAnalyzer.analyzeColors(this.#getBackgroundColors(), criteria, panelHeight, screen)
+    }
 
-    for (let window of windows) {
-      if (window.is_hidden() || window.minimized) {
-        continue
+    return this.#analyzeImage(path, criteria, panelHeight, screen)
+  }
+
+  /**
+  * Samples the header bar of the maximized window below the panel
+  * @returns {Promise<object|null>} Tint for the panel, null if unavailable
+  */
+  async #sampleHeaderBar (cancellable) {
+    try {
+      // Let maximize and focus animations settle
+      await new Promise(resolve => this.addTimeout(HEADER_BAR_SAMPLE_DELAY, resolve))
+
+      const window = this.#windowTracker?.maximizedWindow
+      if (!window || cancellable.is_cancelled()) {
+        return null
       }
 
-      if (!window.get_compositor_private()) {
-        continue
+      // The window's own contents, so popups and windows above it are left out
+      const actor = window.get_compositor_private()
+      if (!actor) {
+        return null
       }
 
-      if (window.window_type !== Meta.WindowType.NORMAL) {
-        continue
+      // Clip in actor coordinates: the top rows of the frame, without shadows
+      const frame = window.get_frame_rect()
+      const buffer = window.get_buffer_rect()
+      const clip = new Mtk.Rectangle({
+        x: frame.x - buffer.x,
+        y: frame.y - buffer.y,
+        width: frame.width,
+        height: Math.min(HEADER_BAR_SAMPLE_ROWS, frame.height)
+      })
+
+      const texture = actor.paint_to_content(clip)?.get_texture()
+      if (!texture) {
+        return null
       }
 
-      // Use Meta's native maximized detection
-      // Returns 3 (Meta.MaximizeFlags.BOTH) when fully maximized
-      if (window.get_maximized() === Meta.MaximizeFlags.BOTH) {
-        Logger.debug(this.name, `Found maximized window: ${window.get_title()}`)
-        return true
+      const stream = Gio.MemoryOutputStream.new_resizable()
+      const pixbuf = await Shell.Screenshot.composite_to_stream(texture, 0, 0, -1, -1, 1, null, 0, 0, 1, stream)
+      stream.close(null)
+
+      if (cancellable.is_cancelled()) {
+        return null
       }
+
+      const tint = HeaderBarColor.fromPixels(
+        pixbuf.get_pixels(),
+        pixbuf.get_width(),
+        pixbuf.get_height(),
+        pixbuf.get_rowstride(),
+        pixbuf.get_has_alpha() ? 4 : 3,
+        PanelStyles.parseColor(PanelStyles.read(this.#settings).light.foreground)
+      )
+
+      Logger.debug(this.name, `Header bar of '${window.get_title()}': ${tint?.css}`)
+
+      return tint
+    } catch (e) {
+      Logger.error(this.name, `Failed to sample header bar: ${e.message}`)
+      return null
     }
+  }
 
-    return false
+  #loadAppRules () {
+    this.#appRules = AppRules.normalize(this.#settings.get_value('app-rules').recursiveUnpack())
+    Logger.debug(this.name, `${this.#appRules.length} application rules`)
   }
 
-  #getWallpaperPath () {
-    try {
-      // Detect current color scheme
-      const colorScheme = this.#interfaceSettings.get_string('color-scheme')
-      const isDarkMode = colorScheme === 'prefer-dark'
+  #loadPins () {
+    this.#pins = WallpaperPins.normalize(this.#settings.get_value('pinned-styles').recursiveUnpack())
+    Logger.debug(this.name, `${Object.keys(this.#pins).length} pinned styles`)
+  }
 
-      // Use appropriate wallpaper (dark or light)
-      const wallpaperKey = isDarkMode ? BACKGROUND_KEY_DARK : BACKGROUND_KEY
-      let uri = this.#backgroundSettings.get_string(wallpaperKey)
+  /**
+  * Style the user pinned to the current wallpaper file
+  * @param {Gio.Cancellable} cancellable - Cancels reading the file
+  * @returns {Promise<string|null>} Pinned style, or null when there is none
+  */
+  async #getPinnedStyle (cancellable) {
+    if (Object.keys(this.#pins).length === 0) {
+      return null
+    }
 
-      Logger.debug(this.name, `Color scheme: ${colorScheme}, using ${wallpaperKey}`)
-      Logger.debug(this.name, `Raw URI: ${uri}`)
+    const wallpaperPath = this.#getWallpaperPath()
+    if (!wallpaperPath || this.#backgroundSettings.get_string(BACKGROUND_OPTIONS_KEY) === 'none') {
+      return null
+    }
 
-      // Remove file:// prefix
-      if (uri.startsWith('file://')) {
-        uri = uri.substring(7)
+    let key
+    try {
+      key = await WallpaperPins.identify(wallpaperPath, cancellable)
+    } catch (e) {
+      if (!(e instanceof GLib.Error && e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED))) {
+        // Unreadable: let the analyzer report the problem
+        Logger.warn(this.name, `Could not identify wallpaper: ${e.message}`)
       }
+      return null
+    }
+
+    const style = this.#pins[key] ?? null
+    if (style) {
+      Logger.debug(this.name, `Pinned style for ${wallpaperPath}: ${style}`)
+
+      // Nothing to analyze until the file or the pin changes
+      this.#clearSlideshowTimeout()
+      this.#setupFileMonitor(wallpaperPath)
+    }
+
+    return style
+  }
+
+  /**
+  * Style forced by an application rule
+  * @returns {string|null} Forced style, or null when no rule applies
+  */
+  #getAppRuleStyle () {
+    if (this.#appRules.length === 0) {
+      return null
+    }
+
+    const windowTracker = Shell.WindowTracker.get_default()
+    const describe = window => window
+      ? { appId: windowTracker.get_window_app(window)?.get_id() ?? null, wmClass: window.get_wm_class() }
+      : null
+
+    const rule = AppRules.find(this.#appRules, {
+      focused: describe(global.display.focus_window),
+      maximized: describe(this.#windowTracker?.maximizedWindow)
+    })
+
+    if (rule) {
+      Logger.debug(this.name, `Application rule '${rule.match}' (${rule.when}): ${rule.style}`)
+    }
+
+    return rule?.style ?? null
+  }
+
+  /**
+  * Style configured for the current window state
+  * @returns {string|null} Forced style, or null to follow the wallpaper
+  */
+  #getWindowStateStyle () {
+    const state = this.#windowTracker?.state ?? 'none'
+    if (state === 'none') {
+      return null
+    }
+
+    const style = this.#settings.get_string(`${state}-style`)
+    return style === 'automatic' ? null : style
+  }
+
+  #getWallpaperKey () {
+    const wallpaperPath = this.#getWallpaperPath()
+    const pictureOptions = this.#backgroundSettings.get_string(BACKGROUND_OPTIONS_KEY)
+
+    if (!wallpaperPath || pictureOptions === 'none') {
+      const colors = this.#getBackgroundColors()
+      return `colors:${colors.primaryColor}:${colors.secondaryColor}:${colors.shadingType}`
+    }
+
+    return wallpaperPath
+  }
+
+  /**
+  * Analyzes whatever is currently behind the panel
+  * @returns {Promise<object|null>} Analysis result, null when superseded
+  */
+  async #analyzeWallpaper () {
+    // Slideshows schedule their next check again below
+    this.#clearSlideshowTimeout()
+    // A newer request always wins over an analysis still in flight
+    this.#cancelAnalysis()
+
+    const criteria = this.#getDecisionCriteria()
+    const panelHeight = this.#panel.get_height() || 32
+    const screen = this.#getScreenGeometry()
+
+    // No image: analyze the solid color or gradient instead
+    const wallpaperPath = this.#getWallpaperPath()
+    const pictureOptions = this.#backgroundSettings.get_string(BACKGROUND_OPTIONS_KEY)
+    if (!wallpaperPath || pictureOptions === 'none') {
+      this.#clearFileMonitor()
+      return WallpaperAnalyzer.analyzeColors(this.#getBackgroundColors(), criteria, panelHeight, screen)
+    }
+
+    // Follow edits to the image, a new monitor only for a new path
+    this.#setupFileMonitor(wallpaperPath)
+
+    return this.#analyzeImage(wallpaperPath, criteria, panelHeight, screen)
+  }
+
+  /**
+  * Analyzes an image or slideshow through the cache, cancelling on newer requests
+  * @returns {Promise<object|null>} Analysis result, null when superseded
+  */
+  async #analyzeImage (wallpaperPath, criteria, panelHeight, screen) {
+    const cancellable = new Gio.Cancellable()
+    this.#analysisCancellable = cancellable
 
-      // Decode URL
-      uri = decodeURIComponent(uri)
+    try {
+      // Use WallpaperAnalyzer service with panel height
+      const result = SlideshowParser.isSlideshow(wallpaperPath)
+        ? await this.#analyzeSlideshow(wallpaperPath, criteria, panelHeight, screen, cancellable)
+        : await this.#analysisCache.analyze(wallpaperPath, criteria, panelHeight, screen, cancellable)
 
-      return uri
+      // Superseded while loading
+      return cancellable.is_cancelled() ? null : result
     } catch (e) {
-      Logger.error(`Failed to get wallpaper path: ${e.message}`)
+      if (e instanceof GLib.Error && e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+        Logger.debug(this.name, 'Stale wallpaper analysis dropped')
+        return null
+      }
+      throw e
+    } finally {
+      if (this.#analysisCancellable === cancellable) {
+        this.#analysisCancellable = null
+      }
     }
-    return null
   }
 
-  #onWallpaperChanged () {
-    GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
-      const panelMode = this.#settings.get_string('panel-mode')
+  #cancelAnalysis () {
+    if (this.#analysisCancellable) {
+      this.#analysisCancellable.cancel()
+      this.#analysisCancellable = null
+    }
+  }
 
-      if (panelMode !== 'automatic') {
-        this.#applyStyle(panelMode)
-        return GLib.SOURCE_REMOVE
+  async #analyzeSlideshow (path, criteria, panelHeight, screen, cancellable) {
+    try {
+      const file = Gio.File.new_for_path(path)
+      const [contents] = await file.load_contents_async(cancellable)
+      const xml = new TextDecoder().decode(contents)
+      const slideshow = SlideshowParser.parse(xml, GLib.path_get_dirname(path))
+      const frame = SlideshowParser.getFrame(slideshow)
+
+      const scale = screen?.scaleFactor || 1
+      const pick = files => SlideshowParser.pickFile(
+        files,
+        (screen?.monitorWidth || 0) * scale,
+        (screen?.monitorHeight || 0) * scale
+      )
+
+      let result
+      if (frame.type === 'static') {
+        Logger.debug(this.name, `Slideshow static frame, ${Math.round(frame.remaining)}s left`)
+        result = await this.#analysisCache.analyze(pick(frame.files), criteria, panelHeight, screen, cancellable)
+      } else {
+        Logger.debug(this.name, `Slideshow transition at ${(frame.progress * 100).toFixed(0)}%`)
+        const [fromResult, toResult] = await Promise.all([
+          this.#analysisCache.analyze(pick(frame.from), criteria, panelHeight, screen, cancellable),
+          this.#analysisCache.analyze(pick(frame.to), criteria, panelHeight, screen, cancellable)
+        ])
+        result = WallpaperAnalyzer.blend(fromResult, toResult, frame.progress, criteria)
       }
 
-      if (this.#isWindowMaximized) {
-        this.#applyStyle('maximized')
-        return GLib.SOURCE_REMOVE
+      if (!cancellable.is_cancelled()) {
+        this.#scheduleSlideshowUpdate(frame)
       }
 
-      const wallpaperPath = this.#getWallpaperPath()
-      if (!wallpaperPath) {
-        this.#applyStyle('light')
-        return GLib.SOURCE_REMOVE
+      return result
+    } catch (e) {
+      if (e instanceof GLib.Error && e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+        throw e
       }
 
-      // Update file monitor for new wallpaper
-      if (this.#fileMonitor) {
-        this.#fileMonitor.cancel()
-        this.#fileMonitor = null
+      Logger.error(this.name, `Failed to analyze slideshow: ${e.message}`)
+      return {
+        style: 'dark',
+        meanLuminance: 0.5,
+        error: e.message
       }
-      this.#setupFileMonitor()
+    }
+  }
 
-      // Use WallpaperAnalyzer service with panel height
-      const threshold = this.#settings.get_double('luminance-threshold')
-      const panelHeight = this.#panel.get_height() || 32
-      const result = WallpaperAnalyzer.analyze(wallpaperPath, threshold, panelHeight)
+  #scheduleSlideshowUpdate (frame) {
+    this.#clearSlideshowTimeout()
 
-      this.#applyStyle(result.style)
+    // Follow cross-fades in steps, otherwise wake up when the frame ends
+    const seconds = frame.type === 'transition'
+      ? Math.min(frame.remaining, SLIDESHOW_TRANSITION_STEP)
+      : frame.remaining
 
-      return GLib.SOURCE_REMOVE
+    this.#slideshowTimeoutId = this.addTimeoutSeconds(Math.max(1, Math.ceil(seconds)), () => {
+      this.#slideshowTimeoutId = 0
+      Logger.debug(this.name, 'Slideshow frame changed')
+      this.#scheduleRestyle('slideshow')
     })
   }
 
-  #applyStyle (style) {
-    if (this.#currentStyle === style) {
+  #clearSlideshowTimeout () {
+    if (this.#slideshowTimeoutId) {
+      this.removeSource(this.#slideshowTimeoutId)
+      this.#slideshowTimeoutId = 0
+    }
+  }
+
+  #getZoneStyles (result, wallpaperKey, margin) {
+    if (!result.zones || result.error) {
+      return null
+    }
+
+    const zoneStyles = {}
+    for (const [name, zone] of Object.entries(result.zones)) {
+      zoneStyles[name] = this.#stabilizer.stabilize(`${wallpaperKey}#${name}`, zone.style, zone.confidence, margin)
+    }
+
+    return zoneStyles
+  }
+
+  #applyStyle (style, zoneStyles = null, tint = null, reason = this.#styleReason) {
+    const reasonChanged = this.#styleReason !== reason
+    this.#styleReason = reason
+
+    if (this.#currentStyle === style &&
+      JSON.stringify(this.#currentZoneStyles) === JSON.stringify(zoneStyles) &&
+      JSON.stringify(this.#currentTint) === JSON.stringify(tint)) {
+      if (reasonChanged) {
+        this.#notifyListeners()
+      }
       return
     }
 
-    Logger.debug(this.name, `Applying style: ${style}`)
+    Logger.debug(this.name, `Applying style: ${style}${zoneStyles ? ` (zones: ${JSON.stringify(zoneStyles)})` : ''}`)
 
     this.#panel.remove_style_class_name('dark')
     this.#panel.remove_style_class_name('light')
@@ -426,23 +1150,186 @@ export class AdaptivePanel extends _BaseModule {
     this.#panel.remove_style_class_name('translucent-light')
     this.#panel.remove_style_class_name('maximized')
 
-    if (style === 'maximized') {
-      this.#panel.add_style_class_name('maximized')
-    } else {
+    this.#setPanelHidden(style === 'hidden')
+    if (style !== 'hidden') {
       this.#panel.add_style_class_name(style)
     }
 
+    this.#applyZoneStyles(zoneStyles)
+
+    this.#applyTint(tint, style)
+
     this.#currentStyle = style
+    this.#currentZoneStyles = zoneStyles
+    this.#currentTint = tint
+
+    this.#updateBlur()
+
+    this.#notifyListeners()
+  }
+
+  /**
+  * Blurs the wallpaper behind translucent styles; a zoned panel stays
+  * transparent, so only the boxes with a translucent backing are blurred
+  */
+  #updateBlur () {
+    const radius = this.#settings.get_int('blur-radius')
+    const targets = radius > 0 && !this.#overviewShowing ? this.#getBlurTargets() : []
+
+    for (const [actor, effect] of this.#blurEffects) {
+      if (!targets.includes(actor)) {
+        actor.remove_effect(effect)
+        this.#blurEffects.delete(actor)
+      }
+    }
+
+    if (targets.length === 0) {
+      return
+    }
+
+    const brightness = this.#settings.get_double('blur-brightness')
+    for (const actor of targets) {
+      let effect = this.#blurEffects.get(actor)
+      if (!effect) {
+        effect = new Shell.BlurEffect({ mode: Shell.BlurMode.BACKGROUND })
+        actor.add_effect_with_name(BLUR_EFFECT_NAME, effect)
+        this.#blurEffects.set(actor, effect)
+        Logger.debug(this.name, 'Blur added')
+      }
+
+      effect.radius = radius
+      effect.brightness = brightness
+    }
+  }
+
+  #getBlurTargets () {
+    if (!this.#currentZoneStyles) {
+      return BLURRED_STYLES.includes(this.#currentStyle) ? [this.#panel] : []
+    }
+
+    const boxes = this.#getPanelBoxes()
+    return Object.entries(this.#currentZoneStyles)
+      .filter(([name, zoneStyle]) => boxes[name] && BLURRED_STYLES.includes(zoneStyle))
+      .map(([name]) => boxes[name])
+  }
+
+  #removeBlur () {
+    if (this.#blurEffects.size === 0) {
+      return
+    }
+
+    for (const [actor, effect] of this.#blurEffects) {
+      actor.remove_effect(effect)
+    }
+    this.#blurEffects.clear()
+    Logger.debug(this.name, 'Blur removed')
+  }
+
+  #setPanelHidden (hidden) {
+    if (this.#panelHidden === hidden) {
+      return
+    }
+
+    this.#panelHidden = hidden
+
+    // The space stays reserved so windows do not resize; only drawing and input stop
+    this.#panel.opacity = hidden ? 0 : 255
+    this.#panel.reactive = !hidden
+
+    for (const box of Object.values(this.#getPanelBoxes())) {
+      if (box) {
+        box.visible = !hidden
+      }
+    }
+  }
+
+  #applyTint (tint, style) {
+    this.#clearTint()
+
+    if (!tint) {
+      return
+    }
+
+    this.#panel.add_style_class_name('tinted')
+
+    // Zones keep the panel transparent; their boxes carry the tint
+    if (tint.zones) {
+      const boxes = this.#getPanelBoxes()
+      for (const [name, zoneTint] of Object.entries(tint.zones)) {
+        Logger.debug(this.name, `Applying ${name} tint: ${zoneTint.css}`)
+        boxes[name]?.set_style(`background-color: ${zoneTint.css};`)
+      }
+      return
+    }
+
+    Logger.debug(this.name, `Applying tint: ${tint.css}`)
+
+    if (style === 'maximized' && tint.darkText) {
+      this.#panel.add_style_class_name('tinted-dark-text')
+    }
+
+    // Inline style takes precedence over the stylesheet backgrounds
+    this.#panel.set_style(this.#getInlineStyle(tint))
+  }
+
+  #clearTint () {
+    this.#panel.remove_style_class_name('tinted')
+    this.#panel.remove_style_class_name('tinted-dark-text')
+    this.#panel.set_style(this.#getInlineStyle(null))
+
+    for (const box of Object.values(this.#getPanelBoxes())) {
+      box?.set_style(null)
+    }
+  }
+
+  /**
+  * Tint background plus the cross-fade St runs between panel styles
+  * @returns {string|null}
+  */
+  #getInlineStyle (tint) {
+    const declarations = [
+      tint?.css ? `background-color: ${tint.css};` : '',
+      this.#animator?.transitionStyle ?? ''
+    ].filter(Boolean)
+
+    return declarations.length > 0 ? declarations.join(' ') : null
+  }
+
+  #applyZoneStyles (zoneStyles) {
+    this.#clearZoneStyles()
+
+    if (!zoneStyles) {
+      return
+    }
+
+    this.#panel.add_style_class_name('zoned')
+
+    const boxes = this.#getPanelBoxes()
+    for (const [name, zoneStyle] of Object.entries(zoneStyles)) {
+      boxes[name]?.add_style_class_name(`zone-${zoneStyle}`)
+    }
+  }
+
+  #clearZoneStyles () {
+    this.#panel.remove_style_class_name('zoned')
+
+    for (const box of Object.values(this.#getPanelBoxes())) {
+      ZONE_STYLES.forEach(zoneStyle => box?.remove_style_class_name(`zone-${zoneStyle}`))
+    }
   }
 
   #restoreOriginalStyle () {
     if (!this.#panel) return
 
+    this.#setPanelHidden(false)
+    this.#removeBlur()
     this.#panel.opacity = 255
     this.#panel.remove_style_class_name('dark')
     this.#panel.remove_style_class_name('light')
     this.#panel.remove_style_class_name('translucent-dark')
     this.#panel.remove_style_class_name('translucent-light')
     this.#panel.remove_style_class_name('maximized')
+    this.#clearZoneStyles()
+    this.#clearTint()
   }
 }
@@ -0,0 +1,212 @@
+// SPDX-FileCopyrightText: Nowa Desktop Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { _BaseModule } from './_BaseModule.js'
+import { Logger } from '../services/Logger.js'
+import { ModuleStatus } from '../services/ModuleStatus.js'
+
+/**
+* Module Registry - runs the registered modules, each on its own switch
+*
+* Every module class declares the boolean setting that turns it on
+* (`static settingsKey`). Modules start in registration order and stop in
+* reverse; a module that needs another only runs while that one does.
+*
+* An exception in a module's enable or disable is logged and leaves the
+* other modules running. The state of each module (running, off, waiting or
+* failed, with the step that failed and a detail) goes to a runtime file
+* for prefs, see ModuleStatus. A failed module is retried once its switch is
+* turned off and on again.
+*/
+export class ModuleRegistry extends _BaseModule {
+  #settings
+  #statusPath
+  // Registered modules as {moduleClass, create, requires, instance, state, step, detail}
+  #entries = []
+  #writtenStatus = null
+
+  /**
+  * @param {Gio.Settings} settings - Extension settings
+  * @param {string} statusPath - File the module status is written to
+  */
+  constructor (settings, statusPath = ModuleStatus.PATH) {
+    super()
+
+    this.#settings = settings
+    this.#statusPath = statusPath
+  }
+
+  /**
+  * Adds a module, before enable()
+  * @param {Function} moduleClass - _BaseModule subclass with a static settingsKey
+  * @param {Function} create - Called with the running modules by name, returns a new instance
+  * @param {Array<string>} requires - Names of modules that must run for this one to
+  */
+  register (moduleClass, create, requires = []) {
+    if (!moduleClass.settingsKey) {
+      throw new Error(`${moduleClass.name} declares no settings key`)
+    }
+
+    this.#entries.push({ moduleClass, create, requires, instance: null, state: 'off', step: '', detail: '' })
+  }
+
+  /**
+  * Running modules by name
+  * @returns {object}
+  */
+  get modules () {
+    return Object.fromEntries(
+      this.#entries
+        .filter(entry => entry.instance)
+        .map(entry => [entry.moduleClass.name, entry.instance])
+    )
+  }
+
+  /**
+  * State of every module by name
+  * @returns {object} {state, step, detail} by module name
+  */
+  get status () {
+    return Object.fromEntries(
+      this.#entries.map(entry => [entry.moduleClass.name, this.#describe(entry)])
+    )
+  }
+
+  enable () {
+    super.enable()
+
+    for (const entry of this.#entries) {
+      this.connectSignal(this.#settings, `changed::${entry.moduleClass.settingsKey}`, () => this.#refresh())
+    }
+
+    this.#refresh()
+  }
+
+  disable () {
+    super.disable()
+
+    for (const entry of [...this.#entries].reverse()) {
+      if (entry.instance) {
+        this.#stop(entry)
+      }
+      this.#setState(entry, 'off')
+    }
+
+    // Nothing runs while the extension is off
+    ModuleStatus.clear(this.#statusPath)
+    this.#writtenStatus = null
+  }
+
+  #isOn (entry) {
+    return this.#settings.get_boolean(entry.moduleClass.settingsKey)
+  }
+
+  #refresh () {
+    // Stop what is switched off, dependents before what they need
+    const keep = new Set()
+    for (const entry of this.#entries) {
+      if (entry.instance && this.#isOn(entry) && entry.requires.every(name => keep.has(name))) {
+        keep.add(entry.moduleClass.name)
+      }
+    }
+
+    for (const entry of [...this.#entries].reverse()) {
+      if (entry.instance && !keep.has(entry.moduleClass.name)) {
+        this.#stop(entry)
+      }
+    }
+
+    // Start what is switched on and has what it needs
+    for (const entry of this.#entries) {
+      if (!this.#isOn(entry)) {
+        // A module that failed to stop is reported until switched on again
+        if (entry.step !== 'disable') {
+          this.#setState(entry, 'off')
+        }
+        continue
+      }
+
+      if (entry.instance || (entry.state === 'failed' && entry.step === 'enable')) {
+        continue
+      }
+
+      const missing = entry.requires.find(name => !this.modules[name])
+      if (missing) {
+        const needed = this.#entries.find(other => other.moduleClass.name === missing)
+        this.#setState(entry, 'waiting', '', needed?.moduleClass.settingsKey ?? missing)
+        continue
+      }
+
+      this.#start(entry)
+    }
+
+    this.#writeStatus()
+  }
+
+  #start (entry) {
+    const name = entry.moduleClass.name
+
+    try {
+      entry.instance = entry.create(this.modules)
+      entry.instance.enable()
+      this.#setState(entry, 'running')
+    } catch (e) {
+      Logger.error(this.name, `${name} failed to enable: ${e.message}`, { module: name, stack: e.stack })
+
+      // Release whatever it set up before failing
+      const instance = entry.instance
+      entry.instance = null
+      this.#setState(entry, 'failed', 'enable', e.message)
+
+      try {
+        instance?.disable()
+      } catch (cleanupError) {
+        Logger.error(this.name, `${name} failed to clean up: ${cleanupError.message}`, { module: name, stack: cleanupError.stack })
+      }
+    }
+  }
+
+  #stop (entry) {
+    const name = entry.moduleClass.name
+    const instance = entry.instance
+    entry.instance = null
+
+    try {
+      instance.disable()
+      this.#setState(entry, 'off')
+    } catch (e) {
+      Logger.error(this.name, `${name} failed to disable: ${e.message}`, { module: name, stack: e.stack })
+      this.#setState(entry, 'failed', 'disable', e.message)
+    }
+  }
+
+  #setState (entry, state, step = '', detail = '') {
+    entry.state = state
+    entry.step = step
+    entry.detail = detail
+  }
+
+  #describe (entry) {
+    return { state: entry.state, step: entry.step, detail: entry.detail }
+  }
+
+  #writeStatus () {
+    const status = {}
+    for (const entry of this.#entries) {
+      status[entry.moduleClass.settingsKey] = this.#describe(entry)
+    }
+
+    // Only write on change, prefs reload on every write
+    const serialized = JSON.stringify(status)
+    if (serialized === this.#writtenStatus) {
+      return
+    }
+
+    try {
+      ModuleStatus.write(this.#statusPath, status)
+      this.#writtenStatus = serialized
+    } catch (e) {
+      Logger.error(this.name, `Failed to write module status: ${e.message}`)
+    }
+  }
+}
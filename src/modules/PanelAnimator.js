@@ -0,0 +1,148 @@
+// SPDX-FileCopyrightText: Nowa Desktop Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import Gio from 'gi://Gio'
+import Clutter from 'gi://Clutter'
+
+import { _BaseModule } from './_BaseModule.js'
+import { Logger } from '../services/Logger.js'
+
+const INTERFACE_SCHEMA = 'org.gnome.desktop.interface'
+const ANIMATION_KEYS = ['overview-behavior', 'animation-duration', 'animation-easing']
+
+// Values of `animation-easing`
+const EASINGS = {
+  'linear': Clutter.AnimationMode.LINEAR,
+  'ease-out-quad': Clutter.AnimationMode.EASE_OUT_QUAD,
+  'ease-in-out-quad': Clutter.AnimationMode.EASE_IN_OUT_QUAD,
+  'ease-out-cubic': Clutter.AnimationMode.EASE_OUT_CUBIC,
+  'ease-in-out-cubic': Clutter.AnimationMode.EASE_IN_OUT_CUBIC,
+  'ease-out-expo': Clutter.AnimationMode.EASE_OUT_EXPO
+}
+
+/**
+* Panel Animator - moves the panel in and out of the overview and cross-fades styles
+*
+* Overview behaviors (`overview-behavior`):
+* - slide: the panel slides up out of view and back down
+* - fade: the panel fades out and back in
+* - none: the panel disappears and comes back at once
+* - keep: the panel stays visible with its own style
+*
+* Everything is instant while `enable-animations` is off.
+*/
+export class PanelAnimator extends _BaseModule {
+  #panel
+  #settings
+  #interfaceSettings = null
+  #onChanged
+
+  /**
+  * @param {St.Widget} panel - Panel to animate
+  * @param {Gio.Settings} settings - Extension settings
+  * @param {Function} onChanged - Called when an animation setting changes
+  */
+  constructor (panel, settings, onChanged) {
+    super()
+
+    this.#panel = panel
+    this.#settings = settings
+    this.#onChanged = onChanged
+  }
+
+  enable () {
+    super.enable()
+
+    this.#interfaceSettings = new Gio.Settings({ schema: INTERFACE_SCHEMA })
+    this.connectSignal(this.#interfaceSettings, 'changed::enable-animations', () => {
+      Logger.debug(this.name, `Animations ${this.animationsEnabled ? 'enabled' : 'disabled'}`)
+      this.#onChanged()
+    })
+
+    this.connectSignal(this.#settings, 'changed', (settings, key) => {
+      if (ANIMATION_KEYS.includes(key)) {
+        this.#onChanged()
+      }
+    })
+  }
+
+  disable () {
+    super.disable()
+
+    this.#panel.remove_all_transitions()
+    this.#interfaceSettings = null
+  }
+
+  get animationsEnabled () {
+    return this.#interfaceSettings?.get_boolean('enable-animations') ?? true
+  }
+
+  /**
+  * Animation length in ms, 0 while animations are off
+  */
+  get duration () {
+    return this.animationsEnabled ? this.#settings.get_int('animation-duration') : 0
+  }
+
+  /**
+  * Whether the panel leaves the screen while the overview shows
+  */
+  get hidesInOverview () {
+    return this.#settings.get_string('overview-behavior') !== 'keep'
+  }
+
+  /**
+  * Inline CSS that makes St cross-fade the panel background between styles
+  * @returns {string} Declaration, empty while animations are off
+  */
+  get transitionStyle () {
+    const duration = this.duration
+    return duration > 0 ? `transition-duration: ${duration}ms;` : ''
+  }
+
+  /**
+  * Takes the panel out of view as the overview shows
+  */
+  hideForOverview () {
+    const behavior = this.#settings.get_string('overview-behavior')
+    if (behavior === 'keep') {
+      return
+    }
+
+    const target = { opacity: 0 }
+    if (behavior === 'slide') {
+      target.translation_y = -this.#panel.height
+    }
+
+    this.#animate(behavior === 'none' ? 0 : this.duration, target)
+  }
+
+  /**
+  * Brings the panel back as the overview hides
+  * @param {number} opacity - Opacity to return to (0 keeps a hidden panel hidden)
+  * @param {Function} onComplete - Called once the panel is back
+  */
+  showAfterOverview (opacity, onComplete) {
+    const behavior = this.#settings.get_string('overview-behavior')
+    const duration = behavior === 'none' || behavior === 'keep' ? 0 : this.duration
+
+    this.#animate(duration, { translation_y: 0, opacity }, onComplete)
+  }
+
+  #animate (duration, target, onComplete = null) {
+    this.#panel.remove_all_transitions()
+
+    if (duration === 0) {
+      Object.assign(this.#panel, target)
+      onComplete?.()
+      return
+    }
+
+    this.#panel.ease({
+      ...target,
+      duration,
+      mode: EASINGS[this.#settings.get_string('animation-easing')] ?? Clutter.AnimationMode.EASE_OUT_QUAD,
+      onComplete: () => onComplete?.()
+    })
+  }
+}
@@ -0,0 +1,217 @@
+// SPDX-FileCopyrightText: Nowa Desktop Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import GLib from 'gi://GLib'
+import Gio from 'gi://Gio'
+
+import { _BaseModule } from './_BaseModule.js'
+import { Logger } from '../services/Logger.js'
+
+const BUS_NAME = 'org.nowaos.Panel'
+const OBJECT_PATH = '/org/nowaos/Panel'
+const ERROR_PREFIX = 'org.nowaos.Panel.Error'
+
+const INTERFACE_XML = `
+<node>
+  <interface name="org.nowaos.Panel">
+    <property name="Style" type="s" access="read"/>
+    <property name="Reason" type="s" access="read"/>
+    <property name="Mode" type="s" access="readwrite"/>
+    <property name="WindowState" type="s" access="read"/>
+    <property name="Maximized" type="b" access="read"/>
+    <property name="ForcedStyle" type="s" access="read"/>
+    <property name="LastAnalysis" type="s" access="read"/>
+    <method name="Reanalyze"/>
+    <method name="ForceStyle">
+      <arg type="s" name="style" direction="in"/>
+      <arg type="u" name="timeout" direction="in"/>
+    </method>
+    <method name="AnalyzeFile">
+      <arg type="s" name="path" direction="in"/>
+      <arg type="s" name="result" direction="out"/>
+    </method>
+    <method name="ExportLog">
+      <arg type="s" name="report" direction="out"/>
+    </method>
+    <signal name="StyleChanged">
+      <arg type="s" name="style"/>
+      <arg type="s" name="reason"/>
+    </signal>
+  </interface>
+</node>`
+
+/**
+* Panel D-Bus - exports the panel decision as org.nowaos.Panel on the session bus
+*
+* Properties mirror AdaptivePanel's status; analysis results are JSON strings.
+* Only needs an object with AdaptivePanel's public surface (status,
+* recentAnalyses, addListener, removeListener, reanalyze, forceStyle,
+* analyzeFile).
+*
+* ExportLog returns a bug report as JSON: the logger's recent entries, the
+* latest analyses, the current status and every extension setting.
+*/
+export class PanelDBus extends _BaseModule {
+  static settingsKey = 'enable-dbus'
+
+  #adaptivePanel
+  #settings
+  #connection
+  #dbusObject = null
+  #nameId = null
+  #properties = null
+  #onPanelChanged = () => this.#emitChanges()
+
+  /**
+  * @param {object} adaptivePanel - Panel to expose
+  * @param {Gio.Settings} settings - Extension settings
+  * @param {Gio.DBusConnection} connection - Bus to export on, the session bus by default
+  */
+  constructor (adaptivePanel, settings, connection = Gio.DBus.session) {
+    super()
+
+    this.#adaptivePanel = adaptivePanel
+    this.#settings = settings
+    this.#connection = connection
+  }
+
+  enable () {
+    super.enable()
+
+    this.#dbusObject = Gio.DBusExportedObject.wrapJSObject(INTERFACE_XML, this.#createImplementation())
+    this.#dbusObject.export(this.#connection, OBJECT_PATH)
+
+    this.#nameId = Gio.bus_own_name_on_connection(
+      this.#connection,
+      BUS_NAME,
+      Gio.BusNameOwnerFlags.NONE,
+      null,
+      () => Logger.error(this.name, `Could not own ${BUS_NAME}`)
+    )
+
+    this.#properties = this.#readProperties()
+    this.#adaptivePanel.addListener(this.#onPanelChanged)
+    this.connectSignal(this.#settings, 'changed::panel-mode', this.#onPanelChanged)
+
+    Logger.debug(this.name, `Exported ${BUS_NAME} at ${OBJECT_PATH}`)
+  }
+
+  disable () {
+    super.disable()
+
+    this.#adaptivePanel.removeListener(this.#onPanelChanged)
+
+    if (this.#nameId) {
+      Gio.bus_unown_name(this.#nameId)
+      this.#nameId = null
+    }
+
+    if (this.#dbusObject) {
+      this.#dbusObject.unexport()
+      this.#dbusObject = null
+    }
+
+    this.#properties = null
+  }
+
+  #readProperties () {
+    const status = this.#adaptivePanel.status
+
+    return {
+      Style: status.style ?? '',
+      Reason: status.reason ?? '',
+      Mode: this.#settings.get_string('panel-mode'),
+      WindowState: status.windowState,
+      Maximized: status.windowState === 'maximized' || status.windowState === 'fullscreen',
+      ForcedStyle: status.forcedStyle ?? '',
+      LastAnalysis: JSON.stringify(status.lastAnalysis ?? {})
+    }
+  }
+
+  #emitChanges () {
+    if (!this.#dbusObject) {
+      return
+    }
+
+    const previous = this.#properties
+    const current = this.#readProperties()
+    this.#properties = current
+
+    for (const [name, value] of Object.entries(current)) {
+      if (previous[name] !== value) {
+        this.#dbusObject.emit_property_changed(name, new GLib.Variant(typeof value === 'boolean' ? 'b' : 's', value))
+      }
+    }
+
+    if (previous.Style !== current.Style) {
+      this.#dbusObject.emit_signal('StyleChanged', new GLib.Variant('(ss)', [current.Style, current.Reason]))
+    }
+  }
+
+  #createImplementation () {
+    const properties = () => this.#properties ?? this.#readProperties()
+    const settings = this.#settings
+
+    return {
+      get Style () { return properties().Style },
+      get Reason () { return properties().Reason },
+      get WindowState () { return properties().WindowState },
+      get Maximized () { return properties().Maximized },
+      get ForcedStyle () { return properties().ForcedStyle },
+      get LastAnalysis () { return properties().LastAnalysis },
+
+      get Mode () { return properties().Mode },
+      set Mode (mode) {
+        const key = settings.settings_schema.get_key('panel-mode')
+        if (!key.range_check(new GLib.Variant('s', mode))) {
+          throw new Error(`Unknown panel mode '${mode}'`)
+        }
+        settings.set_string('panel-mode', mode)
+      },
+
+      Reanalyze: () => {
+        Logger.debug(this.name, 'Reanalyze requested')
+        this.#adaptivePanel.reanalyze()
+      },
+
+      ForceStyleAsync: ([style, timeout], invocation) => {
+        try {
+          this.#adaptivePanel.forceStyle(style, timeout)
+          invocation.return_value(null)
+        } catch (e) {
+          invocation.return_dbus_error(`${ERROR_PREFIX}.InvalidStyle`, e.message)
+        }
+      },
+
+      AnalyzeFileAsync: ([path], invocation) => {
+        this.#adaptivePanel.analyzeFile(path)
+          .then(result => {
+            if (result.error) {
+              invocation.return_dbus_error(`${ERROR_PREFIX}.Failed`, result.error)
+            } else {
+              invocation.return_value(new GLib.Variant('(s)', [JSON.stringify(result)]))
+            }
+          })
+          .catch(e => invocation.return_dbus_error(`${ERROR_PREFIX}.Failed`, e.message))
+      },
+
+      ExportLog: () => JSON.stringify(this.#buildReport())
+    }
+  }
+
+  #buildReport () {
+    const settings = {}
+    for (const key of this.#settings.settings_schema.list_keys().sort()) {
+      settings[key] = this.#settings.get_value(key).recursiveUnpack()
+    }
+
+    return {
+      time: new Date().toISOString(),
+      logLevel: Logger.level,
+      status: this.#adaptivePanel.status,
+      analyses: this.#adaptivePanel.recentAnalyses,
+      settings,
+      entries: Logger.getEntries()
+    }
+  }
+}
@@ -0,0 +1,126 @@
+// SPDX-FileCopyrightText: Nowa Desktop Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import GLib from 'gi://GLib'
+import Gio from 'gi://Gio'
+import St from 'gi://St'
+
+import { _BaseModule } from './_BaseModule.js'
+import { Logger } from '../services/Logger.js'
+import { PanelStyles } from '../services/PanelStyles.js'
+
+/**
+* Style Engine - loads the panel state styles built from the settings
+*
+* The stylesheet is written to a temporary file and loaded into the shell
+* theme, then replaced whenever a style setting or the shell theme changes.
+*/
+export class StyleEngine extends _BaseModule {
+  static settingsKey = 'enable-style-engine'
+
+  #settings
+  #styleKeys = new Set(PanelStyles.getAllKeys())
+  #themeContext = null
+  #theme = null
+  #stylesheet = null
+  #reloadSourceId = 0
+
+  /**
+  * @param {Gio.Settings} settings - Extension settings
+  */
+  constructor (settings) {
+    super()
+
+    this.#settings = settings
+  }
+
+  enable () {
+    super.enable()
+
+    this.#themeContext = St.ThemeContext.get_for_stage(global.stage)
+
+    // A new shell theme drops custom stylesheets; loading ours also emits
+    // 'changed', so only a different theme object counts
+    this.connectSignal(this.#themeContext, 'changed', () => {
+      if (this.#themeContext.get_theme() !== this.#theme) {
+        this.#load()
+      }
+    })
+
+    this.connectSignal(this.#settings, 'changed', (settings, key) => {
+      if (this.#styleKeys.has(key)) {
+        this.#scheduleReload()
+      }
+    })
+
+    this.#load()
+  }
+
+  disable () {
+    super.disable()
+
+    this.#reloadSourceId = 0
+    this.#unload()
+    this.#themeContext = null
+  }
+
+  // Resetting a state changes several keys at once
+  #scheduleReload () {
+    if (this.#reloadSourceId) {
+      return
+    }
+
+    this.#reloadSourceId = this.addIdle(() => {
+      this.#reloadSourceId = 0
+      this.#load()
+    })
+  }
+
+  #load () {
+    this.#unload()
+
+    const theme = this.#themeContext.get_theme()
+    if (!theme) {
+      return
+    }
+
+    try {
+      const css = PanelStyles.build(PanelStyles.read(this.#settings))
+      const [file, stream] = Gio.File.new_tmp('nowa-panel-XXXXXX.css')
+      try {
+        stream.output_stream.write_bytes(new GLib.Bytes(new TextEncoder().encode(css)), null)
+      } finally {
+        stream.close(null)
+      }
+
+      this.#theme = theme
+      this.#stylesheet = file
+      theme.load_stylesheet(file)
+
+      Logger.debug(this.name, `Loaded panel styles from ${file.get_path()}`)
+    } catch (e) {
+      Logger.error(this.name, `Failed to load panel styles: ${e.message}`)
+    }
+  }
+
+  #unload () {
+    if (!this.#stylesheet) {
+      return
+    }
+
+    try {
+      this.#theme?.unload_stylesheet(this.#stylesheet)
+    } catch (e) {
+      Logger.debug(this.name, `Stylesheet already gone with its theme: ${e.message}`)
+    }
+
+    try {
+      this.#stylesheet.delete(null)
+    } catch (e) {
+      Logger.error(this.name, `Failed to remove panel styles: ${e.message}`)
+    }
+
+    this.#theme = null
+    this.#stylesheet = null
+  }
+}
@@ -0,0 +1,187 @@
+// SPDX-FileCopyrightText: Nowa Desktop Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import Meta from 'gi://Meta'
+import * as Main from 'resource:///org/gnome/shell/ui/main.js'
+
+import { _BaseModule } from './_BaseModule.js'
+import { Logger } from '../services/Logger.js'
+
+// Pixels a window may sit below the work area top and still touch the panel
+const EDGE_TOLERANCE = 2
+// Window changes that can move it onto or off the panel edge
+const WINDOW_SIGNALS = [
+  'notify::maximized-horizontally',
+  'notify::maximized-vertically',
+  'notify::fullscreen',
+  'notify::minimized',
+  'size-changed',
+  'position-changed',
+  'workspace-changed'
+]
+
+/**
+* Window State Tracker - reports how windows on the active workspace meet the panel
+*
+* Follows the active workspace and the primary monitor. States, strongest first:
+* - fullscreen: a fullscreen window on the primary monitor
+* - maximized: a fully maximized window on the primary monitor
+* - edge: a window touching the panel edge (half-tiled, vertically maximized...)
+* - none: nothing touches the panel
+*/
+export class WindowStateTracker extends _BaseModule {
+  static STATES = ['none', 'edge', 'maximized', 'fullscreen']
+
+  #onChanged
+  #state = 'none'
+  #windows = new Set()
+
+  /**
+  * @param {Function} onChanged - Called with (state, previousState) when the state changes
+  */
+  constructor (onChanged) {
+    super()
+
+    this.#onChanged = onChanged
+  }
+
+  get state () {
+    return this.#state
+  }
+
+  /**
+  * The maximized window the panel sits above: the focused one if it is
+  * maximized, otherwise the top-most maximized window
+  * @returns {Meta.Window|null}
+  */
+  get maximizedWindow () {
+    const primaryIndex = Main.layoutManager.primaryIndex
+    const isMaximized = window => window &&
+      this.#isRelevant(window, primaryIndex) &&
+      window.get_maximized() === Meta.MaximizeFlags.BOTH
+
+    const focused = global.display.focus_window
+    if (isMaximized(focused) && focused.located_on_workspace(global.workspace_manager.get_active_workspace())) {
+      return focused
+    }
+
+    const windows = global.display.sort_windows_by_stacking(
+      global.workspace_manager.get_active_workspace().list_windows()
+    )
+
+    return windows.reverse().find(isMaximized) ?? null
+  }
+
+  enable () {
+    super.enable()
+
+    // Track every window, so moves between workspaces are seen too
+    global.display.list_all_windows().forEach(window => this.#trackWindow(window))
+
+    this.connectSignal(global.display, 'window-created', (display, window) => {
+      this.#trackWindow(window)
+      this.update()
+    })
+    this.connectSignal(global.display, 'notify::focus-window', () => this.update())
+    this.connectSignal(global.display, 'in-fullscreen-changed', () => this.update())
+
+    this.connectSignal(global.workspace_manager, 'active-workspace-changed', () => {
+      Logger.debug(this.name, 'Workspace switched')
+      this.update()
+    })
+
+    this.connectSignal(Main.layoutManager, 'monitors-changed', () => this.update())
+
+    this.#state = this.#computeState()
+  }
+
+  disable () {
+    super.disable()
+
+    this.#windows.clear()
+    this.#state = 'none'
+  }
+
+  /**
+  * Recomputes the state and notifies on change
+  */
+  update () {
+    const state = this.#computeState()
+    const previousState = this.#state
+
+    if (state === previousState) {
+      return
+    }
+
+    this.#state = state
+    Logger.debug(this.name, `Window state changed: ${previousState} -> ${state}`)
+    this.#onChanged(state, previousState)
+  }
+
+  #trackWindow (window) {
+    if (this.#windows.has(window)) {
+      return
+    }
+
+    const update = () => this.update()
+
+    WINDOW_SIGNALS.forEach(signal => this.connectSignal(window, signal, update))
+
+    this.connectSignal(window, 'unmanaged', () => {
+      this.disconnectSignals(window)
+      this.#windows.delete(window)
+      this.update()
+    })
+
+    this.#windows.add(window)
+  }
+
+  #computeState () {
+    const monitor = Main.layoutManager.primaryMonitor
+    if (!monitor) {
+      return 'none'
+    }
+
+    const primaryIndex = Main.layoutManager.primaryIndex
+    const workspace = global.workspace_manager.get_active_workspace()
+    const workArea = workspace.get_work_area_for_monitor(primaryIndex)
+
+    let strongest = 0
+
+    for (const window of workspace.list_windows()) {
+      if (!this.#isRelevant(window, primaryIndex)) {
+        continue
+      }
+
+      let state = 'none'
+
+      if (window.is_fullscreen()) {
+        state = 'fullscreen'
+      } else if (window.get_maximized() === Meta.MaximizeFlags.BOTH) {
+        state = 'maximized'
+      } else if (this.#touchesPanel(window, workArea)) {
+        state = 'edge'
+      }
+
+      strongest = Math.max(strongest, WindowStateTracker.STATES.indexOf(state))
+    }
+
+    return WindowStateTracker.STATES[strongest]
+  }
+
+  #isRelevant (window, primaryIndex) {
+    return !window.minimized &&
+      !window.is_hidden() &&
+      window.window_type === Meta.WindowType.NORMAL &&
+      window.get_monitor() === primaryIndex &&
+      window.showing_on_its_workspace()
+  }
+
+  #touchesPanel (window, workArea) {
+    const rect = window.get_frame_rect()
+
+    return rect.y <= workArea.y + EDGE_TOLERANCE &&
+      rect.x < workArea.x + workArea.width &&
+      rect.x + rect.width > workArea.x
+  }
+}
@@ -1,21 +1,173 @@
 // SPDX-FileCopyrightText: Nowa Desktop Contributors
 // SPDX-License-Identifier: GPL-3.0-or-later
 
+import GLib from 'gi://GLib'
+
 import { Logger } from '../services/Logger.js'
 
 /**
  * Base class for all Nowa Desktop modules
+ *
+ * Signal handlers, timeouts and idles made through the tracked helpers are
+ * released by disable(), so a module can be enabled and disabled any number
+ * of times (the shell does so on every lock) without leaving anything behind.
+ * Helpers called while the module is disabled, typically from an async
+ * continuation that outlived it, create nothing and are reported, as are
+ * handlers that fail to disconnect.
  */
 export class _BaseModule {
+  // Boolean setting that turns the module on in the ModuleRegistry, null for
+  // modules run by another module
+  static settingsKey = null
+
+  #enabled = false
+  // Tracked handlers as {object, signal, id}
+  #signals = []
+  #sources = new Set()
+
   enable () {
     Logger.debug(this.name, 'Enabling...')
+    this.#enabled = true
   }
 
   disable () {
     Logger.debug(this.name, 'Disabling...')
+    this.#enabled = false
+    this.#releaseAll()
   }
 
   get name () {
     return this.constructor.name
   }
+
+  get enabled () {
+    return this.#enabled
+  }
+
+  /**
+  * Number of tracked handlers and sources still alive, 0 after disable
+  * @returns {object} {signals, sources}
+  */
+  get trackedResources () {
+    return { signals: this.#signals.length, sources: this.#sources.size }
+  }
+
+  /**
+  * Connects a signal handler that disable() disconnects
+  * @param {object} object - GObject or anything with connect/disconnect
+  * @param {string} signal - Signal name
+  * @param {Function} callback - Handler
+  * @returns {number} Handler id, 0 while disabled
+  */
+  connectSignal (object, signal, callback) {
+    if (!this.#checkEnabled(`Handler for '${signal}'`)) {
+      return 0
+    }
+
+    const id = object.connect(signal, callback)
+    this.#signals.push({ object, signal, id })
+    return id
+  }
+
+  /**
+  * Disconnects the tracked handlers on one object, e.g. one going away
+  * @param {object} object - Object passed to connectSignal
+  */
+  disconnectSignals (object) {
+    const released = this.#signals.filter(signal => signal.object === object)
+    this.#signals = this.#signals.filter(signal => signal.object !== object)
+    released.forEach(signal => this.#disconnect(signal))
+  }
+
+  /**
+  * Runs a callback once after a delay, unless it returns GLib.SOURCE_CONTINUE
+  * @param {number} interval - Delay in ms
+  * @param {Function} callback - Called without arguments
+  * @returns {number} Source id, 0 while disabled
+  */
+  addTimeout (interval, callback) {
+    return this.#addSource('Timeout', handler => GLib.timeout_add(GLib.PRIORITY_DEFAULT, interval, handler), callback)
+  }
+
+  /**
+  * addTimeout() with a delay in seconds, for long waits that may be batched
+  * @param {number} interval - Delay in seconds
+  * @param {Function} callback - Called without arguments
+  * @returns {number} Source id, 0 while disabled
+  */
+  addTimeoutSeconds (interval, callback) {
+    return this.#addSource('Timeout', handler => GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, interval, handler), callback)
+  }
+
+  /**
+  * Runs a callback once when the main loop is idle, unless it returns GLib.SOURCE_CONTINUE
+  * @param {Function} callback - Called without arguments
+  * @returns {number} Source id, 0 while disabled
+  */
+  addIdle (callback) {
+    return this.#addSource('Idle', handler => GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, handler), callback)
+  }
+
+  /**
+  * Removes a tracked timeout or idle before it runs; ids already gone are ignored
+  * @param {number} id - Source id
+  */
+  removeSource (id) {
+    if (this.#sources.delete(id)) {
+      GLib.source_remove(id)
+    }
+  }
+
+  #addSource (kind, create, callback) {
+    if (!this.#checkEnabled(kind)) {
+      return 0
+    }
+
+    const id = create(() => {
+      if (callback() === GLib.SOURCE_CONTINUE) {
+        return GLib.SOURCE_CONTINUE
+      }
+
+      this.#sources.delete(id)
+      return GLib.SOURCE_REMOVE
+    })
+
+    this.#sources.add(id)
+    return id
+  }
+
+  #checkEnabled (what) {
+    if (!this.#enabled) {
+      Logger.warn(this.name, `${what} requested while disabled, ignored`)
+    }
+    return this.#enabled
+  }
+
+  #disconnect ({ object, signal, id }) {
+    try {
+      object.disconnect(id)
+      return true
+    } catch (e) {
+      Logger.warn(this.name, `Could not disconnect '${signal}': ${e.message}`)
+      return false
+    }
+  }
+
+  #releaseAll () {
+    const signals = this.#signals
+    const sources = [...this.#sources]
+    this.#signals = []
+    this.#sources.clear()
+
+    const alive = signals.filter(signal => !this.#disconnect(signal))
+    sources.forEach(id => GLib.source_remove(id))
+
+    if (signals.length > 0 || sources.length > 0) {
+      Logger.debug(this.name, `Released ${signals.length} signal handlers and ${sources.length} sources`)
+    }
+
+    if (alive.length > 0) {
+      Logger.warn(this.name, `Still connected after disable: ${alive.map(signal => `'${signal.signal}'`).join(', ')}`)
+    }
+  }
 }
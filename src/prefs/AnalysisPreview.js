@@ -0,0 +1,420 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import Adw from 'gi://Adw'
+import Gdk from 'gi://Gdk'
+import GdkPixbuf from 'gi://GdkPixbuf'
+import Gio from 'gi://Gio'
+import GLib from 'gi://GLib'
+import Gtk from 'gi://Gtk'
+import Cairo from 'cairo'
+
+import { WallpaperAnalyzer } from '../services/WallpaperAnalyzer.js'
+import { SlideshowParser } from '../services/SlideshowParser.js'
+import { PanelTint } from '../services/PanelTint.js'
+import { PanelStyles } from '../services/PanelStyles.js'
+import { WallpaperPins } from '../services/WallpaperPins.js'
+import { Logger } from '../services/Logger.js'
+
+Gio._promisify(Gio.File.prototype, 'read_async')
+Gio._promisify(Gio.File.prototype, 'load_contents_async')
+Gio._promisify(GdkPixbuf.Pixbuf, 'get_file_info_async')
+Gio._promisify(GdkPixbuf.Pixbuf, 'new_from_stream_at_scale_async', 'new_from_stream_finish')
+
+// Thumbnails are decoded at this width, the mock panel is cut from them
+const THUMBNAIL_WIDTH = 960
+const THUMBNAIL_HEIGHT = 220
+const PANEL_HEIGHT = 32
+const GAP = 12
+
+const STYLE_NAMES = {
+  'dark': 'Dark',
+  'light': 'Light',
+  'translucent-dark': 'Translucent Dark',
+  'translucent-light': 'Translucent Light',
+}
+
+/**
+* Preview of what automatic mode sees on the current wallpaper
+*
+* The wallpaper is analyzed once when it changes; moving the threshold or
+* switching strategy only decides again on that analysis.
+*/
+export class AnalysisPreview {
+  static buildGroup (settings, scope) {
+    const group = new Adw.PreferencesGroup({
+      title: 'Preview',
+      description: 'The current wallpaper, with the panel strip that is analyzed',
+    })
+
+    const backgroundSettings = new Gio.Settings({ schema_id: 'org.gnome.desktop.background' })
+    const interfaceSettings = new Gio.Settings({ schema_id: 'org.gnome.desktop.interface' })
+
+    const state = {
+      thumbnail: null,
+      region: null,
+      background: null,
+      result: null,
+      style: null,
+      tint: null,
+      definitions: PanelStyles.read(settings),
+      cancellable: null,
+    }
+
+    const drawingArea = new Gtk.DrawingArea({
+      content_height: THUMBNAIL_HEIGHT + GAP + PANEL_HEIGHT,
+      hexpand: true,
+      margin_bottom: GAP,
+    })
+
+    drawingArea.set_draw_func((area, cr, width, height) => {
+      try {
+        AnalysisPreview.#draw(cr, width, state)
+      } finally {
+        cr.$dispose()
+      }
+    })
+
+    group.add(drawingArea)
+
+    const styleLabel = AnalysisPreview.#addValueRow(group, 'Style')
+    const luminanceLabel = AnalysisPreview.#addValueRow(group, 'Mean Luminance')
+    const deviationLabel = AnalysisPreview.#addValueRow(group, 'Standard Deviation')
+    const rangeLabel = AnalysisPreview.#addValueRow(group, 'Luminance Range')
+    const busyLabel = AnalysisPreview.#addValueRow(group, 'Busy')
+
+    // Decides on the last analysis with the current settings, no reloading
+    const evaluate = () => {
+      const result = state.result
+      if (!result || result.error) {
+        styleLabel.label = result ? 'Could not analyze the wallpaper' : 'Analyzing…'
+        for (const label of [luminanceLabel, deviationLabel, rangeLabel, busyLabel]) {
+          label.label = '—'
+        }
+        state.style = null
+        drawingArea.queue_draw()
+        return
+      }
+
+      const threshold = settings.get_double('luminance-threshold')
+      const evaluation = WallpaperAnalyzer.evaluate(result, {
+        luminanceThreshold: threshold,
+        strategy: settings.get_string('style-strategy'),
+        minContrastRatio: settings.get_double('min-contrast-ratio'),
+      })
+
+      const mode = settings.get_string('panel-mode')
+      const manual = mode in STYLE_NAMES
+      state.style = manual ? mode : evaluation.style
+      state.tint = mode === 'tinted'
+        ? PanelTint.compute(state.style, result.palette, PanelStyles.parseColor(state.definitions.light.foreground))
+        : null
+
+      const source = manual ? 'manual mode' : `${evaluation.strategy} strategy`
+      styleLabel.label = `${STYLE_NAMES[state.style]} (${source})`
+      luminanceLabel.label = `${result.meanLuminance.toFixed(3)} (${evaluation.isBgDark ? 'below' : 'above'} ${threshold.toFixed(3)})`
+      deviationLabel.label = result.luminanceStd.toFixed(3)
+      rangeLabel.label = evaluation.range.toFixed(3)
+
+      const flags = [
+        evaluation.highVariance && 'high variance',
+        evaluation.nearBoundary && 'near threshold',
+        evaluation.highContrast && 'wide range',
+      ].filter(Boolean)
+      busyLabel.label = evaluation.isBusy ? `Yes: ${flags.join(', ')}` : 'No'
+
+      drawingArea.queue_draw()
+    }
+
+    const reload = () => {
+      state.cancellable?.cancel()
+      const cancellable = new Gio.Cancellable()
+      state.cancellable = cancellable
+
+      AnalysisPreview.#load(settings, backgroundSettings, interfaceSettings, cancellable).then(loaded => {
+        Object.assign(state, loaded)
+        evaluate()
+      }).catch(e => {
+        if (e instanceof GLib.Error && e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+          return
+        }
+        Logger.error('AnalysisPreview', `Preview failed: ${e.message}`)
+        Object.assign(state, { thumbnail: null, region: null, background: null, result: { error: e.message } })
+        evaluate()
+      })
+    }
+
+    for (const key of ['luminance-threshold', 'style-strategy', 'min-contrast-ratio', 'panel-mode']) {
+      scope.connect(settings, `changed::${key}`, evaluate)
+    }
+
+    // The mock panel uses the colors from the Styles page
+    scope.connect(settings, 'changed', (_settings, key) => {
+      if (PanelStyles.getAllKeys().includes(key)) {
+        state.definitions = PanelStyles.read(settings)
+        // Contrast is scored against these colors, analyze again
+        reload()
+      }
+    })
+
+    scope.connect(backgroundSettings, 'changed', reload)
+    scope.connect(interfaceSettings, 'changed::color-scheme', reload)
+    scope.onRelease(() => state.cancellable?.cancel())
+
+    evaluate()
+    reload()
+
+    return group
+  }
+
+  static #addValueRow (group, title) {
+    const label = new Gtk.Label({
+      css_classes: ['dim-label'],
+      selectable: true,
+    })
+
+    const row = new Adw.ActionRow({ title })
+    row.add_suffix(label)
+    group.add(row)
+
+    return label
+  }
+
+  /**
+  * Analyzes the wallpaper (or background colors) and decodes a thumbnail
+  * @returns {Promise<object>} {thumbnail, region, background, result}
+  */
+  static async #load (settings, backgroundSettings, interfaceSettings, cancellable) {
+    const criteria = {
+      luminanceThreshold: settings.get_double('luminance-threshold'),
+      strategy: settings.get_string('style-strategy'),
+      minContrastRatio: settings.get_double('min-contrast-ratio'),
+      styles: PanelStyles.read(settings),
+    }
+    const pictureOptions = backgroundSettings.get_string('picture-options')
+    const screen = AnalysisPreview.#getScreen(pictureOptions)
+
+    const darkMode = interfaceSettings.get_string('color-scheme') === 'prefer-dark'
+    const uri = backgroundSettings.get_string(darkMode ? 'picture-uri-dark' : 'picture-uri')
+    let path = WallpaperPins.uriToPath(uri)
+
+    // No image: only the background colors show
+    if (!path || pictureOptions === 'none') {
+      const background = {
+        primaryColor: backgroundSettings.get_string('primary-color'),
+        secondaryColor: backgroundSettings.get_string('secondary-color'),
+        shadingType: backgroundSettings.get_string('color-shading-type'),
+      }
+
+      return {
+        thumbnail: null,
+        region: null,
+        background,
+        result: WallpaperAnalyzer.analyzeColors(background, criteria, PANEL_HEIGHT, screen),
+      }
+    }
+
+    if (SlideshowParser.isSlideshow(path)) {
+      path = await AnalysisPreview.#getSlideshowImage(path, screen, cancellable)
+    }
+
+    const result = await WallpaperAnalyzer.analyze(path, criteria, PANEL_HEIGHT, screen, cancellable)
+    if (result.error) {
+      return { thumbnail: null, region: null, background: null, result }
+    }
+
+    const [, fullWidth] = await GdkPixbuf.Pixbuf.get_file_info_async(path, cancellable)
+    const stream = await Gio.File.new_for_path(path).read_async(GLib.PRIORITY_DEFAULT, cancellable)
+    let thumbnail
+    try {
+      thumbnail = await GdkPixbuf.Pixbuf.new_from_stream_at_scale_async(stream, THUMBNAIL_WIDTH, -1, true, cancellable)
+    } finally {
+      stream.close(null)
+    }
+
+    // Analyzed region in thumbnail pixels
+    const scale = thumbnail.get_width() / fullWidth
+    const region = {
+      x: result.region.x * scale,
+      y: result.region.y * scale,
+      width: Math.max(1, result.region.width * scale),
+      height: Math.max(1, result.region.height * scale),
+    }
+
+    return { thumbnail, region, background: null, result }
+  }
+
+  /**
+  * Image showing now; mid-transition the frame that dominates
+  */
+  static async #getSlideshowImage (path, screen, cancellable) {
+    const [contents] = await Gio.File.new_for_path(path).load_contents_async(cancellable)
+    const slideshow = SlideshowParser.parse(new TextDecoder().decode(contents), GLib.path_get_dirname(path))
+    const frame = SlideshowParser.getFrame(slideshow)
+
+    let files = frame.files
+    if (frame.type === 'transition') {
+      files = frame.progress < 0.5 ? frame.from : frame.to
+    }
+
+    const scale = screen?.scaleFactor || 1
+    return SlideshowParser.pickFile(files, (screen?.monitorWidth || 0) * scale, (screen?.monitorHeight || 0) * scale)
+  }
+
+  /**
+  * Geometry of the first monitor, in the form WallpaperAnalyzer expects
+  */
+  static #getScreen (pictureOptions) {
+    const monitors = Gdk.Display.get_default()?.get_monitors()
+    if (!monitors || monitors.get_n_items() === 0) {
+      return null
+    }
+
+    const rects = []
+    for (let i = 0; i < monitors.get_n_items(); i++) {
+      rects.push(monitors.get_item(i).get_geometry())
+    }
+
+    // Bounding box of all monitors, used by the 'spanned' option
+    const left = Math.min(...rects.map(r => r.x))
+    const top = Math.min(...rects.map(r => r.y))
+    const right = Math.max(...rects.map(r => r.x + r.width))
+    const bottom = Math.max(...rects.map(r => r.y + r.height))
+
+    return {
+      monitorX: rects[0].x,
+      monitorY: rects[0].y,
+      monitorWidth: rects[0].width,
+      monitorHeight: rects[0].height,
+      scaleFactor: monitors.get_item(0).get_scale_factor(),
+      pictureOptions,
+      spanArea: { x: left, y: top, width: right - left, height: bottom - top },
+    }
+  }
+
+  /**
+  * Thumbnail with the analyzed strip outlined, the mock panel below it
+  */
+  static #draw (cr, width, state) {
+    if (!state.style || (!state.thumbnail && !state.background)) {
+      return
+    }
+
+    const imageWidth = state.thumbnail?.get_width() ?? 16
+    const imageHeight = state.thumbnail?.get_height() ?? 9
+    const scale = Math.min(width / imageWidth, THUMBNAIL_HEIGHT / imageHeight)
+    const drawWidth = imageWidth * scale
+    const drawHeight = imageHeight * scale
+    const x = Math.round((width - drawWidth) / 2)
+
+    // Colors only: the panel covers the top of the screen
+    const region = state.region ?? { x: 0, y: 0, width: imageWidth, height: imageHeight * 0.03 }
+
+    cr.save()
+    cr.translate(x, 0)
+    cr.scale(scale, scale)
+    AnalysisPreview.#paintBackground(cr, state, 0, 0, imageWidth, imageHeight)
+    cr.restore()
+
+    // Dark and light outline, visible on any wallpaper
+    const outline = [x + region.x * scale, region.y * scale, region.width * scale, region.height * scale]
+    cr.setLineWidth(3)
+    cr.setSourceRGBA(0, 0, 0, 0.6)
+    cr.rectangle(...outline)
+    cr.stroke()
+    cr.setLineWidth(1)
+    cr.setSourceRGBA(1, 1, 1, 1)
+    cr.rectangle(...outline)
+    cr.stroke()
+
+    // Mock panel: the strip stretched to panel height
+    const panelY = drawHeight + GAP
+    cr.save()
+    cr.rectangle(x, panelY, drawWidth, PANEL_HEIGHT)
+    cr.clip()
+    cr.translate(x, panelY)
+    cr.scale(drawWidth / region.width, PANEL_HEIGHT / region.height)
+    cr.translate(-region.x, -region.y)
+    AnalysisPreview.#paintBackground(cr, state, 0, 0, imageWidth, imageHeight)
+    cr.restore()
+
+    AnalysisPreview.#paintPanel(cr, state, x, panelY, drawWidth)
+  }
+
+  static #paintBackground (cr, state, x, y, width, height) {
+    if (state.thumbnail) {
+      Gdk.cairo_set_source_pixbuf(cr, state.thumbnail, x, y)
+      cr.paint()
+      return
+    }
+
+    const { primaryColor, secondaryColor, shadingType } = state.background
+    const primary = AnalysisPreview.#parseColor(primaryColor)
+    const secondary = AnalysisPreview.#parseColor(secondaryColor)
+
+    if (shadingType === 'horizontal' || shadingType === 'vertical') {
+      const gradient = shadingType === 'horizontal'
+        ? new Cairo.LinearGradient(x, y, x + width, y)
+        : new Cairo.LinearGradient(x, y, x, y + height)
+      gradient.addColorStopRGB(0, ...primary)
+      gradient.addColorStopRGB(1, ...secondary)
+      cr.setSource(gradient)
+    } else {
+      cr.setSourceRGB(...primary)
+    }
+
+    cr.rectangle(x, y, width, height)
+    cr.fill()
+  }
+
+  /**
+  * Backing, "Activities", clock and indicators in the style's colors
+  */
+  static #paintPanel (cr, state, x, y, width) {
+    const definition = state.definitions[state.style]
+    let backing = AnalysisPreview.#toCairo(definition.background)
+    let text = AnalysisPreview.#toCairo(definition.foreground)
+
+    if (state.tint) {
+      const { r, g, b } = state.tint.color
+      backing = [r / 255, g / 255, b / 255, state.tint.alpha]
+      text = AnalysisPreview.#toCairo(state.definitions[state.tint.darkText ? 'light' : 'dark'].foreground)
+    }
+
+    cr.setSourceRGBA(...backing)
+    cr.rectangle(x, y, width, PANEL_HEIGHT)
+    cr.fill()
+
+    const weight = definition.bold ? Cairo.FontWeight.BOLD : Cairo.FontWeight.NORMAL
+    cr.setSourceRGBA(...text)
+    cr.selectFontFace('Sans', Cairo.FontSlant.NORMAL, weight)
+    cr.setFontSize(13)
+    const baseline = y + PANEL_HEIGHT / 2 + 5
+
+    cr.moveTo(x + 12, baseline)
+    cr.showText('Activities')
+
+    const clock = GLib.DateTime.new_now_local().format('%a %H:%M')
+    const extents = cr.textExtents(clock)
+    cr.moveTo(x + (width - extents.width) / 2, baseline)
+    cr.showText(clock)
+
+    for (let i = 0; i < 3; i++) {
+      cr.arc(x + width - 16 - i * 18, y + PANEL_HEIGHT / 2, 5, 0, 2 * Math.PI)
+      cr.fill()
+    }
+  }
+
+  static #toCairo (value) {
+    const color = PanelStyles.parseColor(value) ?? { r: 0, g: 0, b: 0, a: 0 }
+    return [color.r / 255, color.g / 255, color.b / 255, color.a]
+  }
+
+  static #parseColor (value) {
+    const rgba = new Gdk.RGBA()
+    if (!rgba.parse(value)) {
+      return [0, 0, 0]
+    }
+    return [rgba.red, rgba.green, rgba.blue]
+  }
+}
@@ -2,13 +2,21 @@
 // SPDX-License-Identifier: GPL-3.0-or-later
 
 import Adw from 'gi://Adw'
+import Gdk from 'gi://Gdk'
+import Gio from 'gi://Gio'
+import GLib from 'gi://GLib'
 import Gtk from 'gi://Gtk'
 
+import { AnalysisPreview } from './AnalysisPreview.js'
+import { PanelStyles } from '../services/PanelStyles.js'
+import { WallpaperPins } from '../services/WallpaperPins.js'
+import { ModuleStatus } from '../services/ModuleStatus.js'
+
 /**
 * Panel preferences page
 */
 export class PanelPrefs {
-  static buildPage (settings) {
+  static buildPage (settings, scope) {
     const page = new Adw.PreferencesPage({
       title: 'Panel',
       icon_name: 'video-display-symbolic',
@@ -27,6 +35,7 @@ export class PanelPrefs {
       model: new Gtk.StringList({
         strings: [
           'Automatic',
+          'Automatic (Tinted)',
           'Dark',
           'Light',
           'Translucent Dark',
@@ -38,12 +47,13 @@ export class PanelPrefs {
     const currentMode = settings.get_string('panel-mode')
     const modeMap = {
       'automatic': 0,
-      'dark': 1,
-      'light': 2,
-      'translucent-dark': 3,
-      'translucent-light': 4,
+      'tinted': 1,
+      'dark': 2,
+      'light': 3,
+      'translucent-dark': 4,
+      'translucent-light': 5,
     }
-    const reverseModeMap = ['automatic', 'dark', 'light', 'translucent-dark', 'translucent-light']
+    const reverseModeMap = ['automatic', 'tinted', 'dark', 'light', 'translucent-dark', 'translucent-light']
 
     modeRow.set_selected(modeMap[currentMode] || 0)
     modeRow.connect('notify::selected', (widget) => {
@@ -52,6 +62,27 @@ export class PanelPrefs {
 
     panelGroup.add(modeRow)
 
+    // Style decision strategy
+    const strategyRow = new Adw.ComboRow({
+      title: 'Strategy',
+      subtitle: 'How automatic mode picks a style',
+      model: new Gtk.StringList({
+        strings: [
+          'Luminance Threshold',
+          'WCAG Contrast',
+        ],
+      }),
+    })
+
+    const strategies = ['threshold', 'contrast']
+
+    strategyRow.set_selected(Math.max(0, strategies.indexOf(settings.get_string('style-strategy'))))
+    strategyRow.connect('notify::selected', (widget) => {
+      settings.set_string('style-strategy', strategies[widget.selected])
+    })
+
+    panelGroup.add(strategyRow)
+
     // Luminance threshold
     const luminanceRow = new Adw.SpinRow({
       title: 'Luminance Threshold',
@@ -72,8 +103,852 @@ export class PanelPrefs {
 
     panelGroup.add(luminanceRow)
 
+    // Minimum contrast ratio
+    const contrastRow = new Adw.ComboRow({
+      title: 'Minimum Contrast',
+      subtitle: 'Ratio the panel text must reach',
+      model: new Gtk.StringList({
+        strings: [
+          '4.5:1 (normal text)',
+          '3:1 (large text)',
+        ],
+      }),
+    })
+
+    const contrastRatios = [4.5, 3.0]
+
+    contrastRow.set_selected(settings.get_double('min-contrast-ratio') <= 3.0 ? 1 : 0)
+    contrastRow.connect('notify::selected', (widget) => {
+      settings.set_double('min-contrast-ratio', contrastRatios[widget.selected])
+    })
+
+    panelGroup.add(contrastRow)
+
+    // Hysteresis margin
+    const hysteresisRow = new Adw.SpinRow({
+      title: 'Stability Margin',
+      subtitle: 'How clearly a wallpaper must cross the boundary before switching between dark and light',
+      adjustment: new Gtk.Adjustment({
+        lower: 0.0,
+        upper: 0.25,
+        step_increment: 0.005,
+        page_increment: 0.05,
+      }),
+      digits: 3,
+    })
+
+    hysteresisRow.set_value(settings.get_double('hysteresis-margin'))
+    hysteresisRow.connect('notify::value', (widget) => {
+      settings.set_double('hysteresis-margin', widget.value)
+    })
+
+    panelGroup.add(hysteresisRow)
+
+    // Only the active strategy's setting applies
+    const updateStrategyRows = () => {
+      const isContrast = settings.get_string('style-strategy') === 'contrast'
+      luminanceRow.sensitive = !isContrast
+      contrastRow.sensitive = isContrast
+    }
+
+    scope.connect(settings, 'changed::style-strategy', updateStrategyRows)
+    updateStrategyRows()
+
+    // Per-box styling
+    const perBoxRow = new Adw.SwitchRow({
+      title: 'Per-Box Styling',
+      subtitle: 'Style the left, center and right boxes separately',
+    })
+
+    settings.bind('per-box-styling', perBoxRow, 'active', Gio.SettingsBindFlags.DEFAULT)
+
+    panelGroup.add(perBoxRow)
+
+    // Lock screen
+    const lockStyles = ['automatic', 'dark', 'light', 'translucent-dark', 'translucent-light', 'maximized']
+    const lockScreenRow = new Adw.ComboRow({
+      title: 'Lock Screen',
+      subtitle: 'Panel style on the lock screen and unlock dialog',
+      model: new Gtk.StringList({
+        strings: [
+          'Follow Lock Screen Background',
+          'Dark',
+          'Light',
+          'Translucent Dark',
+          'Translucent Light',
+          'Solid Black',
+        ],
+      }),
+    })
+
+    lockScreenRow.set_selected(Math.max(0, lockStyles.indexOf(settings.get_string('lock-screen-style'))))
+    lockScreenRow.connect('notify::selected', (widget) => {
+      settings.set_string('lock-screen-style', lockStyles[widget.selected])
+    })
+
+    panelGroup.add(lockScreenRow)
+
     page.add(panelGroup)
 
+    // === PREVIEW GROUP ===
+    page.add(AnalysisPreview.buildGroup(settings, scope))
+
+    // === WINDOWS GROUP ===
+    const windowsGroup = new Adw.PreferencesGroup({
+      title: 'Windows',
+      description: 'Panel appearance when windows meet the panel',
+    })
+
+    const windowStateRows = [
+      ['maximized-style', 'Maximized Window', 'A window fills the primary monitor'],
+      ['fullscreen-style', 'Fullscreen Window', 'A window is fullscreen on the primary monitor'],
+      ['edge-style', 'Window at Panel Edge', 'A window touches the panel, for example half-tiled'],
+    ]
+
+    const windowStyles = ['automatic', 'dark', 'light', 'translucent-dark', 'translucent-light', 'maximized']
+
+    for (const [key, title, subtitle] of windowStateRows) {
+      const row = new Adw.ComboRow({
+        title,
+        subtitle,
+        model: new Gtk.StringList({
+          strings: [
+            'Follow Wallpaper',
+            'Dark',
+            'Light',
+            'Translucent Dark',
+            'Translucent Light',
+            'Solid Black',
+          ],
+        }),
+      })
+
+      row.set_selected(Math.max(0, windowStyles.indexOf(settings.get_string(key))))
+      row.connect('notify::selected', (widget) => {
+        settings.set_string(key, windowStyles[widget.selected])
+      })
+
+      windowsGroup.add(row)
+    }
+
+    // Header bar matching
+    const headerBarRow = new Adw.SwitchRow({
+      title: 'Match Header Bar',
+      subtitle: 'Take the maximized window\'s header bar color instead of solid black',
+    })
+
+    settings.bind('match-header-bar', headerBarRow, 'active', Gio.SettingsBindFlags.DEFAULT)
+
+    windowsGroup.add(headerBarRow)
+
+    page.add(windowsGroup)
+
+    // === ANIMATIONS GROUP ===
+    const animationsGroup = new Adw.PreferencesGroup({
+      title: 'Animations',
+      description: 'Skipped while animations are turned off in the system settings',
+    })
+
+    const overviewRow = new Adw.ComboRow({
+      title: 'Overview',
+      subtitle: 'What the panel does while the overview shows',
+      model: new Gtk.StringList({
+        strings: [
+          'Slide Out',
+          'Fade Out',
+          'Disappear',
+          'Stay Visible',
+        ],
+      }),
+    })
+
+    const overviewBehaviors = ['slide', 'fade', 'none', 'keep']
+
+    overviewRow.set_selected(Math.max(0, overviewBehaviors.indexOf(settings.get_string('overview-behavior'))))
+    overviewRow.connect('notify::selected', (widget) => {
+      settings.set_string('overview-behavior', overviewBehaviors[widget.selected])
+    })
+
+    animationsGroup.add(overviewRow)
+
+    const durationRow = new Adw.SpinRow({
+      title: 'Duration',
+      subtitle: 'Milliseconds, also used to cross-fade between styles',
+      adjustment: new Gtk.Adjustment({
+        lower: 0,
+        upper: 1000,
+        step_increment: 10,
+        page_increment: 100,
+      }),
+    })
+
+    settings.bind('animation-duration', durationRow, 'value', Gio.SettingsBindFlags.DEFAULT)
+
+    animationsGroup.add(durationRow)
+
+    const easingRow = new Adw.ComboRow({
+      title: 'Easing',
+      model: new Gtk.StringList({
+        strings: [
+          'Linear',
+          'Ease Out',
+          'Ease In and Out',
+          'Ease Out (Cubic)',
+          'Ease In and Out (Cubic)',
+          'Ease Out (Exponential)',
+        ],
+      }),
+    })
+
+    const easings = ['linear', 'ease-out-quad', 'ease-in-out-quad', 'ease-out-cubic', 'ease-in-out-cubic', 'ease-out-expo']
+
+    easingRow.set_selected(Math.max(0, easings.indexOf(settings.get_string('animation-easing'))))
+    easingRow.connect('notify::selected', (widget) => {
+      settings.set_string('animation-easing', easings[widget.selected])
+    })
+
+    animationsGroup.add(easingRow)
+
+    page.add(animationsGroup)
+
+    page.add(PanelPrefs.#buildAppRulesGroup(settings, scope))
+
+    page.add(PanelPrefs.#buildPinnedStylesGroup(settings, scope))
+
+    page.add(PanelPrefs.#buildModulesGroup(settings, scope))
+
+    page.add(PanelPrefs.#buildTroubleshootingGroup(settings))
+
+    return page
+  }
+
+  static buildStylesPage (settings, scope) {
+    const page = new Adw.PreferencesPage({
+      title: 'Styles',
+      icon_name: 'applications-graphics-symbolic',
+    })
+
+    const states = [
+      ['dark', 'Dark', 'Transparent panel over dark wallpapers'],
+      ['light', 'Light', 'Transparent panel over light wallpapers'],
+      ['translucent-dark', 'Translucent Dark', 'Backing for busy dark wallpapers'],
+      ['translucent-light', 'Translucent Light', 'Backing for busy light wallpapers'],
+      ['maximized', 'Solid', 'Panel next to maximized and fullscreen windows'],
+    ]
+
+    for (const [state, title, description] of states) {
+      const keys = PanelStyles.getKeys(state)
+      const group = new Adw.PreferencesGroup({ title, description })
+
+      const resetButton = new Gtk.Button({
+        icon_name: 'edit-undo-symbolic',
+        tooltip_text: 'Reset to Defaults',
+        valign: Gtk.Align.CENTER,
+        css_classes: ['flat'],
+      })
+
+      resetButton.connect('clicked', () => {
+        Object.values(keys).forEach(key => settings.reset(key))
+      })
+
+      group.set_header_suffix(resetButton)
+
+      group.add(PanelPrefs.#buildColorRow(settings, scope, keys.background, 'Background', 'Panel color, transparency included'))
+      group.add(PanelPrefs.#buildColorRow(settings, scope, keys.foreground, 'Foreground', 'Text and icon color'))
+
+      const shadowRow = new Adw.SpinRow({
+        title: 'Text Shadow',
+        subtitle: 'Strength of the shadow behind text and icons',
+        adjustment: new Gtk.Adjustment({
+          lower: 0.0,
+          upper: 1.0,
+          step_increment: 0.05,
+          page_increment: 0.25,
+        }),
+        digits: 2,
+      })
+
+      settings.bind(keys.textShadow, shadowRow, 'value', Gio.SettingsBindFlags.DEFAULT)
+
+      group.add(shadowRow)
+
+      const boldRow = new Adw.SwitchRow({
+        title: 'Bold Text',
+      })
+
+      settings.bind(keys.bold, boldRow, 'active', Gio.SettingsBindFlags.DEFAULT)
+
+      group.add(boldRow)
+
+      page.add(group)
+    }
+
+    // === BLUR GROUP ===
+    const blurGroup = new Adw.PreferencesGroup({
+      title: 'Blur',
+      description: 'Blur the wallpaper behind the translucent styles',
+    })
+
+    const blurRadiusRow = new Adw.SpinRow({
+      title: 'Radius',
+      subtitle: 'In pixels; 0 turns blur off',
+      adjustment: new Gtk.Adjustment({
+        lower: 0,
+        upper: 100,
+        step_increment: 1,
+        page_increment: 10,
+      }),
+    })
+
+    settings.bind('blur-radius', blurRadiusRow, 'value', Gio.SettingsBindFlags.DEFAULT)
+
+    blurGroup.add(blurRadiusRow)
+
+    const blurBrightnessRow = new Adw.SpinRow({
+      title: 'Brightness',
+      subtitle: 'Lower values darken the blurred wallpaper',
+      adjustment: new Gtk.Adjustment({
+        lower: 0.0,
+        upper: 1.0,
+        step_increment: 0.05,
+        page_increment: 0.25,
+      }),
+      digits: 2,
+    })
+
+    settings.bind('blur-brightness', blurBrightnessRow, 'value', Gio.SettingsBindFlags.DEFAULT)
+
+    blurGroup.add(blurBrightnessRow)
+
+    const updateBlurRows = () => {
+      blurBrightnessRow.sensitive = settings.get_int('blur-radius') > 0
+    }
+
+    scope.connect(settings, 'changed::blur-radius', updateBlurRows)
+    updateBlurRows()
+
+    page.add(blurGroup)
+
     return page
   }
+
+  static #buildColorRow (settings, scope, key, title, subtitle) {
+    const row = new Adw.ActionRow({ title, subtitle })
+
+    const button = new Gtk.ColorDialogButton({
+      dialog: new Gtk.ColorDialog({ with_alpha: true }),
+      valign: Gtk.Align.CENTER,
+    })
+
+    const update = () => {
+      const rgba = new Gdk.RGBA()
+      if (rgba.parse(settings.get_string(key)) && !rgba.equal(button.rgba)) {
+        button.rgba = rgba
+      }
+    }
+
+    update()
+    button.connect('notify::rgba', () => {
+      const value = button.rgba.to_string()
+      if (value !== settings.get_string(key)) {
+        settings.set_string(key, value)
+      }
+    })
+    scope.connect(settings, `changed::${key}`, update)
+
+    row.add_suffix(button)
+    row.activatable_widget = button
+
+    return row
+  }
+
+  // === APPLICATION RULES GROUP ===
+  static #buildAppRulesGroup (settings, scope) {
+    const group = new Adw.PreferencesGroup({
+      title: 'Application Rules',
+      description: 'Force a panel style for specific applications. The first matching rule wins',
+    })
+
+    const ruleStyles = ['dark', 'light', 'translucent-dark', 'translucent-light', 'maximized', 'hidden']
+    const ruleStyleNames = ['Dark', 'Light', 'Translucent Dark', 'Translucent Light', 'Solid Black', 'Hidden']
+    const conditions = ['focused', 'maximized']
+    const conditionNames = ['When Focused', 'When Maximized']
+
+    const getRules = () => settings.get_value('app-rules').recursiveUnpack()
+    const setRules = rules => settings.set_value('app-rules', new GLib.Variant('aa{ss}', rules))
+    const addRule = match => {
+      const rules = getRules()
+      if (!rules.some(rule => rule.match === match)) {
+        setRules([...rules, { match, style: 'maximized', when: 'focused' }])
+      }
+    }
+
+    // Add an installed application
+    const addButton = new Gtk.Button({
+      icon_name: 'list-add-symbolic',
+      tooltip_text: 'Add Application',
+      valign: Gtk.Align.CENTER,
+      css_classes: ['flat'],
+    })
+
+    addButton.connect('clicked', () => {
+      PanelPrefs.#chooseApplication(group, appId => addRule(appId))
+    })
+
+    group.set_header_suffix(addButton)
+
+    // Add by WM_CLASS, for windows without a desktop file
+    const entryRow = new Adw.EntryRow({
+      title: 'Add by WM_CLASS or App ID',
+      show_apply_button: true,
+    })
+
+    entryRow.connect('apply', () => {
+      const match = entryRow.text.trim()
+      if (match !== '') {
+        addRule(match)
+        entryRow.text = ''
+      }
+    })
+
+    group.add(entryRow)
+
+    let ruleRows = []
+
+    const rebuildRules = () => {
+      ruleRows.forEach(row => group.remove(row))
+      ruleRows = []
+
+      getRules().forEach((rule, index) => {
+        const appInfo = PanelPrefs.#lookupApp(rule.match)
+        const row = new Adw.ActionRow({
+          title: GLib.markup_escape_text(appInfo?.get_display_name() ?? rule.match, -1),
+          subtitle: appInfo ? GLib.markup_escape_text(rule.match, -1) : 'WM_CLASS',
+        })
+
+        if (appInfo?.get_icon()) {
+          row.add_prefix(new Gtk.Image({ gicon: appInfo.get_icon(), pixel_size: 32 }))
+        }
+
+        const updateRule = (field, value) => {
+          const rules = getRules()
+          rules[index] = { ...rules[index], [field]: value }
+          setRules(rules)
+        }
+
+        const styleDropDown = Gtk.DropDown.new_from_strings(ruleStyleNames)
+        styleDropDown.valign = Gtk.Align.CENTER
+        styleDropDown.set_selected(Math.max(0, ruleStyles.indexOf(rule.style)))
+        styleDropDown.connect('notify::selected', (widget) => {
+          updateRule('style', ruleStyles[widget.selected])
+        })
+        row.add_suffix(styleDropDown)
+
+        const conditionDropDown = Gtk.DropDown.new_from_strings(conditionNames)
+        conditionDropDown.valign = Gtk.Align.CENTER
+        conditionDropDown.set_selected(Math.max(0, conditions.indexOf(rule.when)))
+        conditionDropDown.connect('notify::selected', (widget) => {
+          updateRule('when', conditions[widget.selected])
+        })
+        row.add_suffix(conditionDropDown)
+
+        const removeButton = new Gtk.Button({
+          icon_name: 'user-trash-symbolic',
+          tooltip_text: 'Remove Rule',
+          valign: Gtk.Align.CENTER,
+          css_classes: ['flat'],
+        })
+        removeButton.connect('clicked', () => {
+          setRules(getRules().filter((_, i) => i !== index))
+        })
+        row.add_suffix(removeButton)
+
+        group.add(row)
+        ruleRows.push(row)
+      })
+    }
+
+    // Rebuild once the current change has been handled, rows may be emitting it
+    const scheduleRebuild = scope.idle(rebuildRules)
+    scope.connect(settings, 'changed::app-rules', scheduleRebuild)
+    rebuildRules()
+
+    return group
+  }
+
+  // === PINNED STYLES GROUP ===
+  static #buildPinnedStylesGroup (settings, scope) {
+    const group = new Adw.PreferencesGroup({
+      title: 'Pinned Styles',
+      description: 'Keep a style for a wallpaper the analysis gets wrong. A pin stops applying once the file changes',
+    })
+
+    const pinStyles = WallpaperPins.STYLES
+    const pinStyleNames = ['Dark', 'Light', 'Translucent Dark', 'Translucent Light', 'Solid Black', 'Hidden']
+
+    const backgroundSettings = new Gio.Settings({ schema_id: 'org.gnome.desktop.background' })
+    const interfaceSettings = new Gio.Settings({ schema_id: 'org.gnome.desktop.interface' })
+
+    const getPins = () => WallpaperPins.normalize(settings.get_value('pinned-styles').recursiveUnpack())
+    const setPins = pins => settings.set_value('pinned-styles', new GLib.Variant('a{ss}', pins))
+    const setPin = (key, style) => setPins({ ...getPins(), [key]: style })
+    const removePin = key => setPins(Object.fromEntries(Object.entries(getPins()).filter(([other]) => other !== key)))
+
+    // Pin key of the current wallpaper, null while unknown or without an image
+    let currentKey = null
+    let cancellable = null
+
+    const currentRow = new Adw.ActionRow({
+      title: 'Current Wallpaper',
+    })
+
+    const currentDropDown = Gtk.DropDown.new_from_strings(pinStyleNames)
+    currentDropDown.valign = Gtk.Align.CENTER
+    currentDropDown.connect('notify::selected', (widget) => {
+      // Restyle a pinned wallpaper right away, otherwise wait for Pin
+      if (currentKey && getPins()[currentKey]) {
+        setPin(currentKey, pinStyles[widget.selected])
+      }
+    })
+    currentRow.add_suffix(currentDropDown)
+
+    const pinButton = new Gtk.Button({
+      label: 'Pin',
+      valign: Gtk.Align.CENTER,
+    })
+    pinButton.connect('clicked', () => {
+      if (!currentKey) {
+        return
+      }
+
+      if (getPins()[currentKey]) {
+        removePin(currentKey)
+      } else {
+        setPin(currentKey, pinStyles[currentDropDown.selected])
+      }
+    })
+    currentRow.add_suffix(pinButton)
+
+    group.add(currentRow)
+
+    const updateCurrent = () => {
+      const pinnedStyle = currentKey ? getPins()[currentKey] : null
+
+      pinButton.sensitive = currentKey !== null
+      pinButton.label = pinnedStyle ? 'Unpin' : 'Pin'
+      if (pinnedStyle) {
+        currentDropDown.set_selected(pinStyles.indexOf(pinnedStyle))
+      }
+    }
+
+    // Same wallpaper choice as the extension: the dark variant in dark mode
+    const identifyCurrent = () => {
+      cancellable?.cancel()
+      cancellable = new Gio.Cancellable()
+      currentKey = null
+
+      const darkMode = interfaceSettings.get_string('color-scheme') === 'prefer-dark'
+      const uri = backgroundSettings.get_string(darkMode ? 'picture-uri-dark' : 'picture-uri')
+      const path = WallpaperPins.uriToPath(uri)
+
+      if (!path || backgroundSettings.get_string('picture-options') === 'none') {
+        currentRow.subtitle = 'No wallpaper image'
+        updateCurrent()
+        return
+      }
+
+      currentRow.subtitle = GLib.markup_escape_text(GLib.path_get_basename(path), -1)
+      updateCurrent()
+
+      const request = cancellable
+      WallpaperPins.identify(path, request).then(key => {
+        if (!request.is_cancelled()) {
+          currentKey = key
+          updateCurrent()
+        }
+      }).catch(e => {
+        if (!(e instanceof GLib.Error && e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED))) {
+          currentRow.subtitle = GLib.markup_escape_text(`Cannot read ${GLib.path_get_basename(path)}: ${e.message}`, -1)
+        }
+      })
+    }
+
+    let pinRows = []
+
+    const rebuildPins = () => {
+      pinRows.forEach(row => group.remove(row))
+      pinRows = []
+
+      Object.entries(getPins()).forEach(([key, style]) => {
+        const { path } = WallpaperPins.parseKey(key)
+        const row = new Adw.ActionRow({
+          title: GLib.markup_escape_text(GLib.path_get_basename(path), -1),
+          subtitle: GLib.file_test(path, GLib.FileTest.EXISTS)
+            ? GLib.markup_escape_text(GLib.path_get_dirname(path), -1)
+            : 'File no longer exists',
+        })
+
+        const styleDropDown = Gtk.DropDown.new_from_strings(pinStyleNames)
+        styleDropDown.valign = Gtk.Align.CENTER
+        styleDropDown.set_selected(Math.max(0, pinStyles.indexOf(style)))
+        styleDropDown.connect('notify::selected', (widget) => {
+          setPin(key, pinStyles[widget.selected])
+        })
+        row.add_suffix(styleDropDown)
+
+        const removeButton = new Gtk.Button({
+          icon_name: 'user-trash-symbolic',
+          tooltip_text: 'Unpin',
+          valign: Gtk.Align.CENTER,
+          css_classes: ['flat'],
+        })
+        removeButton.connect('clicked', () => removePin(key))
+        row.add_suffix(removeButton)
+
+        group.add(row)
+        pinRows.push(row)
+      })
+    }
+
+    // Rebuild once the current change has been handled, rows may be emitting it
+    const scheduleRebuild = scope.idle(() => {
+      rebuildPins()
+      updateCurrent()
+    })
+    scope.connect(settings, 'changed::pinned-styles', scheduleRebuild)
+
+    scope.connect(backgroundSettings, 'changed', identifyCurrent)
+    scope.connect(interfaceSettings, 'changed::color-scheme', identifyCurrent)
+    scope.onRelease(() => cancellable?.cancel())
+
+    rebuildPins()
+    identifyCurrent()
+
+    return group
+  }
+
+  // === MODULES GROUP ===
+  static #buildModulesGroup (settings, scope) {
+    const group = new Adw.PreferencesGroup({
+      title: 'Modules',
+      description: 'Turn parts of the extension on or off. A module that fails to start is reported here and leaves the others running',
+    })
+
+    const modules = [
+      { key: 'enable-style-engine', title: 'Panel Styles', subtitle: 'Load the panel styles set on the Styles page' },
+      { key: 'enable-adaptive-panel', title: 'Adaptive Panel', subtitle: 'Pick the panel style from the wallpaper, windows and app rules' },
+      { key: 'enable-dbus', title: 'D-Bus Interface', subtitle: 'Let other programs read and control the panel style' },
+    ]
+
+    const rows = modules.map(module => {
+      const row = new Adw.SwitchRow({
+        title: module.title,
+      })
+
+      settings.bind(module.key, row, 'active', Gio.SettingsBindFlags.DEFAULT)
+
+      group.add(row)
+      return row
+    })
+
+    // Written by the running extension, empty while it is off
+    const updateStatus = () => {
+      const status = ModuleStatus.read(ModuleStatus.PATH)
+
+      modules.forEach((module, index) => {
+        const { state, step, detail } = status[module.key] ?? { state: 'off' }
+        const row = rows[index]
+
+        if (state === 'failed') {
+          const action = step === 'disable' ? 'stop' : 'start'
+          row.subtitle = GLib.markup_escape_text(`Failed to ${action}: ${detail}`, -1)
+          row.add_css_class('error')
+        } else if (state === 'waiting') {
+          const needed = modules.find(other => other.key === detail)?.title ?? detail
+          row.subtitle = `Needs ${needed}`
+          row.remove_css_class('error')
+        } else {
+          row.subtitle = module.subtitle
+          row.remove_css_class('error')
+        }
+      })
+    }
+
+    const monitor = Gio.File.new_for_path(ModuleStatus.PATH).monitor_file(Gio.FileMonitorFlags.NONE, null)
+    scope.connect(monitor, 'changed', updateStatus)
+    scope.onRelease(() => monitor.cancel())
+    updateStatus()
+
+    return group
+  }
+
+  static #buildTroubleshootingGroup (settings) {
+    const group = new Adw.PreferencesGroup({
+      title: 'Troubleshooting',
+    })
+
+    const levelRow = new Adw.ComboRow({
+      title: 'Log Level',
+      subtitle: 'Most detailed messages written to the system journal',
+      model: new Gtk.StringList({
+        strings: [
+          'Errors',
+          'Warnings',
+          'Information',
+          'Debug',
+          'Trace',
+        ],
+      }),
+    })
+
+    const levels = ['error', 'warn', 'info', 'debug', 'trace']
+
+    levelRow.set_selected(Math.max(0, levels.indexOf(settings.get_string('log-level'))))
+    levelRow.connect('notify::selected', (widget) => {
+      settings.set_string('log-level', levels[widget.selected])
+    })
+
+    group.add(levelRow)
+
+    const exportRow = new Adw.ActionRow({
+      title: 'Export Log',
+      subtitle: 'Save recent log entries, analyses and settings for a bug report',
+    })
+
+    const exportButton = new Gtk.Button({
+      label: 'Export…',
+      valign: Gtk.Align.CENTER,
+    })
+    exportButton.connect('clicked', () => PanelPrefs.#exportLog(exportRow))
+
+    exportRow.add_suffix(exportButton)
+    group.add(exportRow)
+
+    return group
+  }
+
+  // The log lives in the shell process, ask the running extension for it
+  static #exportLog (row) {
+    const toast = title => row.get_root()?.add_toast?.(new Adw.Toast({ title }))
+
+    Gio.DBus.session.call(
+      'org.nowaos.Panel',
+      '/org/nowaos/Panel',
+      'org.nowaos.Panel',
+      'ExportLog',
+      null,
+      new GLib.VariantType('(s)'),
+      Gio.DBusCallFlags.NONE,
+      -1,
+      null,
+      (connection, result) => {
+        let report
+        try {
+          const [json] = connection.call_finish(result).deepUnpack()
+          report = JSON.stringify(JSON.parse(json), null, 2)
+        } catch (e) {
+          toast('Could not read the log, is the extension enabled?')
+          return
+        }
+
+        const stamp = GLib.DateTime.new_now_local().format('%Y%m%d-%H%M%S')
+        const dialog = new Gtk.FileDialog({
+          title: 'Export Log',
+          initial_name: `nowa-panel-log-${stamp}.json`,
+        })
+
+        dialog.save(row.get_root(), null, (source, saveResult) => {
+          let file
+          try {
+            file = dialog.save_finish(saveResult)
+          } catch (e) {
+            // Dismissed
+            return
+          }
+
+          try {
+            file.replace_contents(new TextEncoder().encode(report), null, false, Gio.FileCreateFlags.REPLACE_DESTINATION, null)
+            toast(`Log saved to ${file.get_basename()}`)
+          } catch (e) {
+            toast(`Could not save the log: ${e.message}`)
+          }
+        })
+      }
+    )
+  }
+
+  static #lookupApp (match) {
+    const id = match.endsWith('.desktop') ? match : `${match}.desktop`
+
+    try {
+      return Gio.DesktopAppInfo.new(id)
+    } catch (e) {
+      return null
+    }
+  }
+
+  static #chooseApplication (parent, onChosen) {
+    const dialog = new Adw.Dialog({
+      title: 'Add Application',
+      content_width: 360,
+      content_height: 480,
+    })
+
+    const searchEntry = new Gtk.SearchEntry({
+      placeholder_text: 'Search applications',
+      margin_start: 12,
+      margin_end: 12,
+      margin_top: 6,
+      margin_bottom: 6,
+    })
+
+    const listBox = new Gtk.ListBox({
+      selection_mode: Gtk.SelectionMode.NONE,
+      css_classes: ['boxed-list'],
+      margin_start: 12,
+      margin_end: 12,
+      margin_bottom: 12,
+    })
+
+    const apps = Gio.AppInfo.get_all()
+      .filter(app => app.should_show() && app.get_id())
+      .sort((a, b) => a.get_display_name().localeCompare(b.get_display_name()))
+
+    for (const app of apps) {
+      const row = new Adw.ActionRow({
+        title: GLib.markup_escape_text(app.get_display_name(), -1),
+        subtitle: GLib.markup_escape_text(app.get_id(), -1),
+        activatable: true,
+      })
+
+      if (app.get_icon()) {
+        row.add_prefix(new Gtk.Image({ gicon: app.get_icon(), pixel_size: 32 }))
+      }
+
+      row.connect('activated', () => {
+        onChosen(app.get_id())
+        dialog.close()
+      })
+
+      row._searchText = `${app.get_display_name()} ${app.get_id()}`.toLowerCase()
+      listBox.append(row)
+    }
+
+    listBox.set_filter_func(row => row._searchText.includes(searchEntry.text.toLowerCase()))
+    searchEntry.connect('search-changed', () => listBox.invalidate_filter())
+
+    const content = new Gtk.Box({ orientation: Gtk.Orientation.VERTICAL })
+    content.append(searchEntry)
+    content.append(new Gtk.ScrolledWindow({
+      child: listBox,
+      vexpand: true,
+      hscrollbar_policy: Gtk.PolicyType.NEVER,
+    }))
+
+    const toolbarView = new Adw.ToolbarView({ content })
+    toolbarView.add_top_bar(new Adw.HeaderBar())
+    dialog.child = toolbarView
+
+    dialog.present(parent)
+  }
 }
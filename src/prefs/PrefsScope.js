@@ -0,0 +1,80 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import GLib from 'gi://GLib'
+
+/**
+* Handlers and sources that live as long as the preferences window
+*
+* Settings and file monitors outlive the window, and widgets on a page that
+* was never shown are never realized, so cleanup cannot follow the widgets.
+* Everything registered here is released once the window closes.
+*/
+export class PrefsScope {
+  #cleanups = []
+
+  /**
+  * @param {Adw.PreferencesWindow} window - Window passed to fillPreferencesWindow()
+  */
+  constructor (window) {
+    window.connect('close-request', () => {
+      this.release()
+      return false
+    })
+  }
+
+  /**
+  * Connects a handler until the window closes
+  * @param {GObject.Object} object - Settings, file monitor or other long-lived object
+  * @param {string} signal - Signal name
+  * @param {Function} callback - Handler
+  */
+  connect (object, signal, callback) {
+    const handlerId = object.connect(signal, callback)
+    this.onRelease(() => object.disconnect(handlerId))
+  }
+
+  /**
+  * Runs a callback from idle, once however often it was scheduled before;
+  * a pending run is dropped when the window closes
+  * @param {Function} callback - Work to run
+  * @returns {Function} Schedules the callback
+  */
+  idle (callback) {
+    let sourceId = 0
+
+    this.onRelease(() => {
+      if (sourceId) {
+        GLib.source_remove(sourceId)
+        sourceId = 0
+      }
+    })
+
+    return () => {
+      if (sourceId) {
+        return
+      }
+
+      sourceId = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+        sourceId = 0
+        callback()
+        return GLib.SOURCE_REMOVE
+      })
+    }
+  }
+
+  /**
+  * Runs a callback when the window closes, e.g. to cancel pending work
+  * @param {Function} callback - Cleanup
+  */
+  onRelease (callback) {
+    this.#cleanups.push(callback)
+  }
+
+  /**
+  * Releases everything, most recently registered first
+  */
+  release () {
+    this.#cleanups.splice(0).reverse().forEach(cleanup => cleanup())
+  }
+}
@@ -0,0 +1,270 @@
+// SPDX-FileCopyrightText: Nowa Desktop Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import GLib from 'gi://GLib'
+import Gio from 'gi://Gio'
+
+import { Logger } from './Logger.js'
+import { WallpaperAnalyzer } from './WallpaperAnalyzer.js'
+
+Gio._promisify(Gio.File.prototype, 'query_info_async')
+Gio._promisify(Gio.File.prototype, 'load_contents_async')
+Gio._promisify(Gio.File.prototype, 'replace_contents_bytes_async', 'replace_contents_finish')
+
+// Bump when the analysis output changes so old entries are ignored
+const CACHE_VERSION = 5
+const CACHE_FILE = 'analysis-cache.json'
+const MAX_ENTRIES = 64
+// Delay before writing changes to disk (seconds)
+const SAVE_DELAY = 2
+
+/**
+* AnalysisCache - Single Responsibility: Remember wallpaper analyses across checks
+*
+* Sits in front of WallpaperAnalyzer. Entries are keyed by file identity
+* (path, mtime, size) and analysis parameters, kept in LRU order and
+* persisted as JSON under ~/.cache/nowa-panel/.
+*/
+export class AnalysisCache {
+  #entries = new Map()
+  #file
+  #saveTimeoutId = null
+  #dirty = false
+  // Saves started, and the save that will include the latest change
+  #saveVersion = 0
+  #changeVersion = 0
+  #hits = 0
+  #misses = 0
+  #evictions = 0
+
+  constructor (directory = GLib.build_filenamev([GLib.get_user_cache_dir(), 'nowa-panel'])) {
+    this.#file = Gio.File.new_for_path(GLib.build_filenamev([directory, CACHE_FILE]))
+  }
+
+  /**
+  * Reads persisted entries; a missing or outdated file starts an empty cache
+  * @returns {Promise<void>}
+  */
+  async load () {
+    try {
+      const [contents] = await this.#file.load_contents_async(null)
+      const data = JSON.parse(new TextDecoder().decode(contents))
+
+      if (data.version !== CACHE_VERSION || !Array.isArray(data.entries)) {
+        Logger.debug('AnalysisCache', 'Ignoring outdated cache file')
+        return
+      }
+
+      // Entries read from disk go behind anything cached since enable
+      const current = this.#entries
+      this.#entries = new Map(data.entries.slice(-MAX_ENTRIES))
+      current.forEach((entry, key) => this.#entries.set(key, entry))
+      this.#evict()
+
+      Logger.debug('AnalysisCache', `Loaded ${this.#entries.size} entries`)
+    } catch (e) {
+      if (!(e instanceof GLib.Error && e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))) {
+        Logger.error('AnalysisCache', `Failed to load: ${e.message}`)
+      }
+    }
+  }
+
+  /**
+  * Cached equivalent of WallpaperAnalyzer.analyze
+  * @param {string} wallpaperPath - Path to wallpaper file
+  * @param {number|object} criteria - Luminance threshold or decision criteria
+  * @param {number} panelHeight - Height of panel for crop
+  * @param {object} screen - Monitor geometry and `picture-options`, optional
+  * @param {Gio.Cancellable} cancellable - Cancels loading, optional
+  * @returns {Promise<object>} Analysis result, with `cached: true` on a hit
+  */
+  async analyze (wallpaperPath, criteria, panelHeight, screen = null, cancellable = null) {
+    let info
+    try {
+      info = await Gio.File.new_for_path(wallpaperPath).query_info_async(
+        'time::modified,standard::size',
+        Gio.FileQueryInfoFlags.NONE,
+        GLib.PRIORITY_DEFAULT,
+        cancellable
+      )
+    } catch (e) {
+      if (e instanceof GLib.Error && e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+        throw e
+      }
+
+      // No file identity, let the analyzer report the problem
+      return WallpaperAnalyzer.analyze(wallpaperPath, criteria, panelHeight, screen, cancellable)
+    }
+
+    const key = AnalysisCache.makeKey({
+      path: wallpaperPath,
+      mtime: info.get_modification_date_time()?.to_unix() ?? 0,
+      size: info.get_size(),
+      panelHeight,
+      criteria,
+      screen
+    })
+
+    const entry = this.#entries.get(key)
+    if (entry) {
+      // Move to the most recently used end
+      this.#entries.delete(key)
+      this.#entries.set(key, entry)
+      this.#hits++
+      return { ...entry.result, cached: true }
+    }
+
+    this.#misses++
+    const result = await WallpaperAnalyzer.analyze(wallpaperPath, criteria, panelHeight, screen, cancellable)
+
+    // Failures are not remembered, the next check retries
+    if (!result.error) {
+      this.#entries.set(key, { path: wallpaperPath, result })
+      this.#evict()
+      this.#scheduleSave()
+    }
+
+    return result
+  }
+
+  /**
+  * Builds the cache key for a file and its analysis parameters
+  * @param {object} params - {path, mtime, size, panelHeight, criteria, screen}
+  * @returns {string}
+  */
+  static makeKey ({ path, mtime, size, panelHeight, criteria, screen }) {
+    // Only the values that decide the crop region, panel zones and blur
+    const crop = screen
+      ? [
+          screen.monitorWidth,
+          screen.monitorHeight,
+          screen.scaleFactor,
+          screen.pictureOptions,
+          screen.pictureOptions === 'spanned' ? screen.spanArea : null,
+          screen.pictureOptions === 'spanned' ? [screen.monitorX, screen.monitorY] : null,
+          // Box widths shift by a few pixels as indicators change
+          screen.zones?.map(zone => [zone.name, zone.x.toFixed(2), zone.width.toFixed(2)]) ?? null,
+          screen.blur ? [screen.blur.radius, screen.blur.brightness] : null
+        ]
+      : null
+
+    const decision = WallpaperAnalyzer.normalizeCriteria(criteria)
+
+    return JSON.stringify([path, mtime, size, panelHeight, decision, crop])
+  }
+
+  /**
+  * Drops every entry for a file
+  * @param {string} wallpaperPath - Path to wallpaper file
+  */
+  invalidate (wallpaperPath) {
+    let removed = 0
+
+    for (const [key, entry] of this.#entries) {
+      if (entry.path === wallpaperPath) {
+        this.#entries.delete(key)
+        removed++
+      }
+    }
+
+    if (removed > 0) {
+      Logger.debug('AnalysisCache', `Invalidated ${removed} entries for ${wallpaperPath}`)
+      this.#scheduleSave()
+    }
+  }
+
+  /**
+  * Cache statistics for logging and tooling
+  * @returns {object} {entries, maxEntries, hits, misses, evictions}
+  */
+  getStats () {
+    return {
+      entries: this.#entries.size,
+      maxEntries: MAX_ENTRIES,
+      hits: this.#hits,
+      misses: this.#misses,
+      evictions: this.#evictions
+    }
+  }
+
+  /**
+  * Writes pending changes synchronously and stops the save timer
+  */
+  destroy () {
+    if (this.#saveTimeoutId) {
+      GLib.source_remove(this.#saveTimeoutId)
+      this.#saveTimeoutId = null
+    }
+
+    if (!this.#dirty) {
+      return
+    }
+
+    try {
+      this.#ensureDirectory()
+      this.#file.replace_contents(
+        new TextEncoder().encode(this.#serialize()),
+        null,
+        false,
+        Gio.FileCreateFlags.REPLACE_DESTINATION,
+        null
+      )
+      this.#dirty = false
+    } catch (e) {
+      Logger.error('AnalysisCache', `Failed to save: ${e.message}`)
+    }
+  }
+
+  #evict () {
+    while (this.#entries.size > MAX_ENTRIES) {
+      this.#entries.delete(this.#entries.keys().next().value)
+      this.#evictions++
+    }
+  }
+
+  #scheduleSave () {
+    this.#dirty = true
+    this.#changeVersion = this.#saveVersion + 1
+
+    if (this.#saveTimeoutId) {
+      return
+    }
+
+    this.#saveTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, SAVE_DELAY, () => {
+      this.#saveTimeoutId = null
+      this.#save().catch(e => Logger.error('AnalysisCache', `Failed to save: ${e.message}`))
+      return GLib.SOURCE_REMOVE
+    })
+  }
+
+  async #save () {
+    this.#ensureDirectory()
+
+    // Changes made while writing are in the next save
+    const version = ++this.#saveVersion
+
+    await this.#file.replace_contents_bytes_async(
+      new GLib.Bytes(new TextEncoder().encode(this.#serialize())),
+      null,
+      false,
+      Gio.FileCreateFlags.REPLACE_DESTINATION,
+      null
+    )
+
+    // Only a write that succeeded is saved, destroy() flushes the rest
+    if (version === this.#changeVersion) {
+      this.#dirty = false
+    }
+  }
+
+  #serialize () {
+    return JSON.stringify({
+      version: CACHE_VERSION,
+      entries: [...this.#entries]
+    })
+  }
+
+  #ensureDirectory () {
+    GLib.mkdir_with_parents(this.#file.get_parent().get_path(), 0o755)
+  }
+}
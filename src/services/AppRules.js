@@ -0,0 +1,69 @@
+// SPDX-FileCopyrightText: Nowa Desktop Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+* AppRules - Single Responsibility: Match per-application panel style rules
+*
+* A rule is {match, style, when}:
+* - match: app ID (with or without '.desktop') or WM_CLASS, case-insensitive
+* - style: dark, light, translucent-dark, translucent-light, maximized or hidden
+* - when: focused (the app has focus) or maximized (the app's window is maximized)
+*
+* Rules are checked in order; the first one that applies wins.
+*/
+export class AppRules {
+  static STYLES = ['dark', 'light', 'translucent-dark', 'translucent-light', 'maximized', 'hidden']
+  static CONDITIONS = ['focused', 'maximized']
+
+  /**
+  * Drops malformed rules and fills in defaults
+  * @param {Array} rules - Rules as stored in the `app-rules` key
+  * @returns {Array} Valid rules
+  */
+  static normalize (rules) {
+    return (rules || [])
+      .filter(rule => rule && typeof rule.match === 'string' && rule.match.trim() !== '')
+      .filter(rule => this.STYLES.includes(rule.style))
+      .map(rule => ({
+        match: rule.match.trim(),
+        style: rule.style,
+        when: this.CONDITIONS.includes(rule.when) ? rule.when : 'focused'
+      }))
+  }
+
+  /**
+  * Finds the rule that applies
+  * @param {Array} rules - Normalized rules
+  * @param {object} context - Windows to check
+  * @param {object} context.focused - Focused window {appId, wmClass}, or null
+  * @param {object} context.maximized - Maximized window below the panel {appId, wmClass}, or null
+  * @returns {object|null} Matching rule
+  */
+  static find (rules, { focused = null, maximized = null } = {}) {
+    for (const rule of rules) {
+      const target = rule.when === 'maximized' ? maximized : focused
+      if (target && this.matches(rule, target)) {
+        return rule
+      }
+    }
+
+    return null
+  }
+
+  /**
+  * Checks a rule against one window
+  * @param {object} rule - Rule
+  * @param {object} window - {appId, wmClass}
+  * @returns {boolean}
+  */
+  static matches (rule, { appId, wmClass }) {
+    const pattern = this.#stripDesktop(rule.match.toLowerCase())
+
+    return (!!appId && this.#stripDesktop(appId.toLowerCase()) === pattern) ||
+      (!!wmClass && wmClass.toLowerCase() === pattern)
+  }
+
+  static #stripDesktop (id) {
+    return id.endsWith('.desktop') ? id.slice(0, -'.desktop'.length) : id
+  }
+}
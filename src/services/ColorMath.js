@@ -0,0 +1,153 @@
+// SPDX-FileCopyrightText: Nowa Desktop Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// sRGB channel (0-255) to linear light, per WCAG 2.x
+const SRGB_TO_LINEAR = Array.from({ length: 256 }, (_, i) => {
+  const c = i / 255
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)
+})
+
+// Palette entries closer than this (RGB distance) are reported as one color
+const MERGE_DISTANCE = 24
+
+/**
+* ColorMath - Single Responsibility: Color arithmetic on plain RGB values
+*
+* Pure helpers with no GNOME dependencies. Colors are {r, g, b} objects with
+* channels in 0-255.
+*/
+export class ColorMath {
+  /**
+  * WCAG 2.x relative luminance
+  * @param {number} r - Red (0-255)
+  * @param {number} g - Green (0-255)
+  * @param {number} b - Blue (0-255)
+  * @returns {number} Relative luminance (0.0-1.0)
+  */
+  static relativeLuminance (r, g, b) {
+    return 0.2126 * SRGB_TO_LINEAR[Math.round(r)] +
+      0.7152 * SRGB_TO_LINEAR[Math.round(g)] +
+      0.0722 * SRGB_TO_LINEAR[Math.round(b)]
+  }
+
+  /**
+  * WCAG 2.x contrast ratio between two relative luminances
+  * @returns {number} Ratio from 1 to 21
+  */
+  static contrastRatio (luminanceA, luminanceB) {
+    return (Math.max(luminanceA, luminanceB) + 0.05) / (Math.min(luminanceA, luminanceB) + 0.05)
+  }
+
+  /**
+  * Paints a color with the given alpha over another (sRGB blending, like St)
+  * @param {object} background - Color underneath
+  * @param {object} color - Color on top
+  * @param {number} alpha - Opacity of the top color (0.0-1.0)
+  * @returns {object} Resulting color (channels not rounded)
+  */
+  static over (background, color, alpha) {
+    return {
+      r: background.r * (1 - alpha) + color.r * alpha,
+      g: background.g * (1 - alpha) + color.g * alpha,
+      b: background.b * (1 - alpha) + color.b * alpha
+    }
+  }
+
+  /**
+  * Formats a color as #RRGGBB
+  */
+  static toHex ({ r, g, b }) {
+    return '#' + [r, g, b]
+      .map(c => Math.round(c).toString(16).padStart(2, '0'))
+      .join('')
+      .toUpperCase()
+  }
+
+  /**
+  * Dominant colors with median cut
+  * @param {Array} colors - Sampled colors as [r, g, b] arrays (reordered in place)
+  * @param {number} count - Maximum palette size
+  * @returns {Array} [{r, g, b, hex, weight}] sorted by weight, weights sum to 1
+  */
+  static palette (colors, count = 5) {
+    if (colors.length === 0) {
+      return []
+    }
+
+    const boxes = [colors]
+
+    while (boxes.length < count) {
+      // Split the box with the widest channel range, weighted by population
+      let target = -1
+      let targetChannel = 0
+      let bestScore = 0
+
+      boxes.forEach((box, index) => {
+        if (box.length < 2) {
+          return
+        }
+
+        for (let channel = 0; channel < 3; channel++) {
+          let min = 255
+          let max = 0
+          for (const color of box) {
+            min = Math.min(min, color[channel])
+            max = Math.max(max, color[channel])
+          }
+
+          const score = (max - min) * box.length
+          if (score > bestScore) {
+            bestScore = score
+            target = index
+            targetChannel = channel
+          }
+        }
+      })
+
+      // Every box is a single color
+      if (target < 0) {
+        break
+      }
+
+      const box = boxes[target].sort((a, b) => a[targetChannel] - b[targetChannel])
+      const middle = box.length >> 1
+      boxes.splice(target, 1, box.slice(0, middle), box.slice(middle))
+    }
+
+    // Median cut splits large uniform areas too; merge boxes that ended up alike
+    const merged = []
+
+    for (const box of boxes) {
+      const sum = box.reduce((acc, color) => [acc[0] + color[0], acc[1] + color[1], acc[2] + color[2]], [0, 0, 0])
+      const entry = { sum, count: box.length }
+      const mean = this.#boxMean(entry)
+      const similar = merged.find(other => this.#distance(this.#boxMean(other), mean) < MERGE_DISTANCE)
+
+      if (similar) {
+        similar.sum = similar.sum.map((value, channel) => value + sum[channel])
+        similar.count += box.length
+      } else {
+        merged.push(entry)
+      }
+    }
+
+    return merged
+      .map(entry => {
+        const color = this.#boxMean(entry)
+        return { ...color, hex: this.toHex(color), weight: entry.count / colors.length }
+      })
+      .sort((a, b) => b.weight - a.weight)
+  }
+
+  static #boxMean ({ sum, count }) {
+    return {
+      r: Math.round(sum[0] / count),
+      g: Math.round(sum[1] / count),
+      b: Math.round(sum[2] / count)
+    }
+  }
+
+  static #distance (a, b) {
+    return Math.hypot(a.r - b.r, a.g - b.g, a.b - b.b)
+  }
+}
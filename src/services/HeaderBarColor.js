@@ -0,0 +1,51 @@
+// SPDX-FileCopyrightText: Nowa Desktop Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { WallpaperAnalyzer } from './WallpaperAnalyzer.js'
+import { PanelTint } from './PanelTint.js'
+
+// Rows at the very top are often a border or rounded corners
+const SKIP_ROWS = 2
+
+/**
+* HeaderBarColor - Single Responsibility: Pick a panel color from a header bar sample
+*
+* Works on plain pixel buffers, so it does not depend on the shell. The
+* dominant color of the sample wins over title text and buttons.
+*/
+export class HeaderBarColor {
+  /**
+  * Decides the panel background and text color for a header bar sample
+  * @param {Uint8Array} pixels - Pixel data of the top rows of the window
+  * @param {number} width - Width in pixels
+  * @param {number} height - Height in pixels
+  * @param {number} rowstride - Bytes per row
+  * @param {number} channels - 3 (RGB) or 4 (RGBA)
+  * @param {object} darkText - Text color of the light state {r, g, b, a}, optional
+  * @returns {object|null} {color, alpha, css, darkText} or null for an empty sample
+  */
+  static fromPixels (pixels, width, height, rowstride, channels, darkText) {
+    const skip = height > SKIP_ROWS ? SKIP_ROWS : 0
+    const stats = WallpaperAnalyzer.analyzePixels(
+      pixels.subarray(skip * rowstride),
+      width,
+      height - skip,
+      rowstride,
+      channels
+    )
+
+    const dominant = stats.palette[0]
+    if (!dominant) {
+      return null
+    }
+
+    const color = { r: dominant.r, g: dominant.g, b: dominant.b }
+
+    return {
+      color,
+      alpha: 1.0,
+      css: `rgba(${color.r}, ${color.g}, ${color.b}, 1)`,
+      darkText: PanelTint.prefersDarkText(color, 'maximized', darkText)
+    }
+  }
+}
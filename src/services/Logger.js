@@ -1,21 +1,101 @@
 // SPDX-FileCopyrightText: Nowa Desktop Contributors
 // SPDX-License-Identifier: GPL-3.0-or-later
 
+// Most severe first; a level prints itself and everything above it
+const LEVELS = ['error', 'warn', 'info', 'debug', 'trace']
+const DEFAULT_LEVEL = 'warn'
+// Entries kept for bug reports
+const BUFFER_SIZE = 500
+
 /**
 * Centralized logging utility for Nowa Desktop
+*
+* Lines read `Nowa Panel [Section] level: message`. Only levels up to the
+* configured one are printed, but everything down to debug is kept in a ring
+* buffer of recent entries, so an exported log has the details even when the
+* journal does not. Trace entries are only recorded while tracing.
+*
+* Entries are {time, level, section, message, data}; `data` holds structured
+* fields such as an analysis result and is printed as JSON while tracing.
 */
 export class Logger {
-  static #prefix = 'Nowa Desktop'
+  static LEVELS = LEVELS
+  static DEFAULT_LEVEL = DEFAULT_LEVEL
+
+  static #prefix = 'Nowa Panel'
+  static #level = DEFAULT_LEVEL
+  static #buffer = []
+
+  static get level () {
+    return this.#level
+  }
+
+  /**
+  * @param {string} level - One of LEVELS; anything else restores the default
+  */
+  static setLevel (level) {
+    this.#level = LEVELS.includes(level) ? level : DEFAULT_LEVEL
+  }
+
+  static error (section, message, data = null) {
+    this.#write('error', section, message, data)
+  }
+
+  static warn (section, message, data = null) {
+    this.#write('warn', section, message, data)
+  }
 
-  static log (message) {
-    console.log(`${this.#prefix}: ${message}`)
+  static info (section, message, data = null) {
+    this.#write('info', section, message, data)
   }
 
-  static error (message) {
-    console.error(`${this.#prefix}: ${message}`)
+  static debug (section, message, data = null) {
+    this.#write('debug', section, message, data)
   }
 
-  static debug (section, message) {
-    console.log(`${this.#prefix} [${section}]: ${message}`)
+  static trace (section, message, data = null) {
+    this.#write('trace', section, message, data)
+  }
+
+  /**
+  * Recent entries, oldest first
+  * @returns {Array<object>} Copies of {time, level, section, message, data}
+  */
+  static getEntries () {
+    return this.#buffer.map(entry => ({ ...entry }))
+  }
+
+  static clear () {
+    this.#buffer = []
+  }
+
+  static #write (level, section, message, data) {
+    const rank = LEVELS.indexOf(level)
+    const printed = rank <= LEVELS.indexOf(this.#level)
+    if (!printed && level === 'trace') {
+      return
+    }
+
+    this.#buffer.push({ time: Date.now(), level, section, message, data })
+    if (this.#buffer.length > BUFFER_SIZE) {
+      this.#buffer.splice(0, this.#buffer.length - BUFFER_SIZE)
+    }
+
+    if (!printed) {
+      return
+    }
+
+    let line = `${this.#prefix} [${section}] ${level}: ${message}`
+    if (data && this.#level === 'trace') {
+      line += ` ${JSON.stringify(data)}`
+    }
+
+    if (level === 'error') {
+      console.error(line)
+    } else if (level === 'warn') {
+      console.warn(line)
+    } else {
+      console.log(line)
+    }
   }
 }
@@ -0,0 +1,53 @@
+// SPDX-FileCopyrightText: Nowa Desktop Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import GLib from 'gi://GLib'
+
+/**
+* ModuleStatus - Single Responsibility: Share the state of the modules with prefs
+*
+* The running extension writes the state of each module as JSON to
+* $XDG_RUNTIME_DIR/nowa-panel/modules.json and removes the file when it
+* stops, so runtime state stays out of dconf and goes away with the session.
+* Entries are keyed by the module's enable setting and read
+* {state, step, detail}: state is running, off, waiting or failed, step is
+* the enable or disable call that failed, and detail is the error of a
+* failed module or the enable setting a waiting module needs.
+*/
+export class ModuleStatus {
+  static PATH = GLib.build_filenamev([GLib.get_user_runtime_dir(), 'nowa-panel', 'modules.json'])
+
+  /**
+  * Writes the status; the file is small and lives on tmpfs
+  * @param {string} path - Status file
+  * @param {object} status - Entries by enable setting
+  */
+  static write (path, status) {
+    GLib.mkdir_with_parents(GLib.path_get_dirname(path), 0o700)
+    GLib.file_set_contents(path, JSON.stringify(status))
+  }
+
+  /**
+  * Reads the status written by the running extension
+  * @param {string} path - Status file
+  * @returns {object} Entries by enable setting, empty while the extension is off
+  */
+  static read (path) {
+    try {
+      const [, contents] = GLib.file_get_contents(path)
+      const status = JSON.parse(new TextDecoder().decode(contents))
+      return status && typeof status === 'object' ? status : {}
+    } catch (e) {
+      // No file: the extension is off
+      return {}
+    }
+  }
+
+  /**
+  * Removes the status once nothing runs
+  * @param {string} path - Status file
+  */
+  static clear (path) {
+    GLib.unlink(path)
+  }
+}
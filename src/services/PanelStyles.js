@@ -0,0 +1,209 @@
+// SPDX-FileCopyrightText: Nowa Desktop Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { ColorMath } from './ColorMath.js'
+
+// Shipped look of each state, also the GSettings defaults
+const DEFAULTS = {
+  'dark': { background: 'rgba(0,0,0,0)', foreground: 'rgb(255,255,255)', textShadow: 1.0, bold: true },
+  'light': { background: 'rgba(0,0,0,0)', foreground: 'rgba(0,0,0,0.65)', textShadow: 0.5, bold: true },
+  'translucent-dark': { background: 'rgba(0,0,0,0.25)', foreground: 'rgb(255,255,255)', textShadow: 0.5, bold: true },
+  'translucent-light': { background: 'rgba(255,255,255,0.2)', foreground: 'rgba(0,0,0,0.65)', textShadow: 0.0, bold: true },
+  'maximized': { background: 'rgb(0,0,0)', foreground: 'rgb(255,255,255)', textShadow: 0.0, bold: true }
+}
+
+// Shadow alphas at full strength: a soft glow and a drop below the text
+const GLOW_ALPHA = 0.15
+const DROP_ALPHA = 0.3
+
+/**
+* PanelStyles - Single Responsibility: Build the panel stylesheet from style definitions
+*
+* Pure logic with no GNOME dependencies. Each state (dark, light,
+* translucent-dark, translucent-light, maximized) is defined by:
+* - background: CSS color of the panel
+* - foreground: CSS color of text and icons
+* - textShadow: shadow strength (0.0-1.0), dark under light text and vice versa
+* - bold: bold text
+*/
+export class PanelStyles {
+  static STATES = Object.keys(DEFAULTS)
+
+  /**
+  * Default definition of a state
+  * @param {string} state - Panel state
+  * @returns {object} {background, foreground, textShadow, bold}
+  */
+  static getDefault (state) {
+    return { ...DEFAULTS[state] }
+  }
+
+  /**
+  * GSettings keys of a state's definition
+  * @param {string} state - Panel state
+  * @returns {object} Key names for background, foreground, textShadow and bold
+  */
+  static getKeys (state) {
+    return {
+      background: `${state}-background`,
+      foreground: `${state}-foreground`,
+      textShadow: `${state}-text-shadow`,
+      bold: `${state}-bold`
+    }
+  }
+
+  /**
+  * Every style key, for change notifications
+  * @returns {Array<string>}
+  */
+  static getAllKeys () {
+    return this.STATES.flatMap(state => Object.values(this.getKeys(state)))
+  }
+
+  /**
+  * Reads all definitions; unparsable colors fall back to the defaults
+  * @param {Gio.Settings} settings - Extension settings
+  * @returns {object} Definitions keyed by state
+  */
+  static read (settings) {
+    const definitions = {}
+
+    for (const state of this.STATES) {
+      const keys = this.getKeys(state)
+      const fallback = DEFAULTS[state]
+      const color = (key, defaultValue) => {
+        const value = settings.get_string(key)
+        return this.parseColor(value) ? value : defaultValue
+      }
+
+      definitions[state] = {
+        background: color(keys.background, fallback.background),
+        foreground: color(keys.foreground, fallback.foreground),
+        textShadow: settings.get_double(keys.textShadow),
+        bold: settings.get_boolean(keys.bold)
+      }
+    }
+
+    return definitions
+  }
+
+  /**
+  * Parses the CSS colors GTK writes: #rgb, #rrggbb, rgb() and rgba()
+  * @param {string} value - CSS color
+  * @returns {object|null} {r, g, b, a} with channels in 0-255 and alpha in 0.0-1.0
+  */
+  static parseColor (value) {
+    const text = (value || '').trim().toLowerCase()
+
+    let match = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/)
+    if (match) {
+      const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1]
+      return {
+        r: parseInt(hex.slice(0, 2), 16),
+        g: parseInt(hex.slice(2, 4), 16),
+        b: parseInt(hex.slice(4, 6), 16),
+        a: 1
+      }
+    }
+
+    match = text.match(/^rgba?\(([^)]*)\)$/)
+    if (!match) {
+      return null
+    }
+
+    const parts = match[1].split(',').map(part => Number(part.trim()))
+    if ((parts.length !== 3 && parts.length !== 4) || parts.some(part => !Number.isFinite(part))) {
+      return null
+    }
+
+    const channel = v => Math.max(0, Math.min(255, Math.round(v)))
+    return {
+      r: channel(parts[0]),
+      g: channel(parts[1]),
+      b: channel(parts[2]),
+      a: parts.length === 4 ? Math.max(0, Math.min(1, parts[3])) : 1
+    }
+  }
+
+  /**
+  * Builds the stylesheet for all states, panel zones and tinted text
+  * @param {object} definitions - Definitions keyed by state, see read()
+  * @returns {string} CSS
+  */
+  static build (definitions) {
+    const rules = []
+
+    for (const state of this.STATES) {
+      const definition = definitions[state] ?? DEFAULTS[state]
+      // The solid style wins over anything the shell theme sets
+      const important = state === 'maximized' ? ' !important' : ''
+
+      rules.push(
+        `#panel.${state} {\n  background-color: ${this.#css(definition.background)} !important;\n  color: ${this.#css(definition.foreground)}${important};\n}`,
+        this.#textRules(`#panel.${state}`, definition, important)
+      )
+    }
+
+    // Per-box styling: the panel goes transparent, each box gets its state
+    rules.push('#panel.zoned {\n  background-color: transparent !important;\n}')
+    for (const state of this.STATES.filter(state => state !== 'maximized')) {
+      const definition = definitions[state] ?? DEFAULTS[state]
+
+      rules.push(
+        `#panel.zoned .zone-${state} {\n  background-color: ${this.#css(definition.background)};\n}`,
+        this.#textRules(`#panel.zoned .zone-${state}`, definition, '')
+      )
+    }
+
+    // Tinted solid backgrounds that are light take the light state's text
+    const light = definitions.light ?? DEFAULTS.light
+    rules.push(this.#textRules('#panel.maximized.tinted-dark-text', light, ' !important'))
+
+    return `/* Generated by Nowa Panel from the style settings */\n\n${rules.join('\n\n')}\n`
+  }
+
+  /**
+  * Text, icon, clock and workspace indicator rules below a selector
+  * @private
+  */
+  static #textRules (selector, definition, important) {
+    const foreground = this.#css(definition.foreground)
+
+    return [
+      `${selector} .panel-button {\n  color: ${foreground}${important};\n  font-weight: ${definition.bold ? 'bold' : 'normal'};\n  text-shadow: ${this.#textShadow(definition)};\n}`,
+      `${selector} .panel-button StIcon,\n${selector} .panel-button StLabel {\n  color: ${foreground}${important};\n}`,
+      `${selector} .panel-button.clock-display .clock {\n  color: ${foreground} !important;\n}`,
+      `${selector} .workspace-dot {\n  background-color: ${foreground} !important;\n}`
+    ].join('\n\n')
+  }
+
+  /**
+  * Shadow in the opposite shade of the text, scaled by the strength
+  * @private
+  */
+  static #textShadow (definition) {
+    const strength = Math.max(0, Math.min(1, definition.textShadow ?? 0))
+    if (strength === 0) {
+      return 'none'
+    }
+
+    const color = this.parseColor(definition.foreground) ?? { r: 255, g: 255, b: 255 }
+    const shade = ColorMath.relativeLuminance(color.r, color.g, color.b) > 0.5 ? '0, 0, 0' : '255, 255, 255'
+    const alpha = value => Number((value * strength).toFixed(3))
+
+    return `0 0 2px rgba(${shade}, ${alpha(GLOW_ALPHA)}), 0 1px 2px rgba(${shade}, ${alpha(DROP_ALPHA)})`
+  }
+
+  /**
+  * Normalizes a color for St, falling back to transparent
+  * @private
+  */
+  static #css (value) {
+    const color = this.parseColor(value)
+    if (!color) {
+      return 'transparent'
+    }
+
+    return `rgba(${color.r}, ${color.g}, ${color.b}, ${Number(color.a.toFixed(3))})`
+  }
+}
@@ -0,0 +1,78 @@
+// SPDX-FileCopyrightText: Nowa Desktop Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { ColorMath } from './ColorMath.js'
+import { PanelStyles } from './PanelStyles.js'
+
+// How each style tints its background: mix the dominant color towards
+// black or white by `amount`, then paint it with `alpha`
+const TINTS = {
+  'translucent-dark': { toward: 0, amount: 0.5, alpha: 0.35 },
+  'translucent-light': { toward: 255, amount: 0.6, alpha: 0.35 },
+  maximized: { toward: 0, amount: 0.6, alpha: 1.0 }
+}
+
+// Text of the light state as shipped, used when no setting is passed in
+const DEFAULT_DARK_TEXT = PanelStyles.parseColor(PanelStyles.getDefault('light').foreground)
+
+/**
+* PanelTint - Single Responsibility: Derive tinted panel backgrounds from a palette
+*
+* Pure logic with no GNOME dependencies, used by the `tinted` panel mode.
+*/
+export class PanelTint {
+  /**
+  * Computes the tinted background of a style
+  * @param {string} style - Panel style (translucent-dark, translucent-light or maximized)
+  * @param {Array} palette - Dominant colors from WallpaperAnalyzer, heaviest first
+  * @param {object} darkText - Text color of the light state {r, g, b, a}, which light tints use
+  * @returns {object|null} {color, alpha, css, darkText} or null if the style has no tint
+  */
+  static compute (style, palette, darkText = DEFAULT_DARK_TEXT) {
+    const recipe = TINTS[style]
+    if (!recipe || !palette || palette.length === 0) {
+      return null
+    }
+
+    const toward = { r: recipe.toward, g: recipe.toward, b: recipe.toward }
+    const mixed = ColorMath.over(palette[0], toward, recipe.amount)
+    const color = {
+      r: Math.round(mixed.r),
+      g: Math.round(mixed.g),
+      b: Math.round(mixed.b)
+    }
+
+    return {
+      color,
+      alpha: recipe.alpha,
+      css: `rgba(${color.r}, ${color.g}, ${color.b}, ${recipe.alpha})`,
+      darkText: this.prefersDarkText(color, style, darkText)
+    }
+  }
+
+  /**
+  * Checks whether dark text suits a background color. Translucent styles
+  * keep the text the analyzer chose for the wallpaper; an opaque color
+  * takes whichever text contrasts more with it
+  * @param {object} color - Background color {r, g, b}
+  * @param {string} style - Panel style the color is drawn in
+  * @param {object} darkText - Text color of the light state {r, g, b, a}
+  * @returns {boolean}
+  */
+  static prefersDarkText (color, style = 'maximized', darkText = DEFAULT_DARK_TEXT) {
+    if (style !== 'maximized') {
+      return style === 'translucent-light'
+    }
+
+    const background = ColorMath.relativeLuminance(color.r, color.g, color.b)
+    const text = ColorMath.over(color, darkText, darkText.a)
+
+    const whiteRatio = ColorMath.contrastRatio(1, background)
+    const darkRatio = ColorMath.contrastRatio(
+      ColorMath.relativeLuminance(text.r, text.g, text.b),
+      background
+    )
+
+    return darkRatio > whiteRatio
+  }
+}
@@ -0,0 +1,193 @@
+// SPDX-FileCopyrightText: Nowa Desktop Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+* SlideshowParser - Single Responsibility: Read GNOME timed slideshow backgrounds
+*
+* Parses the `<background>` XML used by the stock time-of-day wallpapers and
+* works out which static image or transition is showing at a given time.
+* Pure JavaScript, the caller provides the file contents.
+*/
+export class SlideshowParser {
+  /**
+  * Checks whether a wallpaper path points to a slideshow
+  * @param {string} path - Wallpaper path
+  * @returns {boolean}
+  */
+  static isSlideshow (path) {
+    return typeof path === 'string' && path.toLowerCase().endsWith('.xml')
+  }
+
+  /**
+  * Parses slideshow XML
+  * @param {string} xml - File contents
+  * @param {string} basePath - Directory used to resolve relative image paths (optional)
+  * @returns {object} Slideshow {startTime, slides, totalDuration}
+  */
+  static parse (xml, basePath = '') {
+    if (!/<background[\s>]/.test(xml)) {
+      throw new Error('Not a slideshow: missing <background> element')
+    }
+
+    const startTime = this.#parseStartTime(this.#getElement(xml, 'starttime'))
+    const slides = []
+    const slidePattern = /<(static|transition)\b[^>]*>([\s\S]*?)<\/\1>/g
+    let match
+
+    while ((match = slidePattern.exec(xml)) !== null) {
+      const [, type, body] = match
+      const duration = parseFloat(this.#getElement(body, 'duration'))
+
+      if (!(duration > 0)) {
+        continue
+      }
+
+      if (type === 'static') {
+        const files = this.#parseFiles(this.#getElement(body, 'file'), basePath)
+        if (files.length > 0) {
+          slides.push({ type, duration, files })
+        }
+      } else {
+        const from = this.#parseFiles(this.#getElement(body, 'from'), basePath)
+        const to = this.#parseFiles(this.#getElement(body, 'to'), basePath)
+        if (from.length > 0 && to.length > 0) {
+          slides.push({ type, duration, from, to })
+        }
+      }
+    }
+
+    if (slides.length === 0) {
+      throw new Error('Slideshow has no usable slides')
+    }
+
+    const totalDuration = slides.reduce((sum, slide) => sum + slide.duration, 0)
+
+    return { startTime, slides, totalDuration }
+  }
+
+  /**
+  * Finds the slide showing at a given time; the slideshow loops forever
+  * @param {object} slideshow - Result of parse()
+  * @param {Date} now - Time to look up (default: current time)
+  * @returns {object} Frame {type, files} for statics or {type, from, to, progress} for
+  *   transitions, plus `remaining` seconds until the slide ends
+  */
+  static getFrame (slideshow, now = new Date()) {
+    const total = slideshow.totalDuration
+    let elapsed = (now.getTime() - slideshow.startTime.getTime()) / 1000
+    elapsed = ((elapsed % total) + total) % total
+
+    for (const slide of slideshow.slides) {
+      if (elapsed < slide.duration) {
+        const remaining = slide.duration - elapsed
+
+        if (slide.type === 'static') {
+          return { type: 'static', files: slide.files, remaining }
+        }
+
+        return {
+          type: 'transition',
+          from: slide.from,
+          to: slide.to,
+          progress: elapsed / slide.duration,
+          remaining
+        }
+      }
+
+      elapsed -= slide.duration
+    }
+
+    // Floating point leftovers: treat as the start of the loop
+    return this.getFrame(slideshow, slideshow.startTime)
+  }
+
+  /**
+  * Picks the image variant closest to the monitor size
+  * @param {Array} files - Image variants [{path, width, height}]
+  * @param {number} monitorWidth - Monitor width in pixels (optional)
+  * @param {number} monitorHeight - Monitor height in pixels (optional)
+  * @returns {string} Image path
+  */
+  static pickFile (files, monitorWidth = 0, monitorHeight = 0) {
+    const sized = files.filter(file => file.width && file.height)
+
+    if (sized.length === 0 || !monitorWidth || !monitorHeight) {
+      return files[0].path
+    }
+
+    const target = monitorWidth * monitorHeight
+    const best = sized.reduce((a, b) =>
+      Math.abs(a.width * a.height - target) <= Math.abs(b.width * b.height - target) ? a : b
+    )
+
+    return best.path
+  }
+
+  /**
+  * @private
+  */
+  static #getElement (xml, name) {
+    const match = xml.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`))
+    return match ? match[1] : ''
+  }
+
+  /**
+  * Start time is local time; missing fields default to the epoch values
+  * @private
+  */
+  static #parseStartTime (body) {
+    const field = (name, fallback) => {
+      const value = parseInt(this.#getElement(body, name), 10)
+      return Number.isNaN(value) ? fallback : value
+    }
+
+    return new Date(
+      field('year', 1970),
+      field('month', 1) - 1,
+      field('day', 1),
+      field('hour', 0),
+      field('minute', 0),
+      field('second', 0)
+    )
+  }
+
+  /**
+  * A file element holds either a path or several <size> variants
+  * @private
+  */
+  static #parseFiles (body, basePath) {
+    const files = []
+    const sizePattern = /<size\b([^>]*)>([\s\S]*?)<\/size>/g
+    let match
+
+    while ((match = sizePattern.exec(body)) !== null) {
+      const width = parseInt((match[1].match(/width="(\d+)"/) || [])[1], 10)
+      const height = parseInt((match[1].match(/height="(\d+)"/) || [])[1], 10)
+      files.push({ path: this.#resolvePath(match[2], basePath), width, height })
+    }
+
+    if (files.length === 0 && body.trim() !== '') {
+      files.push({ path: this.#resolvePath(body, basePath), width: 0, height: 0 })
+    }
+
+    return files
+  }
+
+  /**
+  * @private
+  */
+  static #resolvePath (text, basePath) {
+    const path = text.trim()
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&')
+
+    if (path.startsWith('/') || !basePath) {
+      return path
+    }
+
+    return `${basePath.replace(/\/$/, '')}/${path}`
+  }
+}
@@ -0,0 +1,57 @@
+// SPDX-FileCopyrightText: Nowa Desktop Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Wallpapers remembered at once
+const MAX_ENTRIES = 32
+
+/**
+* StyleStabilizer - Single Responsibility: Keep styles from flapping near the boundary
+*
+* Remembers the last style decided for each wallpaper. A new analysis may only
+* move the panel between the dark and light families when its confidence
+* reaches the margin; switching to or from a translucent variant of the same
+* family is always allowed.
+*/
+export class StyleStabilizer {
+  #decisions = new Map()
+
+  /**
+  * Filters a new style decision through the previous one
+  * @param {string} key - Wallpaper identity (path, or a description of the colors)
+  * @param {string} style - Style proposed by the analyzer
+  * @param {number} confidence - Analyzer confidence (0.0-1.0)
+  * @param {number} margin - Confidence needed to change family (0.0 disables)
+  * @returns {string} Style to apply
+  */
+  stabilize (key, style, confidence, margin) {
+    const previous = this.#decisions.get(key)
+    let decided = style
+
+    if (previous && margin > 0 &&
+      StyleStabilizer.#family(previous) !== StyleStabilizer.#family(style) &&
+      !(confidence >= margin)) {
+      decided = previous
+    }
+
+    // Re-insert to keep the most recent wallpapers
+    this.#decisions.delete(key)
+    this.#decisions.set(key, decided)
+
+    while (this.#decisions.size > MAX_ENTRIES) {
+      this.#decisions.delete(this.#decisions.keys().next().value)
+    }
+
+    return decided
+  }
+
+  /**
+  * Forgets every decision
+  */
+  clear () {
+    this.#decisions.clear()
+  }
+
+  static #family (style) {
+    return style.endsWith('dark') ? 'dark' : 'light'
+  }
+}
@@ -1,9 +1,43 @@
 // SPDX-FileCopyrightText: Nowa Desktop Contributors
 // SPDX-License-Identifier: GPL-3.0-or-later
 
+import GLib from 'gi://GLib'
+import Gio from 'gi://Gio'
 import GdkPixbuf from 'gi://GdkPixbuf'
 
 import { Logger } from './Logger.js'
+import { WallpaperGeometry } from './WallpaperGeometry.js'
+import { ColorMath } from './ColorMath.js'
+import { PanelStyles } from './PanelStyles.js'
+
+Gio._promisify(Gio.File.prototype, 'read_async')
+Gio._promisify(Gio.InputStream.prototype, 'read_bytes_async')
+Gio._promisify(Gio.InputStream.prototype, 'close_async')
+Gio._promisify(GdkPixbuf.Pixbuf, 'get_file_info_async')
+
+// Decoded width is capped; the panel strip does not need full resolution
+const MAX_DECODE_WIDTH = 1280
+// ...unless that would leave the panel strip with too few rows
+const MIN_BAND_ROWS = 16
+// Bytes handed to the decoder at a time
+const READ_CHUNK_SIZE = 64 * 1024
+// Scales libjpeg decodes at directly, largest reduction first
+const JPEG_SCALE_DENOMINATORS = [8, 4, 2, 1]
+
+// Panel states the contrast strategy scores, by their key in `contrast`
+const CONTRAST_STATES = {
+  dark: 'dark',
+  light: 'light',
+  translucentDark: 'translucent-dark',
+  translucentLight: 'translucent-light'
+}
+// Share of samples that must meet the contrast ratio
+const WORST_PERCENTILE = 0.1
+// Number of dominant colors reported for the panel strip
+const PALETTE_SIZE = 5
+// Busy wallpaper limits of the threshold strategy
+const BUSY_STD_THRESHOLD = 45 / 255 // 0.176 (from ElementaryOS)
+const BUSY_RANGE_THRESHOLD = 0.5
 
 /**
 * WallpaperAnalyzer - Single Responsibility: Analyze wallpaper colors and luminance
@@ -13,38 +47,70 @@ import { Logger } from './Logger.js'
 export class WallpaperAnalyzer {
   /**
   * Analyzes a wallpaper and determines appropriate panel style
+  *
+  * The file is streamed until the panel band has been decoded, at a reduced
+  * scale, and only that band is kept and sampled. Cancelling rejects with
+  * Gio.IOErrorEnum.CANCELLED; any other failure resolves to the 'dark' fallback.
   * @param {string} wallpaperPath - Path to wallpaper file
-  * @param {number} luminanceThreshold - Threshold for dark/light detection (0.0-1.0)
+  * @param {number|object} criteria - Luminance threshold, or decision criteria (see normalizeCriteria)
   * @param {number} panelHeight - Height of panel for crop (default 32)
-  * @returns {object} Analysis result with style recommendation
+  * @param {object} screen - Monitor geometry and `picture-options` (see WallpaperGeometry), optional.
+  *   `screen.blur` ({radius, brightness}) analyzes the background as a blurred and dimmed
+  *   Shell.BlurEffect shows it, with the radius in logical pixels
+  * @param {Gio.Cancellable} cancellable - Cancels loading, optional
+  * @returns {Promise<object>} Analysis result with style recommendation
   */
-  static analyze(wallpaperPath, luminanceThreshold = 0.575, panelHeight = 32) {
+  static async analyze(wallpaperPath, criteria = 0.575, panelHeight = 32, screen = null, cancellable = null) {
+    const decision = this.normalizeCriteria(criteria)
+
     try {
-      // Tolerance zone: ignore 4px from each edge
-      const PADDING = 4
+      const [format, fullWidth, fullHeight] = await GdkPixbuf.Pixbuf.get_file_info_async(wallpaperPath, cancellable)
+      if (!format) {
+        throw new Error(`Unsupported image format: ${wallpaperPath}`)
+      }
 
-      // Load FULL image (no scaling)
-      const fullPixbuf = GdkPixbuf.Pixbuf.new_from_file(wallpaperPath)
-      const fullWidth = fullPixbuf.get_width()
-      const fullHeight = fullPixbuf.get_height()
+      const region = this.#getSourceRegion(fullWidth, fullHeight, panelHeight, screen)
+      if (!region) {
+        // Only the background color is visible behind the panel
+        return this.analyzeColors(screen.background, decision, panelHeight, screen)
+      }
+
+      // Blurring pulls in the wallpaper around the panel, load a wider band
+      const blurRadius = screen?.blur ? this.#toImagePixels(screen.blur.radius, region, screen) : 0
+      const band = this.#expandRegion(region, blurRadius, fullWidth, fullHeight)
 
-      const bgSlice = fullPixbuf.new_subpixbuf(
-        PADDING,
-        PADDING,
-        Math.max(1, fullWidth - (PADDING * 2)),
-        Math.max(0, Math.min(panelHeight, fullHeight) - PADDING)
-      )
+      const { pixbuf, decodeScale } = await this.#loadBand(wallpaperPath, format.get_name(), fullWidth, fullHeight, band, cancellable)
 
-      const analysis = this.#analyzeTopRegion(bgSlice)
-      const style = this.#determineStyle(analysis, luminanceThreshold)
+      let sample = this.#getSample(pixbuf)
+      if (screen?.blur) {
+        sample = this.#blurSample(sample, blurRadius * decodeScale, screen.blur.brightness, {
+          x: (region.x - band.x) * decodeScale,
+          y: (region.y - band.y) * decodeScale,
+          width: region.width * decodeScale,
+          height: region.height * decodeScale
+        })
+      }
+
+      const analysis = this.#analyzePixels(sample.pixels, sample.width, sample.height, sample.rowstride, sample.channels, decision.styles)
+      const style = this.#determineStyle(analysis, decision)
+      const zones = this.#analyzeZones(sample, screen?.zones, decision)
 
       return {
         style,
-        ...analysis
+        strategy: decision.strategy,
+        confidence: this.#computeConfidence(analysis, decision),
+        region,
+        decodeScale,
+        ...analysis,
+        ...(zones && { zones })
       }
 
     } catch (error) {
-      Logger.error(`WallpaperAnalyzer: Failed to analyze - ${error.message}`)
+      if (error instanceof GLib.Error && error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+        throw error
+      }
+
+      Logger.error('WallpaperAnalyzer', `Failed to analyze: ${error.message}`)
       // Default to dark style on error
       return {
         style: 'dark',
@@ -55,25 +121,637 @@ export class WallpaperAnalyzer {
   }
 
   /**
-  * Analyzes the top region of wallpaper
+  * Streams the image and decodes the band, downscaled
+  *
+  * JPEGs are decoded at a reduced scale directly. Reading stops once the
+  * decoder has delivered the last band row, unless the image refines every
+  * row in later passes (progressive JPEG, interlaced PNG). Only the band is
+  * scaled down further and kept.
+  * @private
+  * @returns {Promise<object>} {pixbuf, decodeScale}: the band and its scale to the full image
+  */
+  static async #loadBand(path, formatName, fullWidth, fullHeight, band, cancellable) {
+    const targetScale = Math.min(1, Math.max(MAX_DECODE_WIDTH / fullWidth, MIN_BAND_ROWS / band.height))
+
+    // Largest reduction that still leaves the band its target size
+    const denominator = formatName === 'jpeg'
+      ? JPEG_SCALE_DENOMINATORS.find(d => d === 1 || 1 / d >= targetScale)
+      : 1
+    const decodeWidth = Math.ceil(fullWidth / denominator)
+    const decodeHeight = Math.ceil(fullHeight / denominator)
+    const bandBottom = Math.min(decodeHeight, Math.ceil((band.y + band.height) / denominator))
+
+    const loader = GdkPixbuf.PixbufLoader.new_with_type(formatName)
+    if (denominator > 1) {
+      // Exactly libjpeg's size at this scale, so rows are reported as they arrive
+      loader.connect('size-prepared', () => loader.set_size(decodeWidth, decodeHeight))
+    }
+
+    let decodedRows = 0
+    loader.connect('area-updated', (_loader, x, y, width, height) => {
+      decodedRows = Math.max(decodedRows, y + height)
+    })
+
+    const stream = await Gio.File.new_for_path(path).read_async(GLib.PRIORITY_DEFAULT, cancellable)
+    let sequential = null
+    let finished = false
+    let stoppedEarly = false
+
+    try {
+      for (;;) {
+        const bytes = await stream.read_bytes_async(READ_CHUNK_SIZE, GLib.PRIORITY_DEFAULT, cancellable)
+        if (bytes.get_size() === 0) {
+          break
+        }
+
+        sequential ??= this.#isSequential(formatName, bytes.get_data())
+        loader.write_bytes(bytes)
+
+        if (sequential && decodedRows >= bandBottom) {
+          stoppedEarly = true
+          break
+        }
+      }
+      finished = true
+    } finally {
+      await stream.close_async(GLib.PRIORITY_DEFAULT, null).catch(() => {})
+
+      try {
+        loader.close()
+      } catch (e) {
+        // Closing before the end of the file always reports missing data,
+        // and a failed read has its own error
+        if (finished && !stoppedEarly) {
+          throw e
+        }
+      }
+    }
+
+    const decoded = loader.get_pixbuf()
+    if (!decoded) {
+      throw new Error(`Could not decode ${path}`)
+    }
+
+    const crop = this.#scaleRegion(band, fullWidth, fullHeight, decoded)
+    const slice = decoded.new_subpixbuf(crop.x, crop.y, crop.width, crop.height)
+    const decodedScale = decoded.get_width() / fullWidth
+
+    if (decodedScale <= targetScale) {
+      // Own copy, so the full decoded image can be freed
+      return { pixbuf: slice.copy(), decodeScale: decodedScale }
+    }
+
+    const pixbuf = slice.scale_simple(
+      Math.max(1, Math.round(band.width * targetScale)),
+      Math.max(1, Math.round(band.height * targetScale)),
+      GdkPixbuf.InterpType.BILINEAR
+    )
+
+    return { pixbuf, decodeScale: pixbuf.get_width() / band.width }
+  }
+
+  /**
+  * Whether final rows arrive top to bottom, judged from the start of the file
+  * @private
+  */
+  static #isSequential(formatName, header) {
+    // Interlace method in the IHDR chunk, 0 for none
+    if (formatName === 'png') {
+      return header.length > 28 && header[28] === 0
+    }
+
+    if (formatName !== 'jpeg') {
+      return false
+    }
+
+    // Walk the segments up to the frame header: SOF0 and SOF1 are baseline
+    // and extended sequential, the other SOF markers are progressive or
+    // unsupported. Undecided within the first chunk counts as not sequential
+    let offset = 2
+    while (offset + 3 < header.length && header[offset] === 0xFF) {
+      const marker = header[offset + 1]
+      if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+        return marker === 0xC0 || marker === 0xC1
+      }
+      if (marker === 0xDA) {
+        return false
+      }
+      offset += 2 + ((header[offset + 2] << 8) | header[offset + 3])
+    }
+
+    return false
+  }
+
+  /**
+  * Converts a full-resolution region to the decoded pixbuf
+  * @private
+  */
+  static #scaleRegion(region, fullWidth, fullHeight, pixbuf) {
+    const width = pixbuf.get_width()
+    const height = pixbuf.get_height()
+    const scaleX = width / fullWidth
+    const scaleY = height / fullHeight
+
+    const x = Math.min(width - 1, Math.floor(region.x * scaleX))
+    const y = Math.min(height - 1, Math.floor(region.y * scaleY))
+
+    return {
+      x,
+      y,
+      width: Math.max(1, Math.min(width - x, Math.round(region.width * scaleX))),
+      height: Math.max(1, Math.min(height - y, Math.round(region.height * scaleY)))
+    }
+  }
+
+  /**
+  * Combines the analyses of two cross-fading slideshow frames
+  *
+  * Statistics are interpolated linearly; for the standard deviation and range
+  * this is an upper bound of the blended image, which errs towards "busy".
+  * @param {object} fromResult - Analysis of the outgoing frame
+  * @param {object} toResult - Analysis of the incoming frame
+  * @param {number} progress - Transition progress (0.0-1.0)
+  * @param {number|object} criteria - Luminance threshold, or decision criteria (see normalizeCriteria)
+  * @param {string} zoneName - Set when blending a single panel zone (internal)
+  * @returns {object} Analysis result with style recommendation
+  */
+  static blend(fromResult, toResult, progress, criteria = 0.575, zoneName = null) {
+    if (fromResult.error || toResult.error) {
+      return fromResult.error ? toResult : fromResult
+    }
+
+    const decision = this.normalizeCriteria(criteria)
+    const t = Math.max(0, Math.min(1, progress))
+    const mix = (a, b) => a + (b - a) * t
+    const mixRGB = (a, b) => ({
+      r: Math.round(mix(a.r, b.r)),
+      g: Math.round(mix(a.g, b.g)),
+      b: Math.round(mix(a.b, b.b))
+    })
+
+    const analysis = {
+      meanLuminance: mix(fromResult.meanLuminance, toResult.meanLuminance),
+      luminanceStd: mix(fromResult.luminanceStd, toResult.luminanceStd),
+      minLuminosity: mix(fromResult.minLuminosity, toResult.minLuminosity),
+      maxLuminosity: mix(fromResult.maxLuminosity, toResult.maxLuminosity),
+      minRGB: mixRGB(fromResult.minRGB, toResult.minRGB),
+      maxRGB: mixRGB(fromResult.maxRGB, toResult.maxRGB),
+      contrast: this.#mixContrast(fromResult.contrast, toResult.contrast, mix),
+      // Palettes do not interpolate, use the frame that dominates
+      palette: t < 0.5 ? fromResult.palette : toResult.palette,
+      sampleCount: fromResult.sampleCount,
+      width: fromResult.width,
+      height: fromResult.height
+    }
+
+    const style = this.#determineStyle(analysis, decision, zoneName)
+
+    // Zones only blend when both frames were split the same way
+    let zones = null
+    if (fromResult.zones && toResult.zones) {
+      zones = {}
+      for (const name of Object.keys(fromResult.zones)) {
+        if (toResult.zones[name]) {
+          zones[name] = this.blend(fromResult.zones[name], toResult.zones[name], t, decision, name)
+        }
+      }
+    }
+
+    return {
+      style,
+      strategy: decision.strategy,
+      confidence: this.#computeConfidence(analysis, decision),
+      progress: t,
+      ...analysis,
+      ...(zones && { zones })
+    }
+  }
+
+  /**
+  * Fills in decision criteria defaults
+  * @param {number|object} criteria - Luminance threshold, or an object with:
+  *   luminanceThreshold (0.0-1.0), strategy ('threshold' or 'contrast'),
+  *   minContrastRatio (WCAG ratio, e.g. 4.5 or 3)
+  * @returns {object} Complete criteria
+  */
+  static normalizeCriteria(criteria) {
+    const values = typeof criteria === 'number' ? { luminanceThreshold: criteria } : (criteria || {})
+
+    return {
+      luminanceThreshold: values.luminanceThreshold ?? 0.575,
+      strategy: values.strategy === 'contrast' ? 'contrast' : 'threshold',
+      minContrastRatio: values.minContrastRatio ?? 4.5,
+      styles: this.#normalizeStyles(values.styles)
+    }
+  }
+
+  /**
+  * Background and text colors of the scored states, as canonical CSS so
+  * normalized criteria normalize to themselves and key the cache
+  * @private
+  */
+  static #normalizeStyles(definitions) {
+    const styles = {}
+
+    for (const state of Object.values(CONTRAST_STATES)) {
+      const fallback = PanelStyles.getDefault(state)
+      const color = (key) => {
+        const { r, g, b, a } = PanelStyles.parseColor(definitions?.[state]?.[key]) ?? PanelStyles.parseColor(fallback[key])
+        return `rgba(${r}, ${g}, ${b}, ${a})`
+      }
+
+      styles[state] = { background: color('background'), foreground: color('foreground') }
+    }
+
+    return styles
+  }
+
+  /**
+  * Interpolates contrast statistics of two frames
+  * @private
+  */
+  static #mixContrast(fromContrast, toContrast, mix) {
+    if (!fromContrast || !toContrast) {
+      return fromContrast || toContrast
+    }
+
+    const contrast = {}
+    for (const key of Object.keys(fromContrast)) {
+      contrast[key] = {
+        median: mix(fromContrast[key].median, toContrast[key].median),
+        worst: mix(fromContrast[key].worst, toContrast[key].worst)
+      }
+    }
+
+    return contrast
+  }
+
+  /**
+  * Analyzes a solid color or gradient background (no image)
+  * @param {object} background - Background colors
+  * @param {string} background.primaryColor - Value of `primary-color` (e.g. '#023c88')
+  * @param {string} background.secondaryColor - Value of `secondary-color`
+  * @param {string} background.shadingType - Value of `color-shading-type`: solid, horizontal, vertical
+  * @param {number|object} criteria - Luminance threshold, or decision criteria (see normalizeCriteria)
+  * @param {number} panelHeight - Height of panel (default 32)
+  * @param {object} screen - Monitor geometry, used to place the gradient (optional)
+  * @returns {object} Analysis result with style recommendation
+  */
+  static analyzeColors(background, criteria = 0.575, panelHeight = 32, screen = null) {
+    const decision = this.normalizeCriteria(criteria)
+
+    try {
+      let sample = this.#buildColorSample(background, panelHeight, screen)
+      if (screen?.blur) {
+        // Colors barely change under blur, but they are dimmed
+        sample = this.#blurSample(sample, 0, screen.blur.brightness)
+      }
+
+      const analysis = this.#analyzePixels(sample.pixels, sample.width, sample.height, sample.rowstride, sample.channels, decision.styles)
+      const style = this.#determineStyle(analysis, decision)
+      const zones = this.#analyzeZones(sample, screen?.zones, decision)
+
+      return {
+        style,
+        strategy: decision.strategy,
+        confidence: this.#computeConfidence(analysis, decision),
+        shadingType: background.shadingType,
+        ...analysis,
+        ...(zones && { zones })
+      }
+
+    } catch (error) {
+      Logger.error('WallpaperAnalyzer', `Failed to analyze colors: ${error.message}`)
+      return {
+        style: 'dark',
+        meanLuminance: 0.5,
+        error: error.message
+      }
+    }
+  }
+
+  /**
+  * Renders the panel strip of a color background into an RGB buffer
+  * @private
+  */
+  static #buildColorSample(background, panelHeight, screen) {
+    // Same tolerance zone as image analysis
+    const PADDING = 4
+    // Gradients are smooth, a narrow buffer is representative
+    const MAX_WIDTH = 512
+
+    const primary = this.#parseColor(background.primaryColor)
+    const secondary = this.#parseColor(background.secondaryColor)
+    const shading = background.shadingType || 'solid'
+
+    const monitorWidth = screen?.monitorWidth || 1920
+    const monitorHeight = screen?.monitorHeight || 1080
+    const width = Math.max(1, Math.min(MAX_WIDTH, monitorWidth - (PADDING * 2)))
+    const height = Math.max(1, panelHeight - PADDING)
+    const rowstride = width * 3
+    const pixels = new Uint8Array(rowstride * height)
+
+    const mix = (t) => ({
+      r: Math.round(primary.r + (secondary.r - primary.r) * t),
+      g: Math.round(primary.g + (secondary.g - primary.g) * t),
+      b: Math.round(primary.b + (secondary.b - primary.b) * t)
+    })
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let color = primary
+
+        if (shading === 'horizontal') {
+          // Primary on the left edge, secondary on the right edge
+          const screenX = PADDING + (x / Math.max(1, width - 1)) * (monitorWidth - (PADDING * 2))
+          color = mix(screenX / monitorWidth)
+        } else if (shading === 'vertical') {
+          // Primary at the top edge, secondary at the bottom edge
+          color = mix((PADDING + y) / monitorHeight)
+        }
+
+        const index = y * rowstride + x * 3
+        pixels[index] = color.r
+        pixels[index + 1] = color.g
+        pixels[index + 2] = color.b
+      }
+    }
+
+    return { pixels, width, height, rowstride, channels: 3 }
+  }
+
+  /**
+  * Parses '#rgb' or '#rrggbb' into 0-255 channels
+  * @private
+  */
+  static #parseColor(value) {
+    let hex = (value || '').trim().replace(/^#/, '')
+
+    if (hex.length === 3) {
+      hex = hex.split('').map(c => c + c).join('')
+    }
+
+    if (!/^[0-9a-fA-F]{6}$/.test(hex)) {
+      throw new Error(`Invalid color '${value}'`)
+    }
+
+    return {
+      r: parseInt(hex.substring(0, 2), 16),
+      g: parseInt(hex.substring(2, 4), 16),
+      b: parseInt(hex.substring(4, 6), 16)
+    }
+  }
+
+  /**
+  * Finds the image rectangle that sits behind the panel
+  * @private
+  */
+  static #getSourceRegion(imageWidth, imageHeight, panelHeight, screen) {
+    // Tolerance zone: ignore 4px from each edge
+    const PADDING = 4
+
+    if (screen) {
+      const region = WallpaperGeometry.mapScreenRect({
+        ...screen,
+        imageWidth,
+        imageHeight
+      }, {
+        x: PADDING,
+        y: PADDING,
+        width: Math.max(1, screen.monitorWidth - (PADDING * 2)),
+        height: Math.max(1, panelHeight - PADDING)
+      })
+
+      if (region) {
+        return region
+      }
+
+      if (screen.background) {
+        Logger.debug('WallpaperAnalyzer', `Image not drawn behind panel (${screen.pictureOptions}), using background color`)
+        return null
+      }
+
+      Logger.debug('WallpaperAnalyzer', `Image not drawn behind panel (${screen.pictureOptions}), using top strip`)
+    }
+
+    // Raw top strip of the image
+    return {
+      x: Math.min(PADDING, imageWidth - 1),
+      y: Math.min(PADDING, imageHeight - 1),
+      width: Math.max(1, imageWidth - (PADDING * 2)),
+      height: Math.max(1, Math.min(panelHeight, imageHeight) - PADDING)
+    }
+  }
+
+  /**
+  * Converts logical screen pixels to image pixels around a region
   * @private
   */
-  static #analyzeTopRegion(bgSlice) {
-    const width = bgSlice.get_width()
-    const height = bgSlice.get_height()
-    const rowstride = bgSlice.get_rowstride()
-    const pixels = bgSlice.get_pixels()
-    const hasAlpha = bgSlice.get_has_alpha()
-    const channels = hasAlpha ? 4 : 3
+  static #toImagePixels(length, region, screen) {
+    return length * region.width / Math.max(1, screen.monitorWidth)
+  }
+
+  /**
+  * Grows a region by a margin on every side, within the image
+  * @private
+  */
+  static #expandRegion(region, margin, imageWidth, imageHeight) {
+    if (margin <= 0) {
+      return region
+    }
+
+    const x = Math.max(0, Math.floor(region.x - margin))
+    const y = Math.max(0, Math.floor(region.y - margin))
+
+    return {
+      x,
+      y,
+      width: Math.min(imageWidth, Math.ceil(region.x + region.width + margin)) - x,
+      height: Math.min(imageHeight, Math.ceil(region.y + region.height + margin)) - y
+    }
+  }
+
+  /**
+  * Blurs and dims a sample like Shell.BlurEffect, then crops it
+  *
+  * Three box blur passes approximate the effect's gaussian (sigma = radius / 2);
+  * brightness multiplies the color values, as the effect does.
+  * @param {object} sample - Raw pixel sample
+  * @param {number} radius - Blur radius in sample pixels, 0 to only dim
+  * @param {number} brightness - Brightness factor (0.0-1.0)
+  * @param {object} crop - Part to keep {x, y, width, height}, the whole sample by default
+  * @returns {object} RGB sample
+  * @private
+  */
+  static #blurSample(sample, radius, brightness = 1, crop = null) {
+    const { width, height } = sample
+    const data = new Float32Array(width * height * 3)
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const source = y * sample.rowstride + x * sample.channels
+        const target = (y * width + x) * 3
+        data[target] = sample.pixels[source]
+        data[target + 1] = sample.pixels[source + 1]
+        data[target + 2] = sample.pixels[source + 2]
+      }
+    }
+
+    const sigma = radius / 2
+    const boxRadius = Math.round((Math.sqrt(4 * sigma * sigma + 1) - 1) / 2)
+    if (boxRadius > 0) {
+      for (let pass = 0; pass < 3; pass++) {
+        this.#boxBlur(data, width, height, boxRadius, true)
+        this.#boxBlur(data, width, height, boxRadius, false)
+      }
+    }
+
+    const x0 = Math.max(0, Math.min(width - 1, Math.round(crop?.x ?? 0)))
+    const y0 = Math.max(0, Math.min(height - 1, Math.round(crop?.y ?? 0)))
+    const cropWidth = Math.max(1, Math.min(width - x0, Math.round(crop?.width ?? width)))
+    const cropHeight = Math.max(1, Math.min(height - y0, Math.round(crop?.height ?? height)))
+    const factor = Math.max(0, Math.min(1, brightness ?? 1))
+    const pixels = new Uint8Array(cropWidth * cropHeight * 3)
 
-    return this.#analyzePixels(pixels, width, height, rowstride, channels)
+    for (let y = 0; y < cropHeight; y++) {
+      for (let x = 0; x < cropWidth; x++) {
+        const source = ((y0 + y) * width + x0 + x) * 3
+        const target = (y * cropWidth + x) * 3
+        for (let c = 0; c < 3; c++) {
+          pixels[target + c] = Math.round(data[source + c] * factor)
+        }
+      }
+    }
+
+    return { pixels, width: cropWidth, height: cropHeight, rowstride: cropWidth * 3, channels: 3 }
+  }
+
+  /**
+  * One box blur pass along rows or columns, edges clamped
+  * @private
+  */
+  static #boxBlur(data, width, height, radius, horizontal) {
+    const length = horizontal ? width : height
+    const lines = horizontal ? height : width
+    const step = horizontal ? 3 : width * 3
+    const size = 2 * radius + 1
+    const line = new Float32Array(length * 3)
+    const at = (start, i, c) => data[start + Math.max(0, Math.min(length - 1, i)) * step + c]
+
+    for (let l = 0; l < lines; l++) {
+      const start = horizontal ? l * width * 3 : l * 3
+
+      for (let c = 0; c < 3; c++) {
+        let sum = 0
+        for (let i = -radius; i <= radius; i++) {
+          sum += at(start, i, c)
+        }
+
+        for (let i = 0; i < length; i++) {
+          line[i * 3 + c] = sum / size
+          sum += at(start, i + radius + 1, c) - at(start, i - radius, c)
+        }
+      }
+
+      for (let i = 0; i < length; i++) {
+        const target = start + i * step
+        data[target] = line[i * 3]
+        data[target + 1] = line[i * 3 + 1]
+        data[target + 2] = line[i * 3 + 2]
+      }
+    }
+  }
+
+  /**
+  * Pixel statistics of a raw RGB(A) buffer, without a style decision
+  * @param {Uint8Array} pixels - Pixel data
+  * @param {number} width - Width in pixels
+  * @param {number} height - Height in pixels
+  * @param {number} rowstride - Bytes per row
+  * @param {number} channels - 3 (RGB) or 4 (RGBA)
+  * @param {object} styles - Style definitions the contrast is scored against, see PanelStyles.read(); optional
+  * @returns {object} Luminance, contrast and palette statistics
+  */
+  static analyzePixels(pixels, width, height, rowstride, channels, styles = null) {
+    return this.#analyzePixels(pixels, width, height, rowstride, channels, this.#normalizeStyles(styles))
+  }
+
+  /**
+  * Decides again on an existing analysis, without logging
+  *
+  * Lets callers try other criteria (e.g. while a threshold slider moves)
+  * without loading the image again.
+  * @param {object} analysis - Result of analyze() or analyzePixels()
+  * @param {number|object} criteria - Luminance threshold, or decision criteria (see normalizeCriteria)
+  * @returns {object} {style, strategy, confidence} plus the threshold strategy's flags:
+  *   isBgDark, isBusy, highVariance, nearBoundary, highContrast, range
+  */
+  static evaluate(analysis, criteria = 0.575) {
+    const decision = this.normalizeCriteria(criteria)
+    const flags = this.#getThresholdFlags(analysis, decision.luminanceThreshold)
+    const style = decision.strategy === 'contrast' && analysis.contrast
+      ? this.#pickContrastStyle(analysis.contrast, decision.minContrastRatio)
+      : this.#pickThresholdStyle(flags)
+
+    return {
+      style,
+      strategy: decision.strategy,
+      confidence: this.#computeConfidence(analysis, decision),
+      ...flags
+    }
+  }
+
+  /**
+  * Exposes a pixbuf as a raw pixel sample
+  * @private
+  */
+  static #getSample(pixbuf) {
+    return {
+      pixels: pixbuf.get_pixels(),
+      width: pixbuf.get_width(),
+      height: pixbuf.get_height(),
+      rowstride: pixbuf.get_rowstride(),
+      channels: pixbuf.get_has_alpha() ? 4 : 3
+    }
+  }
+
+  /**
+  * Analyzes each panel zone (left, center, right box) on its own
+  * @param {object} sample - Raw pixel sample of the whole panel strip
+  * @param {Array} zones - [{name, x, width}] with x and width as fractions of the panel width
+  * @returns {object|null} Zone analyses keyed by name
+  * @private
+  */
+  static #analyzeZones(sample, zones, decision) {
+    if (!zones || zones.length === 0) {
+      return null
+    }
+
+    const result = {}
+
+    for (const zone of zones) {
+      const start = Math.max(0, Math.min(sample.width - 1, Math.floor(zone.x * sample.width)))
+      const end = Math.max(start + 1, Math.min(sample.width, Math.ceil((zone.x + zone.width) * sample.width)))
+
+      // Same rowstride, the view just starts at the zone's first column
+      const pixels = sample.pixels.subarray(start * sample.channels)
+      const analysis = this.#analyzePixels(pixels, end - start, sample.height, sample.rowstride, sample.channels, decision.styles)
+
+      result[zone.name] = {
+        style: this.#determineStyle(analysis, decision, zone.name),
+        confidence: this.#computeConfidence(analysis, decision),
+        ...analysis
+      }
+    }
+
+    return result
   }
 
   /**
   * Analyzes pixels using checkerboard sampling
   * @private
   */
-  static #analyzePixels(pixels, width, height, rowstride, channels) {
+  static #analyzePixels(pixels, width, height, rowstride, channels, styles) {
     let totalLuminosity = 0
     let luminositySquaredSum = 0
     let minLuminosity = 1
@@ -84,6 +762,18 @@ export class WallpaperAnalyzer {
     let minRGB = { r: 255, g: 255, b: 255 }
     let maxRGB = { r: 0, g: 0, b: 0 }
 
+    // Sampled colors for the dominant palette
+    const colors = []
+
+    // WCAG contrast ratio of each text/backing combination, per sample
+    const ratios = {
+      dark: [],
+      light: [],
+      translucentDark: [],
+      translucentLight: []
+    }
+    const stateColors = this.#getStateColors(styles)
+
     // Checkerboard pattern sampling: skip every other line, 4px spacing
     for (let y = 0; y < height; y += 2) {
       const xOffset = (y % 4 === 0) ? 0 : 2  // Alternates: line 0,4,8... → offset 0; line 2,6,10... → offset 2
@@ -119,6 +809,9 @@ export class WallpaperAnalyzer {
           }
         }
 
+        colors.push([pixels[pixelIndex], pixels[pixelIndex + 1], pixels[pixelIndex + 2]])
+        this.#collectContrast(ratios, stateColors, pixels[pixelIndex], pixels[pixelIndex + 1], pixels[pixelIndex + 2])
+
         sampleCount++
       }
     }
@@ -135,6 +828,13 @@ export class WallpaperAnalyzer {
       maxLuminosity,
       minRGB,
       maxRGB,
+      contrast: {
+        dark: this.#summarizeRatios(ratios.dark),
+        light: this.#summarizeRatios(ratios.light),
+        translucentDark: this.#summarizeRatios(ratios.translucentDark),
+        translucentLight: this.#summarizeRatios(ratios.translucentLight)
+      },
+      palette: ColorMath.palette(colors, PALETTE_SIZE),
       sampleCount,
       width,
       height
@@ -142,83 +842,207 @@ export class WallpaperAnalyzer {
   }
 
   /**
-  * Determines panel style based on analysis
+  * Parsed background and text color of each scored state
   * @private
   */
-  static #determineStyle(analysis, LUMINANCE_THRESHOLD) {
-    const STD_THRESHOLD = 45 / 255 // 0.176 (from ElementaryOS)
+  static #getStateColors(styles) {
+    const colors = {}
 
-    const meanLuminance = analysis.meanLuminance
-    const luminanceStd = analysis.luminanceStd
-    const minColor = analysis.minLuminosity
-    const maxColor = analysis.maxLuminosity
-    const minRGB = analysis.minRGB
-    const maxRGB = analysis.maxRGB
+    for (const [key, state] of Object.entries(CONTRAST_STATES)) {
+      colors[key] = {
+        background: PanelStyles.parseColor(styles[state].background),
+        foreground: PanelStyles.parseColor(styles[state].foreground)
+      }
+    }
 
-    // Helper functions for logging
-    const toHex = (rgb) => {
-      const r = rgb.r.toString(16).padStart(2, '0')
-      const g = rgb.g.toString(16).padStart(2, '0')
-      const b = rgb.b.toString(16).padStart(2, '0')
-      return `#${r}${g}${b}`.toUpperCase()
+    return colors
+  }
+
+  /**
+  * Adds the contrast ratios of one background pixel for every panel style
+  *
+  * Each state's background is painted over the pixel, then its text over
+  * that backing, both with their own alpha, as St draws the panel.
+  * @private
+  */
+  static #collectContrast(ratios, stateColors, r, g, b) {
+    const pixel = { r, g, b }
+    const luminance = (color) => ColorMath.relativeLuminance(color.r, color.g, color.b)
+
+    for (const [key, { background, foreground }] of Object.entries(stateColors)) {
+      const backing = ColorMath.over(pixel, background, background.a)
+      const text = ColorMath.over(backing, foreground, foreground.a)
+
+      ratios[key].push(ColorMath.contrastRatio(luminance(text), luminance(backing)))
+    }
+  }
+
+  /**
+  * Median and worst-percentile contrast ratio
+  * @private
+  */
+  static #summarizeRatios(values) {
+    if (values.length === 0) {
+      return { median: 1, worst: 1 }
+    }
+
+    values.sort((a, b) => a - b)
+
+    return {
+      median: values[Math.floor((values.length - 1) / 2)],
+      worst: values[Math.floor((values.length - 1) * WORST_PERCENTILE)]
     }
+  }
 
-    const colorSquare = (rgb) => {
-      return `\x1b[48;2;${rgb.r};${rgb.g};${rgb.b}m  \x1b[0m`
+  /**
+  * Distance of the analysis from the dark/light decision boundary (0.0-1.0)
+  *
+  * Threshold strategy: |mean luminance - threshold|. Contrast strategy: the
+  * gap between the worst-case white and dark text ratios, over the 1-21 range.
+  * @private
+  */
+  static #computeConfidence(analysis, decision) {
+    if (decision.strategy === 'contrast' && analysis.contrast) {
+      return Math.min(1, Math.abs(analysis.contrast.dark.worst - analysis.contrast.light.worst) / 20)
     }
 
-    // Log analysis
-    Logger.log('=== WALLPAPER ANALYSIS ===')
-    Logger.log(`sample: ${analysis.width}x${analysis.height} (${analysis.sampleCount} pixels)`)
-    Logger.log(`mean_luminance: ${meanLuminance.toFixed(3)}`)
-    Logger.log(`std: ${luminanceStd.toFixed(3)}`)
-    Logger.log(`darkest_color: ${minColor.toFixed(3)} (${colorSquare(minRGB)} ${toHex(minRGB)})`)
-    Logger.log(`lightest_color: ${maxColor.toFixed(3)} (${colorSquare(maxRGB)} ${toHex(maxRGB)})`)
+    return Math.min(1, Math.abs(analysis.meanLuminance - decision.luminanceThreshold))
+  }
+
+  /**
+  * Determines panel style with the selected strategy
+  * @private
+  */
+  static #determineStyle(analysis, decision, zoneName = null) {
+    if (decision.strategy === 'contrast' && analysis.contrast) {
+      return this.#determineStyleByContrast(analysis, decision.minContrastRatio, zoneName)
+    }
+
+    return this.#determineStyleByThreshold(analysis, decision.luminanceThreshold, zoneName)
+  }
+
+  /**
+  * Determines panel style from WCAG contrast ratios
+  *
+  * Picks the transparent style whose text meets the minimum ratio on the worst
+  * samples, escalates to a translucent style when neither does.
+  * @private
+  */
+  static #determineStyleByContrast(analysis, minContrastRatio, zoneName = null) {
+    const contrast = analysis.contrast
+    const state = this.#pickContrastStyle(contrast, minContrastRatio)
+
+    Logger.debug('WallpaperAnalyzer', `${zoneName ? `Zone ${zoneName}` : 'Result'}: ${state} (worst dark: ${contrast.dark.worst.toFixed(2)}:1, worst light: ${contrast.light.worst.toFixed(2)}:1, min ratio: ${minContrastRatio}:1)`, {
+      strategy: 'contrast',
+      zone: zoneName,
+      style: state,
+      sample: { width: analysis.width, height: analysis.height, count: analysis.sampleCount },
+      contrast
+    })
+
+    return state
+  }
+
+  /**
+  * Transparent style whose text meets the ratio on the worst samples, else
+  * the translucent style that does best
+  * @private
+  */
+  static #pickContrastStyle(contrast, minContrastRatio) {
+    const darkOk = contrast.dark.worst >= minContrastRatio
+    const lightOk = contrast.light.worst >= minContrastRatio
+
+    if (darkOk && lightOk) {
+      return contrast.dark.worst >= contrast.light.worst ? 'dark' : 'light'
+    } else if (darkOk) {
+      return 'dark'
+    } else if (lightOk) {
+      return 'light'
+    }
+
+    return contrast.translucentDark.worst >= contrast.translucentLight.worst
+      ? 'translucent-dark'
+      : 'translucent-light'
+  }
+
+  /**
+  * Dark/light and busy flags of the threshold strategy
+  * @private
+  */
+  static #getThresholdFlags(analysis, luminanceThreshold) {
+    const meanLuminance = analysis.meanLuminance
+    const luminanceStd = analysis.luminanceStd
 
     // STEP 1: Is background dark or light?
-    const isBgDark = meanLuminance < LUMINANCE_THRESHOLD
-    Logger.log(`is_bg_dark: ${isBgDark} (threshold: ${LUMINANCE_THRESHOLD.toFixed(3)})`)
+    const isBgDark = meanLuminance < luminanceThreshold
 
     // STEP 2: Is background busy (has patterns/textures)?
-    const highVariance = luminanceStd > STD_THRESHOLD
-    const nearBoundary = (meanLuminance < LUMINANCE_THRESHOLD &&
-      meanLuminance + 1.645 * luminanceStd > LUMINANCE_THRESHOLD)
-
-      // High contrast range indicates areas with very different luminance
-      // (e.g., bright sky with dark tree in corner where icons are)
-      const range = maxColor - minColor
-      const highContrast = range > 0.5
-
-      const isBusy = highVariance || nearBoundary || highContrast
-
-      Logger.log(`is_busy: ${isBusy} (high_variance: ${highVariance}, near_boundary: ${nearBoundary}, high_contrast: ${highContrast}, range: ${range.toFixed(3)})`)
-
-      // STEP 3: Determine panel state
-      let state
-      let description
-
-      if (isBgDark) {
-        // Dark background -> white text
-        if (isBusy) {
-          state = 'translucent-dark'
-          description = 'dark panel + white text'
-        } else {
-          state = 'dark'
-          description = 'transparent + white text'
-        }
-      } else {
-        // Light background -> black text
-        if (isBusy) {
-          state = 'translucent-light'
-          description = 'light panel + black text'
-        } else {
-          state = 'light'
-          description = 'transparent + black text'
-        }
-      }
+    const highVariance = luminanceStd > BUSY_STD_THRESHOLD
+    const nearBoundary = (meanLuminance < luminanceThreshold &&
+      meanLuminance + 1.645 * luminanceStd > luminanceThreshold)
 
-      Logger.log(`=== RESULT: ${state} (${description}) ===`)
+    // High contrast range indicates areas with very different luminance
+    // (e.g., bright sky with dark tree in corner where icons are)
+    const range = analysis.maxLuminosity - analysis.minLuminosity
+    const highContrast = range > BUSY_RANGE_THRESHOLD
 
-      return state
+    return {
+      isBgDark,
+      isBusy: highVariance || nearBoundary || highContrast,
+      highVariance,
+      nearBoundary,
+      highContrast,
+      range
     }
   }
+
+  /**
+  * STEP 3: Busy backgrounds get a translucent backing
+  * @private
+  */
+  static #pickThresholdStyle({ isBgDark, isBusy }) {
+    if (isBgDark) {
+      return isBusy ? 'translucent-dark' : 'dark'
+    }
+
+    return isBusy ? 'translucent-light' : 'light'
+  }
+
+  /**
+  * Determines panel style based on analysis
+  * @private
+  */
+  static #determineStyleByThreshold(analysis, LUMINANCE_THRESHOLD, zoneName = null) {
+    const toHex = (rgb) => {
+      const r = rgb.r.toString(16).padStart(2, '0')
+      const g = rgb.g.toString(16).padStart(2, '0')
+      const b = rgb.b.toString(16).padStart(2, '0')
+      return `#${r}${g}${b}`.toUpperCase()
+    }
+
+    const flags = this.#getThresholdFlags(analysis, LUMINANCE_THRESHOLD)
+    const state = this.#pickThresholdStyle(flags)
+    const description = {
+      'dark': 'transparent + white text',
+      'translucent-dark': 'dark panel + white text',
+      'light': 'transparent + black text',
+      'translucent-light': 'light panel + black text'
+    }[state]
+
+    Logger.debug('WallpaperAnalyzer', `${zoneName ? `Zone ${zoneName}` : 'Result'}: ${state} (${description}, mean luminance: ${analysis.meanLuminance.toFixed(3)}, std: ${analysis.luminanceStd.toFixed(3)})`, {
+      strategy: 'threshold',
+      zone: zoneName,
+      style: state,
+      sample: { width: analysis.width, height: analysis.height, count: analysis.sampleCount },
+      meanLuminance: analysis.meanLuminance,
+      luminanceStd: analysis.luminanceStd,
+      darkest: { luminance: analysis.minLuminosity, color: toHex(analysis.minRGB) },
+      lightest: { luminance: analysis.maxLuminosity, color: toHex(analysis.maxRGB) },
+      palette: analysis.palette?.map(color => `${color.hex} ${(color.weight * 100).toFixed(0)}%`) ?? null,
+      threshold: LUMINANCE_THRESHOLD,
+      flags
+    })
+
+    return state
+  }
+}
@@ -0,0 +1,190 @@
+// SPDX-FileCopyrightText: Nowa Desktop Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+* WallpaperGeometry - Single Responsibility: Map screen areas to wallpaper pixels
+*
+* Pure geometry with no GNOME dependencies. Mirrors how the background is laid
+* out for each `picture-options` value, so the analyzer can sample the exact
+* image region that ends up behind the panel.
+*
+* Screen values (monitor, span area, panel rect) are in stage pixels and are
+* converted to physical pixels with the scale factor, because images drawn at
+* their native size ('centered', 'wallpaper') use one image pixel per physical
+* pixel.
+*/
+export class WallpaperGeometry {
+  static PICTURE_OPTIONS = ['none', 'wallpaper', 'centered', 'scaled', 'stretched', 'zoom', 'spanned']
+
+  /**
+  * Computes the image rectangle that sits behind a screen rectangle
+  * @param {object} params
+  * @param {number} params.imageWidth - Image width in pixels
+  * @param {number} params.imageHeight - Image height in pixels
+  * @param {number} params.monitorX - Monitor x position in stage pixels
+  * @param {number} params.monitorY - Monitor y position in stage pixels
+  * @param {number} params.monitorWidth - Monitor width in stage pixels
+  * @param {number} params.monitorHeight - Monitor height in stage pixels
+  * @param {number} params.scaleFactor - Monitor scale factor (default 1)
+  * @param {string} params.pictureOptions - Value of `picture-options`
+  * @param {object} params.spanArea - Union of all monitors, used by 'spanned'
+  * @param {object} rect - Screen rectangle relative to the monitor {x, y, width, height}
+  * @returns {object|null} Source rectangle {x, y, width, height} or null if no image is drawn there
+  */
+  static mapScreenRect (params, rect) {
+    const scale = params.scaleFactor || 1
+    const imageWidth = params.imageWidth
+    const imageHeight = params.imageHeight
+
+    if (!imageWidth || !imageHeight || params.pictureOptions === 'none') {
+      return null
+    }
+
+    const target = {
+      x: rect.x * scale,
+      y: rect.y * scale,
+      width: rect.width * scale,
+      height: rect.height * scale
+    }
+
+    if (params.pictureOptions === 'wallpaper') {
+      return this.#mapTiled(params, target)
+    }
+
+    const area = this.getImageArea(params)
+    if (!area) {
+      return null
+    }
+
+    // Intersect with the drawn image and convert to image pixels
+    const left = Math.max(target.x, area.x)
+    const top = Math.max(target.y, area.y)
+    const right = Math.min(target.x + target.width, area.x + area.width)
+    const bottom = Math.min(target.y + target.height, area.y + area.height)
+
+    if (right - left <= 0 || bottom - top <= 0) {
+      return null
+    }
+
+    const scaleX = imageWidth / area.width
+    const scaleY = imageHeight / area.height
+
+    return this.#clampRect({
+      x: (left - area.x) * scaleX,
+      y: (top - area.y) * scaleY,
+      width: (right - left) * scaleX,
+      height: (bottom - top) * scaleY
+    }, imageWidth, imageHeight)
+  }
+
+  /**
+  * Computes where the image is drawn, relative to the monitor, in physical pixels
+  * @param {object} params - Same parameters as mapScreenRect
+  * @returns {object|null} Drawn image area {x, y, width, height}
+  */
+  static getImageArea (params) {
+    const scale = params.scaleFactor || 1
+    const imageWidth = params.imageWidth
+    const imageHeight = params.imageHeight
+    const monitorWidth = params.monitorWidth * scale
+    const monitorHeight = params.monitorHeight * scale
+
+    switch (params.pictureOptions) {
+      case 'centered':
+        return {
+          x: (monitorWidth - imageWidth) / 2,
+          y: (monitorHeight - imageHeight) / 2,
+          width: imageWidth,
+          height: imageHeight
+        }
+
+      case 'scaled':
+        return this.#fitArea(imageWidth, imageHeight, monitorWidth, monitorHeight, Math.min)
+
+      case 'stretched':
+        return { x: 0, y: 0, width: monitorWidth, height: monitorHeight }
+
+      case 'spanned': {
+        const span = params.spanArea || {
+          x: params.monitorX,
+          y: params.monitorY,
+          width: params.monitorWidth,
+          height: params.monitorHeight
+        }
+        const area = this.#fitArea(imageWidth, imageHeight, span.width * scale, span.height * scale, Math.max)
+
+        // Shift from span coordinates to monitor coordinates
+        area.x -= ((params.monitorX || 0) - (span.x || 0)) * scale
+        area.y -= ((params.monitorY || 0) - (span.y || 0)) * scale
+        return area
+      }
+
+      case 'zoom':
+        return this.#fitArea(imageWidth, imageHeight, monitorWidth, monitorHeight, Math.max)
+
+      default:
+        return null
+    }
+  }
+
+  /**
+  * Scales the image to fit (min) or cover (max) the target and centers it
+  * @private
+  */
+  static #fitArea (imageWidth, imageHeight, targetWidth, targetHeight, pick) {
+    const scale = pick(targetWidth / imageWidth, targetHeight / imageHeight)
+    const width = imageWidth * scale
+    const height = imageHeight * scale
+
+    return {
+      x: (targetWidth - width) / 2,
+      y: (targetHeight - height) / 2,
+      width,
+      height
+    }
+  }
+
+  /**
+  * Maps a rect onto a tiled image; tiles are native size, one centered on the monitor
+  * @private
+  */
+  static #mapTiled (params, target) {
+    const scale = params.scaleFactor || 1
+    const imageWidth = params.imageWidth
+    const imageHeight = params.imageHeight
+    const originX = (params.monitorWidth * scale - imageWidth) / 2
+    const originY = (params.monitorHeight * scale - imageHeight) / 2
+
+    const mapAxis = (start, length, origin, size) => {
+      // Rect covers a tile boundary: every column/row of the tile is visible
+      if (length >= size) {
+        return [0, size]
+      }
+
+      const offset = ((start - origin) % size + size) % size
+      if (offset + length > size) {
+        return [0, size]
+      }
+
+      return [offset, length]
+    }
+
+    const [x, width] = mapAxis(target.x, target.width, originX, imageWidth)
+    const [y, height] = mapAxis(target.y, target.height, originY, imageHeight)
+
+    return this.#clampRect({ x, y, width, height }, imageWidth, imageHeight)
+  }
+
+  /**
+  * Rounds a rect to whole pixels inside the image bounds
+  * @private
+  */
+  static #clampRect (rect, imageWidth, imageHeight) {
+    const x = Math.max(0, Math.min(imageWidth - 1, Math.floor(rect.x)))
+    const y = Math.max(0, Math.min(imageHeight - 1, Math.floor(rect.y)))
+    const right = Math.max(x + 1, Math.min(imageWidth, Math.ceil(rect.x + rect.width)))
+    const bottom = Math.max(y + 1, Math.min(imageHeight, Math.ceil(rect.y + rect.height)))
+
+    return { x, y, width: right - x, height: bottom - y }
+  }
+}
@@ -0,0 +1,143 @@
+// SPDX-FileCopyrightText: Nowa Desktop Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import GLib from 'gi://GLib'
+import Gio from 'gi://Gio'
+
+Gio._promisify(Gio.File.prototype, 'query_info_async')
+Gio._promisify(Gio.File.prototype, 'read_async')
+Gio._promisify(Gio.InputStream.prototype, 'read_bytes_async')
+Gio._promisify(Gio.InputStream.prototype, 'close_async')
+
+// Wallpapers whose hashes are remembered
+const MAX_HASHES = 32
+// Bytes hashed per read
+const READ_CHUNK_SIZE = 256 * 1024
+
+/**
+* WallpaperPins - Single Responsibility: Identify wallpapers the user pinned a style to
+*
+* Pins are stored in the `pinned-styles` key as `<path>#<sha256>` → style,
+* so a file edited or replaced at the same path no longer matches its pin.
+* Hashes are remembered per modification time and size; a wallpaper is only
+* read again after it changes, and then hashed in chunks as it streams in,
+* never held in memory as a whole.
+*/
+export class WallpaperPins {
+  static STYLES = ['dark', 'light', 'translucent-dark', 'translucent-light', 'maximized', 'hidden']
+
+  static #hashes = new Map()
+
+  /**
+  * Turns a `picture-uri` value into the local path pins are keyed by; the
+  * extension and prefs must agree on it for a pin to match
+  *
+  * Accepts file URIs (with or without localhost) and plain absolute paths.
+  * The path is canonical, so `..` segments and doubled slashes drop out.
+  * @param {string} uri - Value of `picture-uri` or `picture-uri-dark`
+  * @returns {string|null} Local path, or null when there is none
+  */
+  static uriToPath (uri) {
+    if (!uri) {
+      return null
+    }
+
+    const file = GLib.path_is_absolute(uri) ? Gio.File.new_for_path(uri) : Gio.File.new_for_uri(uri)
+    return file.get_path()
+  }
+
+  /**
+  * Builds the pin key of a file
+  * @param {string} path - Wallpaper file
+  * @param {string} hash - SHA-256 of its contents
+  * @returns {string}
+  */
+  static makeKey (path, hash) {
+    return `${path}#${hash}`
+  }
+
+  /**
+  * Splits a pin key; paths may contain '#', hashes never do
+  * @param {string} key - Pin key
+  * @returns {object|null} {path, hash}, or null when malformed
+  */
+  static parseKey (key) {
+    const separator = key.lastIndexOf('#')
+    const hash = key.slice(separator + 1)
+
+    if (separator <= 0 || !/^[0-9a-f]{64}$/.test(hash)) {
+      return null
+    }
+
+    return { path: key.slice(0, separator), hash }
+  }
+
+  /**
+  * Drops malformed pins
+  * @param {object} pins - Pins as stored in the `pinned-styles` key
+  * @returns {object} Valid pins, style by key
+  */
+  static normalize (pins) {
+    return Object.fromEntries(
+      Object.entries(pins || {})
+        .filter(([key, style]) => this.parseKey(key) && this.STYLES.includes(style))
+    )
+  }
+
+  /**
+  * Builds the pin key of a file from its contents
+  * @param {string} path - Wallpaper file
+  * @param {Gio.Cancellable} cancellable - Cancels reading, optional
+  * @returns {Promise<string>} Pin key
+  */
+  static async identify (path, cancellable = null) {
+    const file = Gio.File.new_for_path(path)
+    const info = await file.query_info_async(
+      'time::modified,time::modified-usec,standard::size',
+      Gio.FileQueryInfoFlags.NONE,
+      GLib.PRIORITY_DEFAULT,
+      cancellable
+    )
+
+    const stamp = `${info.get_modification_date_time()?.format_iso8601() ?? ''}:${info.get_size()}`
+    const known = this.#hashes.get(path)
+    if (known?.stamp === stamp) {
+      return this.makeKey(path, known.hash)
+    }
+
+    const hash = await this.#hashFile(file, cancellable)
+
+    // Most recently used last
+    this.#hashes.delete(path)
+    this.#hashes.set(path, { stamp, hash })
+    while (this.#hashes.size > MAX_HASHES) {
+      this.#hashes.delete(this.#hashes.keys().next().value)
+    }
+
+    return this.makeKey(path, hash)
+  }
+
+  /**
+  * SHA-256 of a file, read chunk by chunk
+  * @private
+  */
+  static async #hashFile (file, cancellable) {
+    const stream = await file.read_async(GLib.PRIORITY_LOW, cancellable)
+    const checksum = new GLib.Checksum(GLib.ChecksumType.SHA256)
+
+    try {
+      for (;;) {
+        const bytes = await stream.read_bytes_async(READ_CHUNK_SIZE, GLib.PRIORITY_LOW, cancellable)
+        if (bytes.get_size() === 0) {
+          break
+        }
+
+        checksum.update(bytes.get_data())
+      }
+    } finally {
+      await stream.close_async(GLib.PRIORITY_DEFAULT, null).catch(() => {})
+    }
+
+    return checksum.get_string()
+  }
+}
@@ -0,0 +1,105 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import GLib from 'gi://GLib'
+import GdkPixbuf from 'gi://GdkPixbuf'
+
+// Fixture size; narrower than the analyzer's decode cap, so nothing is rescaled
+export const WIDTH = 640
+export const HEIGHT = 360
+
+// Dark block in the top-left corner of the high-contrast fixture
+export const CORNER_WIDTH = 128
+export const CORNER_HEIGHT = 64
+
+// Size of the large JPEG, wide enough to be decoded at a reduced scale
+export const LARGE_WIDTH = 3840
+export const LARGE_HEIGHT = 2160
+
+/**
+* Fixture images, generated once per run
+*
+* - solid-black, solid-white: one color
+* - vertical-gradient: black at the top to white at the bottom
+* - noise: seeded random gray per pixel
+* - high-contrast-corner: white with a black block where the activities button sits
+* - large-jpeg: LARGE_WIDTH x LARGE_HEIGHT baseline JPEG, white top half over black
+*/
+const GENERATORS = {
+  'solid-black': () => [0, 0, 0],
+  'solid-white': () => [255, 255, 255],
+  'vertical-gradient': (x, y) => gray(Math.round(y / (HEIGHT - 1) * 255)),
+  'noise': (x, y, random) => gray(Math.floor(random() * 256)),
+  'high-contrast-corner': (x, y) => x < CORNER_WIDTH && y < CORNER_HEIGHT ? [0, 0, 0] : [255, 255, 255]
+}
+
+let fixtures = null
+
+/**
+* Writes the fixtures to a temporary directory
+* @returns {object} Paths keyed by fixture name
+*/
+export function getFixtures () {
+  if (fixtures) {
+    return fixtures
+  }
+
+  const directory = GLib.getenv('NOWA_TEST_FIXTURES') || GLib.dir_make_tmp('nowa-panel-XXXXXX')
+  GLib.mkdir_with_parents(directory, 0o755)
+
+  fixtures = {}
+  for (const [name, generator] of Object.entries(GENERATORS)) {
+    fixtures[name] = GLib.build_filenamev([directory, `${name}.png`])
+    writeImage(fixtures[name], generator)
+  }
+
+  fixtures['large-jpeg'] = GLib.build_filenamev([directory, 'large-jpeg.jpg'])
+  writeLargeJpeg(fixtures['large-jpeg'])
+
+  return fixtures
+}
+
+function gray (value) {
+  return [value, value, value]
+}
+
+// Deterministic noise (LCG), so expectations never depend on luck
+function seededRandom (seed) {
+  let state = seed
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0
+    return state / 0x100000000
+  }
+}
+
+function writeImage (path, generator) {
+  const rowstride = WIDTH * 3
+  const pixels = new Uint8Array(rowstride * HEIGHT)
+  const random = seededRandom(42)
+
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      pixels.set(generator(x, y, random), y * rowstride + x * 3)
+    }
+  }
+
+  const pixbuf = GdkPixbuf.Pixbuf.new_from_bytes(
+    new GLib.Bytes(pixels),
+    GdkPixbuf.Colorspace.RGB,
+    false,
+    8,
+    WIDTH,
+    HEIGHT,
+    rowstride
+  )
+
+  pixbuf.savev(path, 'png', [], [])
+}
+
+function writeLargeJpeg (path) {
+  const pixbuf = GdkPixbuf.Pixbuf.new(GdkPixbuf.Colorspace.RGB, false, 8, LARGE_WIDTH, LARGE_HEIGHT)
+  pixbuf.fill(0xFFFFFFFF)
+  pixbuf.new_subpixbuf(0, LARGE_HEIGHT / 2, LARGE_WIDTH, LARGE_HEIGHT / 2).fill(0x000000FF)
+
+  pixbuf.savev(path, 'jpeg', ['quality'], ['90'])
+}
@@ -0,0 +1,242 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+* Minimal Jasmine-style test harness
+*
+* Specs import describe/it/expect from here; runner.js calls run() once every
+* spec file is loaded. Results are printed as TAP. Plain JavaScript, so the
+* harness itself needs nothing from GNOME.
+*/
+
+const root = { name: null, children: [], beforeEach: [], afterEach: [], parent: null, skip: false }
+let current = root
+
+export function describe (name, body) {
+  addSuite(name, body, false)
+}
+
+export function xdescribe (name, body) {
+  addSuite(name, body, true)
+}
+
+export function it (name, body) {
+  current.children.push({ name, body, parent: current, skip: false })
+}
+
+export function xit (name, body) {
+  current.children.push({ name, body, parent: current, skip: true })
+}
+
+export function beforeEach (callback) {
+  current.beforeEach.push(callback)
+}
+
+export function afterEach (callback) {
+  current.afterEach.push(callback)
+}
+
+export function expect (actual) {
+  return new Expectation(actual)
+}
+
+/**
+* Runs every registered spec in order
+* @param {object} options
+* @param {Function} options.print - Writes one line of output
+* @returns {Promise<object>} {passed, failed, skipped}
+*/
+export async function run ({ print }) {
+  const specs = []
+  collect(root, specs)
+
+  print(`1..${specs.length}`)
+
+  const counts = { passed: 0, failed: 0, skipped: 0 }
+
+  for (const [index, spec] of specs.entries()) {
+    const name = fullName(spec)
+    const number = index + 1
+
+    if (isSkipped(spec)) {
+      counts.skipped++
+      print(`ok ${number} - ${name} # SKIP`)
+      continue
+    }
+
+    const suites = ancestors(spec)
+    let failure = null
+
+    try {
+      for (const suite of suites) {
+        for (const callback of suite.beforeEach) {
+          await callback()
+        }
+      }
+
+      await spec.body()
+    } catch (e) {
+      failure = e
+    }
+
+    // Clean up even after a failure, innermost first
+    for (const suite of [...suites].reverse()) {
+      for (const callback of suite.afterEach) {
+        try {
+          await callback()
+        } catch (e) {
+          failure ??= e
+        }
+      }
+    }
+
+    if (failure) {
+      counts.failed++
+      print(`not ok ${number} - ${name}`)
+      for (const line of String(failure.stack ? `${failure.message}\n${failure.stack}` : failure).split('\n')) {
+        print(`  # ${line}`)
+      }
+    } else {
+      counts.passed++
+      print(`ok ${number} - ${name}`)
+    }
+  }
+
+  print(`# passed ${counts.passed}, failed ${counts.failed}, skipped ${counts.skipped}`)
+
+  return counts
+}
+
+function addSuite (name, body, skip) {
+  const suite = { name, children: [], beforeEach: [], afterEach: [], parent: current, skip }
+  current.children.push(suite)
+
+  const parent = current
+  current = suite
+  try {
+    body()
+  } finally {
+    current = parent
+  }
+}
+
+function collect (suite, specs) {
+  for (const child of suite.children) {
+    if (child.children) {
+      collect(child, specs)
+    } else {
+      specs.push(child)
+    }
+  }
+}
+
+function ancestors (spec) {
+  const suites = []
+  for (let suite = spec.parent; suite; suite = suite.parent) {
+    suites.unshift(suite)
+  }
+  return suites
+}
+
+function fullName (spec) {
+  return [...ancestors(spec).map(suite => suite.name), spec.name].filter(Boolean).join(' ')
+}
+
+function isSkipped (spec) {
+  return spec.skip || ancestors(spec).some(suite => suite.skip)
+}
+
+function format (value) {
+  try {
+    return JSON.stringify(value) ?? String(value)
+  } catch (e) {
+    return String(value)
+  }
+}
+
+function deepEqual (a, b) {
+  if (Object.is(a, b)) {
+    return true
+  }
+
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false
+  }
+
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false
+  }
+
+  const keys = Object.keys(a)
+  if (keys.length !== Object.keys(b).length) {
+    return false
+  }
+
+  return keys.every(key => deepEqual(a[key], b[key]))
+}
+
+class Expectation {
+  #actual
+  #negated
+
+  constructor (actual, negated = false) {
+    this.#actual = actual
+    this.#negated = negated
+  }
+
+  get not () {
+    return new Expectation(this.#actual, !this.#negated)
+  }
+
+  toBe (expected) {
+    this.#check(Object.is(this.#actual, expected), `to be ${format(expected)}`)
+  }
+
+  toEqual (expected) {
+    this.#check(deepEqual(this.#actual, expected), `to equal ${format(expected)}`)
+  }
+
+  toBeCloseTo (expected, precision = 2) {
+    this.#check(Math.abs(this.#actual - expected) < Math.pow(10, -precision) / 2, `to be close to ${expected}`)
+  }
+
+  toBeGreaterThan (expected) {
+    this.#check(this.#actual > expected, `to be greater than ${expected}`)
+  }
+
+  toBeLessThan (expected) {
+    this.#check(this.#actual < expected, `to be less than ${expected}`)
+  }
+
+  toBeNull () {
+    this.#check(this.#actual === null, 'to be null')
+  }
+
+  toBeTruthy () {
+    this.#check(!!this.#actual, 'to be truthy')
+  }
+
+  toBeFalsy () {
+    this.#check(!this.#actual, 'to be falsy')
+  }
+
+  toContain (expected) {
+    this.#check(this.#actual?.includes(expected), `to contain ${format(expected)}`)
+  }
+
+  toThrow () {
+    let threw = false
+    try {
+      this.#actual()
+    } catch (e) {
+      threw = true
+    }
+    this.#check(threw, 'to throw')
+  }
+
+  #check (passed, description) {
+    if (passed === this.#negated) {
+      throw new Error(`Expected ${format(this.#actual)} ${this.#negated ? 'not ' : ''}${description}`)
+    }
+  }
+}
@@ -0,0 +1,35 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import GLib from 'gi://GLib'
+
+/**
+* Resolves after the main loop has run for a while
+* @param {number} ms - Milliseconds
+* @returns {Promise<void>}
+*/
+export function wait (ms) {
+  return new Promise(resolve => {
+    GLib.timeout_add(GLib.PRIORITY_DEFAULT, ms, () => {
+      resolve()
+      return GLib.SOURCE_REMOVE
+    })
+  })
+}
+
+/**
+* Polls until a condition holds
+* @param {Function} condition - Returns true when done
+* @param {number} timeout - Milliseconds before giving up
+* @returns {Promise<void>} Rejects on timeout
+*/
+export async function waitFor (condition, timeout = 3000) {
+  const deadline = GLib.get_monotonic_time() + timeout * 1000
+
+  while (!condition()) {
+    if (GLib.get_monotonic_time() > deadline) {
+      throw new Error(`Condition not met within ${timeout}ms: ${condition}`)
+    }
+    await wait(20)
+  }
+}
@@ -0,0 +1,321 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Fake resource:///org/gnome/shell/ui/main.js
+//
+// Compiled into a GResource by tests/run.sh so modules importing the shell get
+// these objects instead. Only what the extension touches is implemented.
+// Call reset() before each spec for a fresh panel, overview, session mode, display...
+
+import Meta from 'gi://Meta'
+
+/**
+* connect/disconnect/emit in the GObject style, with a handler count to check for leaks
+*/
+class FakeSignals {
+  #handlers = new Map()
+  #nextId = 1
+
+  connect (name, callback) {
+    const id = this.#nextId++
+    this.#handlers.set(id, { name, callback })
+    return id
+  }
+
+  disconnect (id) {
+    if (!this.#handlers.delete(id)) {
+      throw new Error(`${this.constructor.name}: no handler with id ${id}`)
+    }
+  }
+
+  emit (name, ...args) {
+    for (const handler of [...this.#handlers.values()]) {
+      if (handler.name === name) {
+        handler.callback(this, ...args)
+      }
+    }
+  }
+
+  get handlerCount () {
+    return this.#handlers.size
+  }
+}
+
+class FakeActor extends FakeSignals {
+  #styleClasses = new Set()
+  #style = null
+  #effects = new Map()
+
+  opacity = 255
+  translation_y = 0
+  reactive = true
+  visible = true
+  easeCount = 0
+
+  constructor ({ x = 0, width = 0, height = 0 } = {}) {
+    super()
+
+    this.x = x
+    this.width = width
+    this.height = height
+  }
+
+  get styleClasses () {
+    return [...this.#styleClasses]
+  }
+
+  add_style_class_name (name) {
+    this.#styleClasses.add(name)
+  }
+
+  remove_style_class_name (name) {
+    this.#styleClasses.delete(name)
+  }
+
+  has_style_class_name (name) {
+    return this.#styleClasses.has(name)
+  }
+
+  set_style (style) {
+    this.#style = style
+  }
+
+  get_style () {
+    return this.#style
+  }
+
+  add_effect_with_name (name, effect) {
+    this.#effects.set(name, effect)
+  }
+
+  remove_effect (effect) {
+    for (const [name, other] of this.#effects) {
+      if (other === effect) {
+        this.#effects.delete(name)
+      }
+    }
+  }
+
+  get_effects () {
+    return [...this.#effects.values()]
+  }
+
+  get_height () {
+    return this.height
+  }
+
+  get_allocation_box () {
+    return { x1: this.x, y1: 0, x2: this.x + this.width, y2: this.height }
+  }
+
+  // Jumps to the end state right away
+  ease ({ onComplete, duration, mode, ...values }) {
+    this.easeCount++
+    Object.assign(this, values)
+    onComplete?.()
+  }
+
+  remove_all_transitions () {}
+}
+
+class FakePanel extends FakeActor {
+  constructor () {
+    super({ width: 1920, height: 32 })
+
+    this._leftBox = new FakeActor({ x: 0, width: 400, height: 32 })
+    this._centerBox = new FakeActor({ x: 860, width: 200, height: 32 })
+    this._rightBox = new FakeActor({ x: 1520, width: 400, height: 32 })
+  }
+}
+
+class FakeSessionMode extends FakeSignals {
+  currentMode = 'user'
+
+  get isLocked () {
+    return this.currentMode === 'unlock-dialog'
+  }
+
+  lock () {
+    this.currentMode = 'unlock-dialog'
+    this.emit('updated')
+  }
+
+  unlock () {
+    this.currentMode = 'user'
+    this.emit('updated')
+  }
+}
+
+class FakeLayoutManager extends FakeSignals {
+  monitors = [{ index: 0, x: 0, y: 0, width: 1920, height: 1080 }]
+  primaryIndex = 0
+
+  get primaryMonitor () {
+    return this.monitors[this.primaryIndex]
+  }
+}
+
+export class FakeWindow extends FakeSignals {
+  window_type = Meta.WindowType.NORMAL
+  minimized = false
+  maximized = false
+  fullscreen = false
+
+  constructor ({ wmClass = 'fake-app', title = 'Fake Window', rect = { x: 100, y: 200, width: 800, height: 600 } } = {}) {
+    super()
+
+    this.wmClass = wmClass
+    this.title = title
+    this.rect = rect
+  }
+
+  get_maximized () {
+    return this.maximized ? Meta.MaximizeFlags.BOTH : 0
+  }
+
+  is_fullscreen () {
+    return this.fullscreen
+  }
+
+  is_hidden () {
+    return this.minimized
+  }
+
+  get_monitor () {
+    return 0
+  }
+
+  showing_on_its_workspace () {
+    return !this.minimized
+  }
+
+  located_on_workspace () {
+    return true
+  }
+
+  get_frame_rect () {
+    return this.rect
+  }
+
+  get_buffer_rect () {
+    return this.rect
+  }
+
+  // No contents to sample without a compositor
+  get_compositor_private () {
+    return null
+  }
+
+  get_wm_class () {
+    return this.wmClass
+  }
+
+  get_title () {
+    return this.title
+  }
+
+  maximize () {
+    this.maximized = true
+    this.rect = { ...WORK_AREA }
+    this.emit('notify::maximized-horizontally')
+    this.emit('notify::maximized-vertically')
+  }
+
+  unmaximize () {
+    this.maximized = false
+    this.rect = { x: 100, y: 200, width: 800, height: 600 }
+    this.emit('notify::maximized-horizontally')
+    this.emit('notify::maximized-vertically')
+  }
+}
+
+const WORK_AREA = { x: 0, y: 32, width: 1920, height: 1048 }
+
+class FakeWorkspace {
+  #display
+
+  constructor (display) {
+    this.#display = display
+  }
+
+  list_windows () {
+    return [...this.#display.windows]
+  }
+
+  get_work_area_for_monitor () {
+    return { ...WORK_AREA }
+  }
+}
+
+class FakeWorkspaceManager extends FakeSignals {
+  #workspace
+
+  constructor (display) {
+    super()
+
+    this.#workspace = new FakeWorkspace(display)
+  }
+
+  get_active_workspace () {
+    return this.#workspace
+  }
+}
+
+class FakeDisplay extends FakeSignals {
+  windows = []
+  focus_window = null
+
+  list_all_windows () {
+    return [...this.windows]
+  }
+
+  sort_windows_by_stacking (windows) {
+    return [...windows]
+  }
+
+  get_monitor_scale () {
+    return 1
+  }
+
+  addWindow (window) {
+    this.windows.push(window)
+    this.emit('window-created', window)
+    this.focus(window)
+  }
+
+  removeWindow (window) {
+    this.windows = this.windows.filter(other => other !== window)
+    if (this.focus_window === window) {
+      this.focus(null)
+    }
+    window.emit('unmanaged')
+  }
+
+  focus (window) {
+    this.focus_window = window
+    this.emit('notify::focus-window')
+  }
+}
+
+export let panel
+export let overview
+export let sessionMode
+export let layoutManager
+
+/**
+* Replaces every fake, including `global`
+*/
+export function reset () {
+  panel = new FakePanel()
+  overview = new FakeSignals()
+  sessionMode = new FakeSessionMode()
+  layoutManager = new FakeLayoutManager()
+
+  const display = new FakeDisplay()
+  globalThis.global = {
+    display,
+    workspace_manager: new FakeWorkspaceManager(display)
+  }
+}
+
+reset()
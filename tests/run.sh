@@ -0,0 +1,52 @@
+#!/bin/bash
+
+# Nowa Panel - Test runner
+#
+# Usage: tests/run.sh [SPEC_FILTER...]
+# Needs gjs, the GLib tools and an installed GNOME Shell (for its typelibs).
+# Runs headless: settings use the memory backend and the shell is mocked.
+
+set -e
+
+# Get the directory where the script is located
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+# Go to the project root (one level up from tests/)
+PROJECT_ROOT="$(dirname "$SCRIPT_DIR")"
+
+WORK_DIR="$(mktemp -d)"
+trap 'rm -rf "$WORK_DIR"' EXIT
+
+# Extension schema, next to the system ones
+glib-compile-schemas --targetdir="$WORK_DIR" "$PROJECT_ROOT/schemas"
+
+# Fake shell modules
+glib-compile-resources \
+  --sourcedir="$SCRIPT_DIR/mocks" \
+  --target="$WORK_DIR/mocks.gresource" \
+  "$SCRIPT_DIR/mocks/mocks.gresource.xml"
+
+# Meta, Clutter, St and Shell typelibs live in private directories
+for dir in /usr/lib64/mutter-* /usr/lib/*/mutter-* /usr/lib/mutter-* \
+  /usr/lib64/gnome-shell /usr/lib/*/gnome-shell /usr/lib/gnome-shell; do
+  if [ -d "$dir" ]; then
+    GI_TYPELIB_PATH="$dir${GI_TYPELIB_PATH:+:$GI_TYPELIB_PATH}"
+    LD_LIBRARY_PATH="$dir${LD_LIBRARY_PATH:+:$LD_LIBRARY_PATH}"
+  fi
+done
+
+export GI_TYPELIB_PATH LD_LIBRARY_PATH
+export GSETTINGS_BACKEND=memory
+export GSETTINGS_SCHEMA_DIR="$WORK_DIR"
+export XDG_CACHE_HOME="$WORK_DIR/cache"
+export NOWA_TEST_RESOURCE="$WORK_DIR/mocks.gresource"
+export NOWA_TEST_FIXTURES="$WORK_DIR/fixtures"
+
+RUNNER=(gjs -m "$SCRIPT_DIR/runner.js" "$@")
+
+# PanelDBus specs need a session bus of their own
+if command -v dbus-run-session > /dev/null; then
+  dbus-run-session -- "${RUNNER[@]}"
+else
+  unset DBUS_SESSION_BUS_ADDRESS
+  "${RUNNER[@]}"
+fi
@@ -0,0 +1,68 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Nowa Panel - Test runner
+//
+// Loads every tests/specs/*Spec.js (or those matching the arguments) and runs
+// them inside a GLib main loop. Start it through tests/run.sh, which prepares
+// the schemas, the mocked shell and the environment.
+
+import GLib from 'gi://GLib'
+import Gio from 'gi://Gio'
+import System from 'system'
+
+import { run } from './harness.js'
+
+const TESTS_DIR = GLib.path_get_dirname(GLib.filename_from_uri(import.meta.url)[0])
+const SPECS_DIR = GLib.build_filenamev([TESTS_DIR, 'specs'])
+
+function findSpecs (filters) {
+  const enumerator = Gio.File.new_for_path(SPECS_DIR).enumerate_children(
+    'standard::name',
+    Gio.FileQueryInfoFlags.NONE,
+    null
+  )
+
+  const names = []
+  let info
+  while ((info = enumerator.next_file(null)) !== null) {
+    const name = info.get_name()
+    if (name.endsWith('Spec.js') && (filters.length === 0 || filters.some(filter => name.includes(filter)))) {
+      names.push(name)
+    }
+  }
+  enumerator.close(null)
+
+  return names.sort().map(name => GLib.build_filenamev([SPECS_DIR, name]))
+}
+
+async function main (args) {
+  // Fake resource:///org/gnome/shell/ui/main.js, compiled by run.sh
+  const resourcePath = GLib.getenv('NOWA_TEST_RESOURCE')
+  if (!resourcePath) {
+    printerr('NOWA_TEST_RESOURCE is not set, run the tests with tests/run.sh')
+    return 2
+  }
+  Gio.Resource.load(resourcePath)._register()
+
+  for (const path of findSpecs(args)) {
+    await import(GLib.filename_to_uri(path, null))
+  }
+
+  const { failed } = await run({ print })
+
+  return failed > 0 ? 1 : 0
+}
+
+const loop = new GLib.MainLoop(null, false)
+let exitCode = 0
+
+main(System.programArgs).then(code => {
+  exitCode = code
+}).catch(e => {
+  printerr(e.stack ? `${e.message}\n${e.stack}` : e)
+  exitCode = 1
+}).finally(() => loop.quit())
+
+loop.run()
+System.exit(exitCode)
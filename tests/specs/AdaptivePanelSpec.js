@@ -0,0 +1,480 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import GLib from 'gi://GLib'
+import Gio from 'gi://Gio'
+import * as Main from 'resource:///org/gnome/shell/ui/main.js'
+
+import { describe, it, expect, beforeEach, afterEach } from '../harness.js'
+import { wait, waitFor } from '../helpers.js'
+import { getFixtures } from '../fixtures.js'
+import { AdaptivePanel } from '../../src/modules/AdaptivePanel.js'
+import { Logger } from '../../src/services/Logger.js'
+import { WallpaperPins } from '../../src/services/WallpaperPins.js'
+
+const PANEL_STYLES = ['dark', 'light', 'translucent-dark', 'translucent-light', 'maximized']
+
+// Time for the delayed initial checks after enable (ms)
+const SETTLE_DELAY = 400
+
+function panelStyle () {
+  return PANEL_STYLES.find(style => Main.panel.has_style_class_name(style)) ?? null
+}
+
+describe('AdaptivePanel', () => {
+  const settings = new Gio.Settings({ schema_id: 'org.gnome.shell.extensions.nowa-panel' })
+  const background = new Gio.Settings({ schema_id: 'org.gnome.desktop.background' })
+  let adaptivePanel
+
+  const setWallpaper = name => {
+    background.set_string('picture-uri', GLib.filename_to_uri(getFixtures()[name], null))
+  }
+
+  beforeEach(async () => {
+    settings.settings_schema.list_keys().forEach(key => settings.reset(key))
+    background.set_string('picture-options', 'zoom')
+    setWallpaper('solid-black')
+
+    Main.reset()
+    adaptivePanel = new AdaptivePanel(settings)
+    adaptivePanel.enable()
+
+    await waitFor(() => panelStyle() !== null)
+    await wait(SETTLE_DELAY)
+  })
+
+  afterEach(async () => {
+    adaptivePanel?.disable()
+    adaptivePanel = null
+
+    // Let timers queued before disable run out
+    await wait(250)
+  })
+
+  describe('automatic mode', () => {
+    it('follows the wallpaper', async () => {
+      expect(panelStyle()).toBe('dark')
+
+      setWallpaper('solid-white')
+      await waitFor(() => panelStyle() === 'light')
+    })
+
+    it('uses a translucent style on busy wallpapers', async () => {
+      setWallpaper('noise')
+      await waitFor(() => panelStyle() === 'translucent-dark')
+    })
+
+    it('reports its decision', () => {
+      const status = adaptivePanel.status
+
+      expect(status.style).toBe('dark')
+      expect(status.reason).toBe('wallpaper')
+      expect(status.lastAnalysis.style).toBe('dark')
+    })
+  })
+
+  describe('per-box styling', () => {
+    const boxes = () => [Main.panel._leftBox, Main.panel._centerBox, Main.panel._rightBox]
+
+    it('is off by default', async () => {
+      setWallpaper('noise')
+      await waitFor(() => panelStyle() === 'translucent-dark')
+
+      expect(Main.panel.has_style_class_name('zoned')).toBe(false)
+    })
+
+    it('tints the translucent boxes instead of the panel', async () => {
+      settings.set_boolean('per-box-styling', true)
+      settings.set_string('panel-mode', 'tinted')
+      setWallpaper('noise')
+      await waitFor(() => boxes().every(box => box.get_style()?.includes('background-color')))
+
+      expect(Main.panel.has_style_class_name('zoned')).toBe(true)
+      expect(Main.panel.has_style_class_name('tinted')).toBe(true)
+      expect(Main.panel.get_style() ?? '').not.toContain('background-color')
+
+      settings.set_string('panel-mode', 'automatic')
+      await waitFor(() => !Main.panel.has_style_class_name('tinted'))
+
+      for (const box of boxes()) {
+        expect(box.get_style()).toBeNull()
+      }
+    })
+  })
+
+  describe('manual modes', () => {
+    for (const mode of ['light', 'translucent-dark', 'translucent-light', 'dark']) {
+      it(`applies ${mode}`, async () => {
+        settings.set_string('panel-mode', mode)
+        await waitFor(() => adaptivePanel.status.reason === 'mode')
+
+        expect(Main.panel.styleClasses.filter(name => PANEL_STYLES.includes(name))).toEqual([mode])
+      })
+    }
+
+    it('goes back to the wallpaper in automatic mode', async () => {
+      settings.set_string('panel-mode', 'light')
+      await waitFor(() => panelStyle() === 'light')
+
+      settings.set_string('panel-mode', 'automatic')
+      await waitFor(() => panelStyle() === 'dark')
+    })
+  })
+
+  describe('maximized windows', () => {
+    let window
+
+    beforeEach(() => {
+      window = new Main.FakeWindow()
+      global.display.addWindow(window)
+    })
+
+    it('switches to the maximized style and back', async () => {
+      window.maximize()
+      await waitFor(() => panelStyle() === 'maximized')
+      expect(adaptivePanel.status.windowState).toBe('maximized')
+
+      window.unmaximize()
+      await waitFor(() => panelStyle() === 'dark')
+    })
+
+    it('uses the configured maximized style', async () => {
+      settings.set_string('maximized-style', 'translucent-light')
+
+      window.maximize()
+      await waitFor(() => panelStyle() === 'translucent-light')
+    })
+
+    it('ignores minimized windows', async () => {
+      window.maximize()
+      await waitFor(() => panelStyle() === 'maximized')
+
+      window.minimized = true
+      window.emit('notify::minimized')
+      await waitFor(() => panelStyle() === 'dark')
+    })
+
+    it('follows closed windows', async () => {
+      window.maximize()
+      await waitFor(() => panelStyle() === 'maximized')
+
+      global.display.removeWindow(window)
+      await waitFor(() => panelStyle() === 'dark')
+    })
+  })
+
+  describe('restyle scheduler', () => {
+    it('merges a burst of triggers into one evaluation', async () => {
+      Main.layoutManager.emit('monitors-changed')
+      background.set_string('picture-options', 'scaled')
+      settings.set_double('luminance-threshold', 0.6)
+
+      await waitFor(() => adaptivePanel.status.triggers.includes('monitors'))
+      expect(adaptivePanel.status.triggers).toEqual(['monitors', 'background', 'settings'])
+    })
+
+    it('reuses the analysis when only windows change', async () => {
+      const analysis = adaptivePanel.status.lastAnalysis
+      const window = new Main.FakeWindow()
+      global.display.addWindow(window)
+
+      window.maximize()
+      await waitFor(() => panelStyle() === 'maximized')
+      window.unmaximize()
+      await waitFor(() => panelStyle() === 'dark')
+
+      expect(adaptivePanel.status.triggers).toEqual(['window-state'])
+      expect(adaptivePanel.status.lastAnalysis).toBe(analysis)
+    })
+
+    it('analyzes again when the wallpaper changed behind a window', async () => {
+      const window = new Main.FakeWindow()
+      global.display.addWindow(window)
+
+      window.maximize()
+      await waitFor(() => panelStyle() === 'maximized')
+      setWallpaper('solid-white')
+      await wait(SETTLE_DELAY)
+      window.unmaximize()
+
+      await waitFor(() => panelStyle() === 'light')
+    })
+
+    it('keeps the file monitor while the path stays', async () => {
+      Logger.clear()
+      settings.set_double('luminance-threshold', 0.6)
+      await waitFor(() => adaptivePanel.status.triggers.includes('settings'))
+
+      const monitorSetups = () => Logger.getEntries().filter(entry => entry.message.startsWith('File monitor setup')).length
+      expect(monitorSetups()).toBe(0)
+
+      setWallpaper('solid-white')
+      await waitFor(() => panelStyle() === 'light')
+      expect(monitorSetups()).toBe(1)
+    })
+  })
+
+  describe('blur', () => {
+    it('blurs behind translucent styles only', async () => {
+      expect(Main.panel.get_effects().length).toBe(0)
+
+      settings.set_string('panel-mode', 'translucent-dark')
+      await waitFor(() => panelStyle() === 'translucent-dark')
+      expect(Main.panel.get_effects().length).toBe(1)
+      expect(Main.panel.get_effects()[0].radius).toBe(settings.get_int('blur-radius'))
+
+      settings.set_string('panel-mode', 'light')
+      await waitFor(() => panelStyle() === 'light')
+      expect(Main.panel.get_effects().length).toBe(0)
+    })
+
+    it('follows the radius and brightness settings', async () => {
+      settings.set_string('panel-mode', 'translucent-light')
+      await waitFor(() => Main.panel.get_effects().length === 1)
+
+      settings.set_double('blur-brightness', 0.5)
+      await waitFor(() => Math.abs(Main.panel.get_effects()[0].brightness - 0.5) < 0.01)
+
+      settings.set_int('blur-radius', 0)
+      await waitFor(() => Main.panel.get_effects().length === 0)
+    })
+
+    it('blurs the translucent boxes of a zoned panel', async () => {
+      settings.set_boolean('per-box-styling', true)
+      setWallpaper('noise')
+      await waitFor(() => Main.panel._leftBox.has_style_class_name('zone-translucent-dark'))
+
+      expect(Main.panel.get_effects().length).toBe(0)
+      for (const box of [Main.panel._leftBox, Main.panel._centerBox, Main.panel._rightBox]) {
+        expect(box.get_effects().length).toBe(1)
+      }
+
+      setWallpaper('solid-black')
+      await waitFor(() => Main.panel._leftBox.has_style_class_name('zone-dark'))
+
+      for (const box of [Main.panel._leftBox, Main.panel._centerBox, Main.panel._rightBox]) {
+        expect(box.get_effects().length).toBe(0)
+      }
+    })
+
+    it('drops the blur in the overview and on disable', async () => {
+      settings.set_string('panel-mode', 'translucent-dark')
+      await waitFor(() => Main.panel.get_effects().length === 1)
+
+      Main.overview.emit('showing')
+      expect(Main.panel.get_effects().length).toBe(0)
+
+      Main.overview.emit('hiding')
+      expect(Main.panel.get_effects().length).toBe(1)
+
+      adaptivePanel.disable()
+      adaptivePanel = null
+      expect(Main.panel.get_effects().length).toBe(0)
+    })
+  })
+
+  describe('forced styles', () => {
+    it('hides the panel and shows it again', async () => {
+      adaptivePanel.forceStyle('hidden')
+      await waitFor(() => Main.panel.opacity === 0)
+
+      expect(Main.panel.reactive).toBe(false)
+      expect(Main.panel._leftBox.visible).toBe(false)
+
+      adaptivePanel.forceStyle('')
+      await waitFor(() => panelStyle() === 'dark')
+
+      expect(Main.panel.opacity).toBe(255)
+      expect(Main.panel._leftBox.visible).toBe(true)
+    })
+
+    it('rejects unknown styles', () => {
+      expect(() => adaptivePanel.forceStyle('sepia')).toThrow()
+    })
+  })
+
+  describe('pinned styles', () => {
+    const pin = async (name, style) => {
+      const key = await WallpaperPins.identify(getFixtures()[name])
+      settings.set_value('pinned-styles', new GLib.Variant('a{ss}', { [key]: style }))
+    }
+
+    it('uses the pinned style instead of the analysis', async () => {
+      await pin('solid-black', 'light')
+      await waitFor(() => panelStyle() === 'light')
+
+      expect(adaptivePanel.status.reason).toBe('pinned')
+
+      settings.reset('pinned-styles')
+      await waitFor(() => panelStyle() === 'dark')
+
+      expect(adaptivePanel.status.reason).toBe('wallpaper')
+    })
+
+    it('only applies to the wallpaper it was pinned to', async () => {
+      await pin('solid-white', 'dark')
+      await wait(SETTLE_DELAY)
+
+      expect(panelStyle()).toBe('dark')
+      expect(adaptivePanel.status.reason).toBe('wallpaper')
+
+      setWallpaper('solid-white')
+      await waitFor(() => adaptivePanel.status.reason === 'pinned')
+
+      expect(panelStyle()).toBe('dark')
+    })
+  })
+
+  describe('lock screen', () => {
+    it('follows the desktop background', async () => {
+      Main.sessionMode.lock()
+      await waitFor(() => adaptivePanel.status.reason === 'lock-screen')
+      expect(panelStyle()).toBe('dark')
+
+      setWallpaper('solid-white')
+      await waitFor(() => panelStyle() === 'light')
+      expect(adaptivePanel.status.reason).toBe('lock-screen')
+
+      Main.sessionMode.unlock()
+      await waitFor(() => adaptivePanel.status.reason === 'wallpaper')
+      expect(panelStyle()).toBe('light')
+    })
+
+    it('uses the configured lock screen style', async () => {
+      settings.set_string('lock-screen-style', 'translucent-light')
+
+      Main.sessionMode.lock()
+      await waitFor(() => panelStyle() === 'translucent-light')
+    })
+
+    it('ignores windows behind the lock screen', async () => {
+      const window = new Main.FakeWindow()
+      global.display.addWindow(window)
+      window.maximize()
+      await waitFor(() => panelStyle() === 'maximized')
+
+      Main.sessionMode.lock()
+      await waitFor(() => panelStyle() === 'dark')
+
+      Main.sessionMode.unlock()
+      await waitFor(() => panelStyle() === 'maximized')
+    })
+  })
+
+  describe('overview', () => {
+    const interfaceSettings = new Gio.Settings({ schema_id: 'org.gnome.desktop.interface' })
+
+    afterEach(() => interfaceSettings.reset('enable-animations'))
+
+    it('restores the style after hiding', () => {
+      Main.overview.emit('showing')
+      expect(Main.panel.opacity).toBe(0)
+      expect(Main.panel.translation_y).toBe(-Main.panel.height)
+
+      Main.overview.emit('hiding')
+      expect(Main.panel.opacity).toBe(255)
+      expect(Main.panel.translation_y).toBe(0)
+      expect(panelStyle()).toBe('dark')
+    })
+
+    it('fades without moving', async () => {
+      settings.set_string('overview-behavior', 'fade')
+      await waitFor(() => settings.get_string('overview-behavior') === 'fade')
+
+      Main.overview.emit('showing')
+      expect(Main.panel.opacity).toBe(0)
+      expect(Main.panel.translation_y).toBe(0)
+
+      Main.overview.emit('hiding')
+      expect(Main.panel.opacity).toBe(255)
+    })
+
+    it('keeps the panel and its blur', async () => {
+      settings.set_string('overview-behavior', 'keep')
+      settings.set_string('panel-mode', 'translucent-dark')
+      await waitFor(() => Main.panel.get_effects().length === 1)
+
+      Main.overview.emit('showing')
+      expect(Main.panel.opacity).toBe(255)
+      expect(Main.panel.get_effects().length).toBe(1)
+    })
+
+    it('skips animations while they are off', async () => {
+      interfaceSettings.set_boolean('enable-animations', false)
+      await waitFor(() => !(Main.panel.get_style() ?? '').includes('transition-duration'))
+
+      const easeCount = Main.panel.easeCount
+      Main.overview.emit('showing')
+      Main.overview.emit('hiding')
+
+      expect(Main.panel.easeCount).toBe(easeCount)
+      expect(Main.panel.opacity).toBe(255)
+    })
+
+    it('cross-fades between styles', () => {
+      expect(Main.panel.get_style()).toContain(`transition-duration: ${settings.get_int('animation-duration')}ms;`)
+    })
+  })
+
+  describe('disable', () => {
+    it('releases every signal handler', () => {
+      const window = new Main.FakeWindow()
+      global.display.addWindow(window)
+
+      adaptivePanel.disable()
+
+      expect(adaptivePanel.trackedResources).toEqual({ signals: 0, sources: 0 })
+      adaptivePanel = null
+
+      expect(Main.overview.handlerCount).toBe(0)
+      expect(Main.sessionMode.handlerCount).toBe(0)
+      expect(Main.layoutManager.handlerCount).toBe(0)
+      expect(global.display.handlerCount).toBe(0)
+      expect(global.workspace_manager.handlerCount).toBe(0)
+      expect(window.handlerCount).toBe(0)
+    })
+
+    it('stays clean over repeated enable and disable', async () => {
+      const window = new Main.FakeWindow()
+      global.display.addWindow(window)
+
+      for (let i = 0; i < 3; i++) {
+        adaptivePanel.disable()
+        adaptivePanel.enable()
+        await waitFor(() => panelStyle() === 'dark')
+      }
+
+      adaptivePanel.disable()
+      adaptivePanel = null
+
+      expect(Main.overview.handlerCount).toBe(0)
+      expect(global.display.handlerCount).toBe(0)
+      expect(window.handlerCount).toBe(0)
+    })
+
+    it('drops pending checks on disable', async () => {
+      settings.set_string('panel-mode', 'light')
+      adaptivePanel.disable()
+      adaptivePanel = null
+      await wait(SETTLE_DELAY)
+
+      expect(panelStyle()).toBeNull()
+    })
+
+    it('restores the original panel', async () => {
+      settings.set_string('panel-mode', 'translucent-dark')
+      await waitFor(() => panelStyle() === 'translucent-dark')
+
+      adaptivePanel.disable()
+      adaptivePanel = null
+
+      expect(Main.panel.styleClasses).toEqual([])
+      expect(Main.panel.get_style()).toBeNull()
+      expect(Main.panel.opacity).toBe(255)
+
+      // Nothing comes back later
+      await wait(SETTLE_DELAY)
+      expect(Main.panel.styleClasses).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,171 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import GLib from 'gi://GLib'
+import Gio from 'gi://Gio'
+
+import { describe, it, expect, beforeEach, afterEach } from '../harness.js'
+import { getFixtures } from '../fixtures.js'
+import { waitFor } from '../helpers.js'
+import { AnalysisCache } from '../../src/services/AnalysisCache.js'
+
+const CACHE_FILE = 'analysis-cache.json'
+const MAX_ENTRIES = 64
+const PANEL_HEIGHT = 32
+
+describe('AnalysisCache', () => {
+  let directory
+  let cacheFile
+  let wallpaper
+  let caches
+
+  // Caches are destroyed after each spec so no save timer outlives it
+  const createCache = (...args) => {
+    const cache = new AnalysisCache(...args)
+    caches.push(cache)
+    return cache
+  }
+
+  // Replaces the wallpaper and moves its modification time on
+  const replaceWallpaper = (fixture, seconds) => {
+    const file = Gio.File.new_for_path(wallpaper)
+    Gio.File.new_for_path(getFixtures()[fixture]).copy(file, Gio.FileCopyFlags.OVERWRITE, null, null)
+    file.set_attribute_uint64('time::modified', seconds, Gio.FileQueryInfoFlags.NONE, null)
+  }
+
+  beforeEach(() => {
+    // run.sh points XDG_CACHE_HOME at a temporary directory
+    directory = GLib.build_filenamev([GLib.get_user_cache_dir(), 'nowa-panel-spec'])
+    GLib.mkdir_with_parents(directory, 0o755)
+    cacheFile = GLib.build_filenamev([directory, CACHE_FILE])
+    wallpaper = GLib.build_filenamev([directory, 'wallpaper.png'])
+    caches = []
+
+    replaceWallpaper('solid-white', 1000000000)
+  })
+
+  afterEach(() => {
+    caches.forEach(cache => cache.destroy())
+
+    GLib.unlink(cacheFile)
+    GLib.unlink(wallpaper)
+    GLib.rmdir(directory)
+  })
+
+  it('answers a repeated analysis from memory', async () => {
+    const cache = createCache(directory)
+
+    const first = await cache.analyze(wallpaper, 0.5, PANEL_HEIGHT)
+    const second = await cache.analyze(wallpaper, 0.5, PANEL_HEIGHT)
+
+    expect(first.cached).toBe(undefined)
+    expect(second.cached).toBe(true)
+    expect(second.style).toBe(first.style)
+    expect(cache.getStats()).toEqual({ entries: 1, maxEntries: MAX_ENTRIES, hits: 1, misses: 1, evictions: 0 })
+  })
+
+  it('evicts the least recently used entry', async () => {
+    const cache = createCache(directory)
+
+    // One entry per panel height fills the cache
+    for (let i = 0; i < MAX_ENTRIES; i++) {
+      await cache.analyze(wallpaper, 0.5, PANEL_HEIGHT + i)
+    }
+
+    // Using the oldest entry makes the second oldest the next to go
+    expect((await cache.analyze(wallpaper, 0.5, PANEL_HEIGHT)).cached).toBe(true)
+    await cache.analyze(wallpaper, 0.5, PANEL_HEIGHT + MAX_ENTRIES)
+
+    expect(cache.getStats().entries).toBe(MAX_ENTRIES)
+    expect(cache.getStats().evictions).toBe(1)
+    expect((await cache.analyze(wallpaper, 0.5, PANEL_HEIGHT)).cached).toBe(true)
+    expect((await cache.analyze(wallpaper, 0.5, PANEL_HEIGHT + 1)).cached).toBe(undefined)
+  })
+
+  it('misses once the file changes', async () => {
+    const cache = createCache(directory)
+
+    expect((await cache.analyze(wallpaper, 0.5, PANEL_HEIGHT)).style).toBe('light')
+
+    replaceWallpaper('solid-black', 1000000060)
+    const result = await cache.analyze(wallpaper, 0.5, PANEL_HEIGHT)
+
+    expect(result.cached).toBe(undefined)
+    expect(result.style).toBe('dark')
+  })
+
+  it('misses once the file is invalidated', async () => {
+    const cache = createCache(directory)
+
+    await cache.analyze(wallpaper, 0.5, PANEL_HEIGHT)
+    await cache.analyze(wallpaper, 0.7, PANEL_HEIGHT)
+    cache.invalidate(wallpaper)
+
+    expect(cache.getStats().entries).toBe(0)
+    expect((await cache.analyze(wallpaper, 0.5, PANEL_HEIGHT)).cached).toBe(undefined)
+  })
+
+  it('saves a while after a change and reloads', async () => {
+    const cache = createCache(directory)
+
+    await cache.analyze(wallpaper, 0.5, PANEL_HEIGHT)
+    expect(GLib.file_test(cacheFile, GLib.FileTest.EXISTS)).toBe(false)
+
+    await waitFor(() => GLib.file_test(cacheFile, GLib.FileTest.EXISTS), 5000)
+
+    const reloaded = createCache(directory)
+    await reloaded.load()
+
+    expect(reloaded.getStats().entries).toBe(1)
+    expect((await reloaded.analyze(wallpaper, 0.5, PANEL_HEIGHT)).cached).toBe(true)
+  })
+
+  it('writes pending changes on destroy', async () => {
+    const cache = createCache(directory)
+
+    await cache.analyze(wallpaper, 0.5, PANEL_HEIGHT)
+    cache.destroy()
+
+    const reloaded = createCache(directory)
+    await reloaded.load()
+
+    expect((await reloaded.analyze(wallpaper, 0.5, PANEL_HEIGHT)).cached).toBe(true)
+  })
+
+  it('keeps entries cached before the file was loaded', async () => {
+    const saved = createCache(directory)
+    await saved.analyze(wallpaper, 0.5, PANEL_HEIGHT)
+    saved.destroy()
+
+    const cache = createCache(directory)
+    await cache.analyze(wallpaper, 0.7, PANEL_HEIGHT)
+    await cache.load()
+
+    expect(cache.getStats().entries).toBe(2)
+  })
+
+  it('ignores a cache file from another version', async () => {
+    GLib.file_set_contents(cacheFile, JSON.stringify({ version: 1, entries: [['key', { path: wallpaper, result: {} }]] }))
+
+    const cache = createCache(directory)
+    await cache.load()
+
+    expect(cache.getStats().entries).toBe(0)
+  })
+
+  it('lives under XDG_CACHE_HOME by default', async () => {
+    const defaultDirectory = GLib.build_filenamev([GLib.get_user_cache_dir(), 'nowa-panel'])
+    const defaultFile = GLib.build_filenamev([defaultDirectory, CACHE_FILE])
+
+    try {
+      const cache = createCache()
+      await cache.analyze(wallpaper, 0.5, PANEL_HEIGHT)
+      cache.destroy()
+
+      expect(GLib.file_test(defaultFile, GLib.FileTest.EXISTS)).toBe(true)
+    } finally {
+      GLib.unlink(defaultFile)
+      GLib.rmdir(defaultDirectory)
+    }
+  })
+})
@@ -0,0 +1,34 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it, expect } from '../harness.js'
+import { AppRules } from '../../src/services/AppRules.js'
+
+describe('AppRules', () => {
+  const rules = AppRules.normalize([
+    { match: 'org.gnome.Totem.desktop', style: 'hidden', when: 'maximized' },
+    { match: 'kitty', style: 'dark' },
+    { match: '', style: 'dark' },
+    { match: 'firefox', style: 'sepia' }
+  ])
+
+  it('drops malformed rules and defaults to focused', () => {
+    expect(rules).toEqual([
+      { match: 'org.gnome.Totem.desktop', style: 'hidden', when: 'maximized' },
+      { match: 'kitty', style: 'dark', when: 'focused' }
+    ])
+  })
+
+  it('matches app IDs with or without .desktop, ignoring case', () => {
+    expect(AppRules.find(rules, { maximized: { appId: 'org.gnome.totem', wmClass: null } })?.style).toBe('hidden')
+  })
+
+  it('matches WM_CLASS', () => {
+    expect(AppRules.find(rules, { focused: { appId: null, wmClass: 'Kitty' } })?.style).toBe('dark')
+  })
+
+  it('only applies rules to the window their condition names', () => {
+    expect(AppRules.find(rules, { focused: { appId: 'org.gnome.Totem.desktop', wmClass: null } })).toBeNull()
+    expect(AppRules.find(rules, {})).toBeNull()
+  })
+})
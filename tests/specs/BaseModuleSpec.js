@@ -0,0 +1,108 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import GLib from 'gi://GLib'
+import * as Main from 'resource:///org/gnome/shell/ui/main.js'
+
+import { describe, it, expect, beforeEach, afterEach } from '../harness.js'
+import { wait } from '../helpers.js'
+import { _BaseModule } from '../../src/modules/_BaseModule.js'
+
+class TestModule extends _BaseModule {}
+
+describe('_BaseModule', () => {
+  let module
+
+  beforeEach(() => {
+    Main.reset()
+    module = new TestModule()
+    module.enable()
+  })
+
+  afterEach(() => {
+    if (module.enabled) {
+      module.disable()
+    }
+  })
+
+  it('disconnects tracked signals on disable', () => {
+    let calls = 0
+    module.connectSignal(Main.overview, 'showing', () => calls++)
+    module.connectSignal(Main.overview, 'hiding', () => calls++)
+    Main.overview.emit('showing')
+
+    module.disable()
+    Main.overview.emit('showing')
+
+    expect(calls).toBe(1)
+    expect(Main.overview.handlerCount).toBe(0)
+    expect(module.trackedResources).toEqual({ signals: 0, sources: 0 })
+  })
+
+  it('disconnects the signals of one object', () => {
+    const window = new Main.FakeWindow()
+    module.connectSignal(window, 'unmanaged', () => {})
+    module.connectSignal(Main.overview, 'showing', () => {})
+
+    module.disconnectSignals(window)
+
+    expect(window.handlerCount).toBe(0)
+    expect(Main.overview.handlerCount).toBe(1)
+  })
+
+  it('removes pending sources on disable', async () => {
+    let calls = 0
+    module.addTimeout(10, () => calls++)
+    module.addTimeoutSeconds(1, () => calls++)
+    module.addIdle(() => calls++)
+
+    module.disable()
+    await wait(50)
+
+    expect(calls).toBe(0)
+    expect(module.trackedResources.sources).toBe(0)
+  })
+
+  it('forgets sources that ran', async () => {
+    let calls = 0
+    module.addTimeout(10, () => calls++)
+    module.addIdle(() => calls++)
+    await wait(50)
+
+    expect(calls).toBe(2)
+    expect(module.trackedResources.sources).toBe(0)
+  })
+
+  it('keeps sources that ask to continue', async () => {
+    let calls = 0
+    const id = module.addTimeout(10, () => {
+      calls++
+      return GLib.SOURCE_CONTINUE
+    })
+    await wait(60)
+    module.removeSource(id)
+
+    expect(calls).toBeGreaterThan(1)
+    expect(module.trackedResources.sources).toBe(0)
+  })
+
+  it('creates nothing while disabled', () => {
+    module.disable()
+
+    expect(module.connectSignal(Main.overview, 'showing', () => {})).toBe(0)
+    expect(module.addTimeout(10, () => {})).toBe(0)
+    expect(Main.overview.handlerCount).toBe(0)
+  })
+
+  it('survives repeated enable and disable', () => {
+    for (let i = 0; i < 3; i++) {
+      module.connectSignal(Main.overview, 'showing', () => {})
+      module.addTimeout(1000, () => {})
+      module.disable()
+      module.enable()
+    }
+
+    expect(Main.overview.handlerCount).toBe(0)
+    expect(module.trackedResources).toEqual({ signals: 0, sources: 0 })
+  })
+})
@@ -0,0 +1,42 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it, expect } from '../harness.js'
+import { ColorMath } from '../../src/services/ColorMath.js'
+
+describe('ColorMath', () => {
+  it('computes WCAG relative luminance', () => {
+    expect(ColorMath.relativeLuminance(0, 0, 0)).toBe(0)
+    expect(ColorMath.relativeLuminance(255, 255, 255)).toBeCloseTo(1)
+    expect(ColorMath.relativeLuminance(128, 128, 128)).toBeCloseTo(0.216, 3)
+  })
+
+  it('computes contrast ratios from 1 to 21', () => {
+    expect(ColorMath.contrastRatio(1, 0)).toBeCloseTo(21)
+    expect(ColorMath.contrastRatio(0, 1)).toBeCloseTo(21)
+    expect(ColorMath.contrastRatio(0.5, 0.5)).toBe(1)
+  })
+
+  it('blends colors', () => {
+    expect(ColorMath.over({ r: 255, g: 255, b: 255 }, { r: 0, g: 0, b: 0 }, 0.25)).toEqual({ r: 191.25, g: 191.25, b: 191.25 })
+  })
+
+  it('formats hex colors', () => {
+    expect(ColorMath.toHex({ r: 2, g: 60, b: 136 })).toBe('#023C88')
+  })
+
+  it('finds dominant colors by weight', () => {
+    const colors = [
+      ...Array.from({ length: 75 }, () => [200, 20, 20]),
+      ...Array.from({ length: 25 }, () => [20, 20, 200])
+    ]
+    const palette = ColorMath.palette(colors, 5)
+
+    expect(palette.map(color => color.hex)).toEqual(['#C81414', '#1414C8'])
+    expect(palette[0].weight).toBeCloseTo(0.75)
+  })
+
+  it('returns an empty palette without colors', () => {
+    expect(ColorMath.palette([])).toEqual([])
+  })
+})
@@ -0,0 +1,107 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it, expect } from '../harness.js'
+import { HeaderBarColor } from '../../src/services/HeaderBarColor.js'
+
+const WIDTH = 64
+const HEIGHT = 12
+
+/**
+* Builds an RGBA sample like a header bar capture
+* @param {Function} colorAt - (x, y) => [r, g, b, a]
+* @returns {object} {pixels, rowstride}
+*/
+function makeSample (colorAt, width = WIDTH, height = HEIGHT) {
+  const rowstride = width * 4
+  const pixels = new Uint8Array(rowstride * height)
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels.set(colorAt(x, y), y * rowstride + x * 4)
+    }
+  }
+
+  return { pixels, rowstride }
+}
+
+function fromSample (colorAt, width = WIDTH, height = HEIGHT) {
+  const { pixels, rowstride } = makeSample(colorAt, width, height)
+  return HeaderBarColor.fromPixels(pixels, width, height, rowstride, 4)
+}
+
+describe('HeaderBarColor', () => {
+  it('takes the color of a uniform header bar', () => {
+    const result = fromSample(() => [48, 48, 48, 255])
+
+    expect(result.color).toEqual({ r: 48, g: 48, b: 48 })
+    expect(result.alpha).toBe(1.0)
+    expect(result.css).toBe('rgba(48, 48, 48, 1)')
+    expect(result.darkText).toBeFalsy()
+  })
+
+  it('picks dark text on a light header bar', () => {
+    const result = fromSample(() => [235, 235, 235, 255])
+
+    expect(result.color).toEqual({ r: 235, g: 235, b: 235 })
+    expect(result.darkText).toBeTruthy()
+  })
+
+  it('lets the header bar win over its title', () => {
+    // Light title text across the middle of a dark bar
+    const result = fromSample((x, y) => {
+      const title = x >= 24 && x < 40 && y >= 4 && y < 8
+      return title ? [250, 250, 250, 255] : [36, 31, 49, 255]
+    })
+
+    expect(result.color).toEqual({ r: 36, g: 31, b: 49 })
+  })
+
+  it('reads a gradient as its average color', () => {
+    // Left to right from rgb(30, 40, 50) to rgb(50, 60, 70)
+    const result = fromSample(x => {
+      const step = Math.round(x * 20 / (WIDTH - 1))
+      return [30 + step, 40 + step, 50 + step, 255]
+    })
+
+    expect(result.color.r).toBeGreaterThan(37)
+    expect(result.color.r).toBeLessThan(43)
+    expect(result.color.g - result.color.r).toBe(10)
+    expect(result.color.b - result.color.r).toBe(20)
+  })
+
+  it('skips the transparent top edge', () => {
+    // Rounded corners leave the first rows transparent; unpremultiplied
+    // they read as black
+    const result = fromSample((x, y) => y < 2 ? [0, 0, 0, 0] : [242, 242, 242, 255], WIDTH, 3)
+
+    expect(result.color).toEqual({ r: 242, g: 242, b: 242 })
+    expect(result.darkText).toBeTruthy()
+  })
+
+  it('keeps samples too short to skip rows', () => {
+    const result = fromSample(() => [120, 20, 20, 255], WIDTH, 2)
+
+    expect(result.color).toEqual({ r: 120, g: 20, b: 20 })
+  })
+
+  it('reads RGB samples with padded rows', () => {
+    const width = 10
+    const rowstride = 32
+    const pixels = new Uint8Array(rowstride * HEIGHT).fill(255)
+
+    for (let y = 0; y < HEIGHT; y++) {
+      for (let x = 0; x < width; x++) {
+        pixels.set([20, 90, 160], y * rowstride + x * 3)
+      }
+    }
+
+    const result = HeaderBarColor.fromPixels(pixels, width, HEIGHT, rowstride, 3)
+
+    expect(result.color).toEqual({ r: 20, g: 90, b: 160 })
+  })
+
+  it('returns null for an empty sample', () => {
+    expect(HeaderBarColor.fromPixels(new Uint8Array(0), 0, 0, 0, 4)).toBeNull()
+  })
+})
@@ -0,0 +1,61 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it, expect, beforeEach, afterEach } from '../harness.js'
+import { Logger } from '../../src/services/Logger.js'
+
+describe('Logger', () => {
+  beforeEach(() => {
+    Logger.setLevel('error')
+    Logger.clear()
+  })
+
+  afterEach(() => {
+    Logger.setLevel(Logger.DEFAULT_LEVEL)
+    Logger.clear()
+  })
+
+  it('falls back to the default level', () => {
+    Logger.setLevel('verbose')
+
+    expect(Logger.level).toBe(Logger.DEFAULT_LEVEL)
+  })
+
+  it('keeps entries down to debug whatever the level', () => {
+    Logger.info('Spec', 'Started')
+    Logger.debug('Spec', 'Decided', { style: 'dark' })
+    Logger.trace('Spec', 'Details')
+
+    const entries = Logger.getEntries()
+    expect(entries.map(entry => entry.level)).toEqual(['info', 'debug'])
+    expect(entries[1].section).toBe('Spec')
+    expect(entries[1].data).toEqual({ style: 'dark' })
+    expect(typeof entries[1].time).toBe('number')
+  })
+
+  it('keeps trace entries while tracing', () => {
+    Logger.setLevel('trace')
+    // Printed while tracing, keep it short
+    Logger.trace('Spec', 'Details')
+
+    expect(Logger.getEntries().map(entry => entry.level)).toEqual(['trace'])
+  })
+
+  it('drops the oldest entries when full', () => {
+    for (let i = 0; i < 600; i++) {
+      Logger.debug('Spec', `Entry ${i}`)
+    }
+
+    const entries = Logger.getEntries()
+    expect(entries.length).toBe(500)
+    expect(entries[0].message).toBe('Entry 100')
+    expect(entries[499].message).toBe('Entry 599')
+  })
+
+  it('hands out copies', () => {
+    Logger.debug('Spec', 'Original')
+    Logger.getEntries()[0].message = 'Changed'
+
+    expect(Logger.getEntries()[0].message).toBe('Original')
+  })
+})
@@ -0,0 +1,179 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import GLib from 'gi://GLib'
+import Gio from 'gi://Gio'
+import * as Main from 'resource:///org/gnome/shell/ui/main.js'
+
+import { describe, it, expect, beforeEach, afterEach } from '../harness.js'
+import { ModuleRegistry } from '../../src/modules/ModuleRegistry.js'
+import { _BaseModule } from '../../src/modules/_BaseModule.js'
+import { Logger } from '../../src/services/Logger.js'
+import { ModuleStatus } from '../../src/services/ModuleStatus.js'
+
+// Records enable and disable calls, in order, across all fake modules
+let calls = []
+
+class Styles extends _BaseModule {
+  static settingsKey = 'enable-style-engine'
+
+  enable () {
+    super.enable()
+    calls.push(`enable ${this.name}`)
+  }
+
+  disable () {
+    super.disable()
+    calls.push(`disable ${this.name}`)
+  }
+}
+
+class Panel extends Styles {
+  static settingsKey = 'enable-adaptive-panel'
+  failEnable = false
+  failDisable = false
+
+  enable () {
+    super.enable()
+    this.connectSignal(Main.overview, 'showing', () => {})
+    if (this.failEnable) {
+      throw new Error('No panel')
+    }
+  }
+
+  disable () {
+    super.disable()
+    if (this.failDisable) {
+      throw new Error('Stuck')
+    }
+  }
+}
+
+class Bus extends Styles {
+  static settingsKey = 'enable-dbus'
+
+  constructor (panel) {
+    super()
+    this.panel = panel
+  }
+}
+
+describe('ModuleRegistry', () => {
+  const settings = new Gio.Settings({ schema_id: 'org.gnome.shell.extensions.nowa-panel' })
+  let registry
+  let panelOptions
+  let statusDir
+  let statusPath
+
+  const status = () => ModuleStatus.read(statusPath)
+
+  beforeEach(() => {
+    Main.reset()
+    Logger.clear()
+    settings.settings_schema.list_keys().forEach(key => settings.reset(key))
+    calls = []
+    panelOptions = {}
+
+    statusDir = GLib.dir_make_tmp('nowa-modules-XXXXXX')
+    statusPath = GLib.build_filenamev([statusDir, 'modules.json'])
+
+    registry = new ModuleRegistry(settings, statusPath)
+    registry.register(Styles, () => new Styles())
+    registry.register(Panel, () => Object.assign(new Panel(), panelOptions))
+    registry.register(Bus, modules => new Bus(modules.Panel), ['Panel'])
+  })
+
+  afterEach(() => {
+    if (registry.enabled) {
+      registry.disable()
+    }
+    settings.settings_schema.list_keys().forEach(key => settings.reset(key))
+
+    GLib.unlink(statusPath)
+    GLib.rmdir(statusDir)
+  })
+
+  it('starts modules in order and stops them in reverse', () => {
+    registry.enable()
+    expect(registry.modules.Bus.panel).toBe(registry.modules.Panel)
+
+    registry.disable()
+
+    expect(calls).toEqual([
+      'enable Styles', 'enable Panel', 'enable Bus',
+      'disable Bus', 'disable Panel', 'disable Styles',
+    ])
+    expect(GLib.file_test(statusPath, GLib.FileTest.EXISTS)).toBe(false)
+    expect(status()).toEqual({})
+  })
+
+  it('reports the state of each module', () => {
+    settings.set_boolean('enable-style-engine', false)
+    registry.enable()
+
+    expect(status()).toEqual({
+      'enable-style-engine': { state: 'off', step: '', detail: '' },
+      'enable-adaptive-panel': { state: 'running', step: '', detail: '' },
+      'enable-dbus': { state: 'running', step: '', detail: '' },
+    })
+  })
+
+  it('isolates a module that fails to enable', () => {
+    panelOptions = { failEnable: true }
+    registry.enable()
+
+    expect(Object.keys(registry.modules)).toEqual(['Styles'])
+    expect(status()['enable-adaptive-panel']).toEqual({ state: 'failed', step: 'enable', detail: 'No panel' })
+    expect(status()['enable-dbus']).toEqual({ state: 'waiting', step: '', detail: 'enable-adaptive-panel' })
+    expect(Main.overview.handlerCount).toBe(0)
+    expect(Logger.getEntries().some(entry => entry.level === 'error' && entry.message.includes('Panel failed to enable'))).toBe(true)
+  })
+
+  it('retries a failed module once switched off and on', () => {
+    panelOptions = { failEnable: true }
+    registry.enable()
+
+    panelOptions = {}
+    settings.set_boolean('enable-adaptive-panel', false)
+    settings.set_boolean('enable-adaptive-panel', true)
+
+    expect(Object.keys(registry.modules)).toEqual(['Styles', 'Panel', 'Bus'])
+    expect(status()['enable-dbus'].state).toBe('running')
+  })
+
+  it('stops and restarts dependents with what they need', () => {
+    registry.enable()
+    const firstBus = registry.modules.Bus
+    calls = []
+
+    settings.set_boolean('enable-adaptive-panel', false)
+
+    expect(calls).toEqual(['disable Bus', 'disable Panel'])
+    expect(status()['enable-dbus']).toEqual({ state: 'waiting', step: '', detail: 'enable-adaptive-panel' })
+
+    settings.set_boolean('enable-adaptive-panel', true)
+
+    expect(registry.modules.Bus).not.toBe(firstBus)
+    expect(registry.modules.Bus.panel).toBe(registry.modules.Panel)
+  })
+
+  it('reports a module that fails to stop', () => {
+    panelOptions = { failDisable: true }
+    registry.enable()
+
+    settings.set_boolean('enable-adaptive-panel', false)
+
+    expect(status()['enable-adaptive-panel']).toEqual({ state: 'failed', step: 'disable', detail: 'Stuck' })
+  })
+
+  it('keeps disabling the others when one fails to', () => {
+    panelOptions = { failDisable: true }
+    registry.enable()
+    calls = []
+
+    registry.disable()
+
+    expect(calls).toEqual(['disable Bus', 'disable Panel', 'disable Styles'])
+    expect(Main.overview.handlerCount).toBe(0)
+  })
+})
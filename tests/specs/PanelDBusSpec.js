@@ -0,0 +1,196 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import GLib from 'gi://GLib'
+import Gio from 'gi://Gio'
+
+import { describe, xdescribe, it, expect, beforeEach, afterEach } from '../harness.js'
+import { waitFor } from '../helpers.js'
+import { PanelDBus } from '../../src/modules/PanelDBus.js'
+import { Logger } from '../../src/services/Logger.js'
+
+Gio._promisify(Gio.DBusConnection.prototype, 'call')
+
+const OBJECT_PATH = '/org/nowaos/Panel'
+const INTERFACE = 'org.nowaos.Panel'
+
+/**
+* Stands in for AdaptivePanel, recording what the bus asks of it
+*/
+class FakeAdaptivePanel {
+  status = { style: 'dark', reason: 'wallpaper', windowState: 'none', forcedStyle: null, lastAnalysis: { style: 'dark' } }
+  recentAnalyses = [{ wallpaper: 'a.png', style: 'dark' }]
+  calls = []
+  #listeners = new Set()
+
+  addListener (callback) {
+    this.#listeners.add(callback)
+  }
+
+  removeListener (callback) {
+    this.#listeners.delete(callback)
+  }
+
+  get listenerCount () {
+    return this.#listeners.size
+  }
+
+  setStatus (changes) {
+    this.status = { ...this.status, ...changes }
+    this.#listeners.forEach(callback => callback())
+  }
+
+  reanalyze () {
+    this.calls.push(['reanalyze'])
+  }
+
+  forceStyle (style, timeout) {
+    if (style === 'sepia') {
+      throw new Error(`Unknown style '${style}'`)
+    }
+    this.calls.push(['forceStyle', style, timeout])
+  }
+
+  async analyzeFile (path) {
+    return path === '/missing' ? { style: 'dark', error: 'missing' } : { style: 'light', path }
+  }
+}
+
+// Needs a session bus; run.sh starts one with dbus-run-session
+const suite = GLib.getenv('DBUS_SESSION_BUS_ADDRESS') ? describe : xdescribe
+
+suite('PanelDBus', () => {
+  const settings = new Gio.Settings({ schema_id: 'org.gnome.shell.extensions.nowa-panel' })
+  let connection
+  let adaptivePanel
+  let panelDBus
+
+  // Calls from the same connection must be async, the handler runs on this loop
+  const call = async (method, signature = null, values = []) => {
+    const reply = await connection.call(
+      connection.get_unique_name(),
+      OBJECT_PATH,
+      INTERFACE,
+      method,
+      signature ? new GLib.Variant(signature, values) : null,
+      null,
+      Gio.DBusCallFlags.NONE,
+      -1,
+      null
+    )
+    return reply.deepUnpack()
+  }
+
+  const getProperty = async name => {
+    const reply = await connection.call(
+      connection.get_unique_name(),
+      OBJECT_PATH,
+      'org.freedesktop.DBus.Properties',
+      'Get',
+      new GLib.Variant('(ss)', [INTERFACE, name]),
+      null,
+      Gio.DBusCallFlags.NONE,
+      -1,
+      null
+    )
+    return reply.recursiveUnpack()[0]
+  }
+
+  const callError = async (...args) => {
+    try {
+      await call(...args)
+    } catch (e) {
+      return Gio.DBusError.get_remote_error(e)
+    }
+    return null
+  }
+
+  beforeEach(() => {
+    connection = Gio.DBus.session
+    settings.reset('panel-mode')
+    adaptivePanel = new FakeAdaptivePanel()
+    panelDBus = new PanelDBus(adaptivePanel, settings, connection)
+    panelDBus.enable()
+  })
+
+  afterEach(() => {
+    panelDBus?.disable()
+    panelDBus = null
+  })
+
+  it('exposes the panel status as properties', async () => {
+    expect(await getProperty('Style')).toBe('dark')
+    expect(await getProperty('Reason')).toBe('wallpaper')
+    expect(await getProperty('Mode')).toBe('automatic')
+    expect(await getProperty('Maximized')).toBe(false)
+    expect(JSON.parse(await getProperty('LastAnalysis'))).toEqual({ style: 'dark' })
+  })
+
+  it('reports maximized and fullscreen windows', async () => {
+    adaptivePanel.setStatus({ windowState: 'fullscreen' })
+
+    expect(await getProperty('WindowState')).toBe('fullscreen')
+    expect(await getProperty('Maximized')).toBe(true)
+  })
+
+  it('forwards Reanalyze and ForceStyle', async () => {
+    await call('Reanalyze')
+    await call('ForceStyle', '(su)', ['light', 30])
+
+    expect(adaptivePanel.calls).toEqual([['reanalyze'], ['forceStyle', 'light', 30]])
+  })
+
+  it('rejects unknown styles', async () => {
+    expect(await callError('ForceStyle', '(su)', ['sepia', 0])).toBe('org.nowaos.Panel.Error.InvalidStyle')
+  })
+
+  it('returns AnalyzeFile results as JSON', async () => {
+    const [json] = await call('AnalyzeFile', '(s)', ['/wallpaper.png'])
+
+    expect(JSON.parse(json)).toEqual({ style: 'light', path: '/wallpaper.png' })
+    expect(await callError('AnalyzeFile', '(s)', ['/missing'])).toBe('org.nowaos.Panel.Error.Failed')
+  })
+
+  it('exports a bug report', async () => {
+    Logger.clear()
+    Logger.debug('Spec', 'Exported entry', { answer: 42 })
+
+    const [json] = await call('ExportLog')
+    const report = JSON.parse(json)
+
+    expect(report.status.style).toBe('dark')
+    expect(report.analyses).toEqual([{ wallpaper: 'a.png', style: 'dark' }])
+    expect(report.settings['panel-mode']).toBe('automatic')
+    expect(report.entries.some(entry => entry.message === 'Exported entry' && entry.data.answer === 42)).toBe(true)
+  })
+
+  it('emits StyleChanged', async () => {
+    const received = []
+    const subscription = connection.signal_subscribe(
+      null,
+      INTERFACE,
+      'StyleChanged',
+      OBJECT_PATH,
+      null,
+      Gio.DBusSignalFlags.NONE,
+      (conn, sender, path, iface, signal, parameters) => received.push(parameters.deepUnpack())
+    )
+
+    try {
+      adaptivePanel.setStatus({ style: 'light', reason: 'mode' })
+      await waitFor(() => received.length > 0)
+
+      expect(received).toEqual([['light', 'mode']])
+    } finally {
+      connection.signal_unsubscribe(subscription)
+    }
+  })
+
+  it('unexports on disable', async () => {
+    panelDBus.disable()
+    panelDBus = null
+
+    expect(adaptivePanel.listenerCount).toBe(0)
+    expect(await callError('Reanalyze')).toBeTruthy()
+  })
+})
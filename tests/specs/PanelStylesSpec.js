@@ -0,0 +1,79 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it, expect } from '../harness.js'
+import { PanelStyles } from '../../src/services/PanelStyles.js'
+
+/**
+* Minimal Gio.Settings stand-in holding the defaults plus overrides
+*/
+function fakeSettings (overrides = {}) {
+  const values = {}
+  for (const state of PanelStyles.STATES) {
+    const keys = PanelStyles.getKeys(state)
+    const defaults = PanelStyles.getDefault(state)
+    for (const [field, key] of Object.entries(keys)) {
+      values[key] = defaults[field]
+    }
+  }
+  Object.assign(values, overrides)
+
+  return {
+    get_string: key => values[key],
+    get_double: key => values[key],
+    get_boolean: key => values[key]
+  }
+}
+
+describe('PanelStyles', () => {
+  describe('parseColor', () => {
+    it('reads the colors GTK writes', () => {
+      expect(PanelStyles.parseColor('rgb(255,255,255)')).toEqual({ r: 255, g: 255, b: 255, a: 1 })
+      expect(PanelStyles.parseColor('rgba(0, 0, 0, 0.25)')).toEqual({ r: 0, g: 0, b: 0, a: 0.25 })
+      expect(PanelStyles.parseColor('#0f8')).toEqual({ r: 0, g: 255, b: 136, a: 1 })
+    })
+
+    it('rejects anything else', () => {
+      expect(PanelStyles.parseColor('red')).toBeNull()
+      expect(PanelStyles.parseColor('rgb(1, 2)')).toBeNull()
+      expect(PanelStyles.parseColor('rgba(0, 0, 0, 1); } * { color: red')).toBeNull()
+    })
+  })
+
+  describe('read', () => {
+    it('falls back to the default for invalid colors', () => {
+      const definitions = PanelStyles.read(fakeSettings({ 'dark-foreground': 'nope' }))
+
+      expect(definitions.dark.foreground).toBe(PanelStyles.getDefault('dark').foreground)
+    })
+  })
+
+  describe('build', () => {
+    const css = PanelStyles.build(PanelStyles.read(fakeSettings({
+      'translucent-dark-background': 'rgba(10,20,30,0.5)',
+      'light-bold': false,
+      'dark-text-shadow': 0.5
+    })))
+
+    it('styles every state', () => {
+      for (const state of PanelStyles.STATES) {
+        expect(css).toContain(`#panel.${state} {`)
+      }
+    })
+
+    it('uses the configured colors and weight', () => {
+      expect(css).toContain('#panel.translucent-dark {\n  background-color: rgba(10, 20, 30, 0.5) !important;')
+      expect(css).toContain('#panel.zoned .zone-translucent-dark {\n  background-color: rgba(10, 20, 30, 0.5);')
+      expect(css).toContain('#panel.light .panel-button {\n  color: rgba(0, 0, 0, 0.65);\n  font-weight: normal;')
+    })
+
+    it('scales the text shadow, opposite to the text', () => {
+      expect(css).toContain('0 0 2px rgba(0, 0, 0, 0.075), 0 1px 2px rgba(0, 0, 0, 0.15)')
+      expect(css).toContain('#panel.translucent-light .panel-button {\n  color: rgba(0, 0, 0, 0.65);\n  font-weight: bold;\n  text-shadow: none;')
+    })
+
+    it('gives light tinted backgrounds the light text', () => {
+      expect(css).toContain('#panel.maximized.tinted-dark-text .panel-button {\n  color: rgba(0, 0, 0, 0.65) !important;')
+    })
+  })
+})
@@ -0,0 +1,65 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it, expect } from '../harness.js'
+import { PanelTint } from '../../src/services/PanelTint.js'
+
+// Dominant orange over a smaller blue area
+const PALETTE = [
+  { r: 201, g: 100, b: 50, hex: '#C96432', weight: 0.8 },
+  { r: 0, g: 0, b: 255, hex: '#0000FF', weight: 0.2 }
+]
+
+const MID_GRAY = { r: 120, g: 120, b: 120 }
+
+describe('PanelTint', () => {
+  it('darkens the dominant color by half for translucent-dark', () => {
+    expect(PanelTint.compute('translucent-dark', PALETTE)).toEqual({
+      color: { r: 101, g: 50, b: 25 },
+      alpha: 0.35,
+      css: 'rgba(101, 50, 25, 0.35)',
+      darkText: false
+    })
+  })
+
+  it('lightens the dominant color for translucent-light', () => {
+    expect(PanelTint.compute('translucent-light', PALETTE)).toEqual({
+      color: { r: 233, g: 193, b: 173 },
+      alpha: 0.35,
+      css: 'rgba(233, 193, 173, 0.35)',
+      darkText: true
+    })
+  })
+
+  it('paints an opaque dark tint for maximized', () => {
+    expect(PanelTint.compute('maximized', PALETTE)).toEqual({
+      color: { r: 80, g: 40, b: 20 },
+      alpha: 1.0,
+      css: 'rgba(80, 40, 20, 1)',
+      darkText: false
+    })
+  })
+
+  it('has no tint for solid styles or without colors', () => {
+    expect(PanelTint.compute('dark', PALETTE)).toBeNull()
+    expect(PanelTint.compute('hidden', PALETTE)).toBeNull()
+    expect(PanelTint.compute('maximized', [])).toBeNull()
+    expect(PanelTint.compute('maximized', null)).toBeNull()
+  })
+
+  it('keeps the text of translucent styles', () => {
+    expect(PanelTint.prefersDarkText({ r: 20, g: 20, b: 20 }, 'translucent-light')).toBeTruthy()
+    expect(PanelTint.prefersDarkText({ r: 240, g: 240, b: 240 }, 'translucent-dark')).toBeFalsy()
+  })
+
+  it('picks the text that contrasts more with an opaque color', () => {
+    expect(PanelTint.prefersDarkText({ r: 235, g: 235, b: 235 })).toBeTruthy()
+    expect(PanelTint.prefersDarkText({ r: 30, g: 30, b: 30 })).toBeFalsy()
+  })
+
+  it('judges dark text with the configured color', () => {
+    // The shipped text is 65% black, too faint on mid gray; opaque black is not
+    expect(PanelTint.prefersDarkText(MID_GRAY)).toBeFalsy()
+    expect(PanelTint.prefersDarkText(MID_GRAY, 'maximized', { r: 0, g: 0, b: 0, a: 1 })).toBeTruthy()
+  })
+})
@@ -0,0 +1,63 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it, expect } from '../harness.js'
+import { SlideshowParser } from '../../src/services/SlideshowParser.js'
+
+const XML = `<background>
+  <starttime>
+    <year>2024</year><month>1</month><day>1</day>
+    <hour>0</hour><minute>00</minute><second>00</second>
+  </starttime>
+  <static>
+    <duration>3600.0</duration>
+    <file>morning.jpg</file>
+  </static>
+  <transition type="overlay">
+    <duration>600.0</duration>
+    <from>morning.jpg</from>
+    <to>night.jpg</to>
+  </transition>
+  <static>
+    <duration>3000.0</duration>
+    <file>night.jpg</file>
+  </static>
+</background>`
+
+describe('SlideshowParser', () => {
+  const slideshow = SlideshowParser.parse(XML, '/backgrounds')
+  const at = seconds => new Date(slideshow.startTime.getTime() + seconds * 1000)
+
+  it('recognizes slideshow paths', () => {
+    expect(SlideshowParser.isSlideshow('/usr/share/backgrounds/adwaita-timed.xml')).toBe(true)
+    expect(SlideshowParser.isSlideshow('/usr/share/backgrounds/adwaita-l.jpg')).toBe(false)
+  })
+
+  it('parses slides and resolves relative paths', () => {
+    expect(slideshow.slides.length).toBe(3)
+    expect(slideshow.totalDuration).toBe(7200)
+    expect(slideshow.slides[0].files[0].path).toBe('/backgrounds/morning.jpg')
+  })
+
+  it('finds static frames', () => {
+    const frame = SlideshowParser.getFrame(slideshow, at(1800))
+
+    expect(frame.type).toBe('static')
+    expect(frame.remaining).toBeCloseTo(1800)
+  })
+
+  it('finds transitions with their progress', () => {
+    const frame = SlideshowParser.getFrame(slideshow, at(3900))
+
+    expect(frame.type).toBe('transition')
+    expect(frame.progress).toBeCloseTo(0.5)
+  })
+
+  it('loops forever', () => {
+    expect(SlideshowParser.getFrame(slideshow, at(7200 + 1800)).type).toBe('static')
+  })
+
+  it('rejects other XML', () => {
+    expect(() => SlideshowParser.parse('<wallpapers/>')).toThrow()
+  })
+})
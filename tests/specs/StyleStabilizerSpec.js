@@ -0,0 +1,45 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it, expect, beforeEach } from '../harness.js'
+import { StyleStabilizer } from '../../src/services/StyleStabilizer.js'
+
+describe('StyleStabilizer', () => {
+  let stabilizer
+
+  beforeEach(() => {
+    stabilizer = new StyleStabilizer()
+  })
+
+  it('accepts the first decision', () => {
+    expect(stabilizer.stabilize('a.jpg', 'light', 0, 0.1)).toBe('light')
+  })
+
+  it('holds the family while confidence is below the margin', () => {
+    stabilizer.stabilize('a.jpg', 'dark', 0.5, 0.1)
+
+    expect(stabilizer.stabilize('a.jpg', 'light', 0.05, 0.1)).toBe('dark')
+    expect(stabilizer.stabilize('a.jpg', 'light', 0.2, 0.1)).toBe('light')
+  })
+
+  it('always allows changes within a family', () => {
+    stabilizer.stabilize('a.jpg', 'dark', 0.5, 0.1)
+
+    expect(stabilizer.stabilize('a.jpg', 'translucent-dark', 0, 0.1)).toBe('translucent-dark')
+  })
+
+  it('keeps wallpapers apart', () => {
+    stabilizer.stabilize('a.jpg', 'dark', 0.5, 0.1)
+
+    expect(stabilizer.stabilize('b.jpg', 'light', 0, 0.1)).toBe('light')
+  })
+
+  it('is disabled by a zero margin and forgets on clear', () => {
+    stabilizer.stabilize('a.jpg', 'dark', 0.5, 0.1)
+    expect(stabilizer.stabilize('a.jpg', 'light', 0, 0)).toBe('light')
+
+    stabilizer.stabilize('a.jpg', 'dark', 0.5, 0.1)
+    stabilizer.clear()
+    expect(stabilizer.stabilize('a.jpg', 'light', 0, 0.1)).toBe('light')
+  })
+})
@@ -0,0 +1,225 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import GLib from 'gi://GLib'
+import Gio from 'gi://Gio'
+
+import { describe, it, expect } from '../harness.js'
+import { getFixtures, WIDTH, HEIGHT, CORNER_WIDTH, LARGE_WIDTH, LARGE_HEIGHT } from '../fixtures.js'
+import { WallpaperAnalyzer } from '../../src/services/WallpaperAnalyzer.js'
+import { PanelStyles } from '../../src/services/PanelStyles.js'
+
+// Expected style per fixture and strategy, with the default criteria
+const EXPECTED = {
+  'solid-black': { threshold: 'dark', contrast: 'dark' },
+  'solid-white': { threshold: 'light', contrast: 'light' },
+  'vertical-gradient': { threshold: 'dark', contrast: 'dark' },
+  // Busy around mid gray: backing needed either way
+  'noise': { threshold: 'translucent-dark', contrast: 'translucent-dark' },
+  // Mostly white, but the black corner fails both transparent styles
+  'high-contrast-corner': { threshold: 'translucent-light', contrast: 'translucent-dark' }
+}
+
+const SCREEN = {
+  monitorX: 0,
+  monitorY: 0,
+  monitorWidth: WIDTH,
+  monitorHeight: HEIGHT,
+  scaleFactor: 1,
+  pictureOptions: 'zoom',
+  spanArea: { x: 0, y: 0, width: WIDTH, height: HEIGHT }
+}
+
+describe('WallpaperAnalyzer', () => {
+  describe('fixtures', () => {
+    for (const [name, styles] of Object.entries(EXPECTED)) {
+      for (const [strategy, style] of Object.entries(styles)) {
+        it(`picks ${style} for ${name} with the ${strategy} strategy`, async () => {
+          const result = await WallpaperAnalyzer.analyze(getFixtures()[name], { strategy }, 32)
+
+          expect(result.error).toBe(undefined)
+          expect(result.style).toBe(style)
+          expect(result.strategy).toBe(strategy)
+        })
+      }
+    }
+
+    it('reports luminance statistics', async () => {
+      const black = await WallpaperAnalyzer.analyze(getFixtures()['solid-black'])
+      const white = await WallpaperAnalyzer.analyze(getFixtures()['solid-white'])
+      const noise = await WallpaperAnalyzer.analyze(getFixtures().noise)
+
+      expect(black.meanLuminance).toBeCloseTo(0)
+      expect(white.meanLuminance).toBeCloseTo(1)
+      expect(noise.meanLuminance).toBeCloseTo(0.5, 1)
+      expect(noise.luminanceStd).toBeGreaterThan(45 / 255)
+    })
+
+    it('samples the top strip without screen geometry', async () => {
+      const result = await WallpaperAnalyzer.analyze(getFixtures()['solid-black'], 0.575, 32)
+
+      expect(result.region).toEqual({ x: 4, y: 4, width: WIDTH - 8, height: 28 })
+      expect(result.decodeScale).toBe(1)
+    })
+
+    it('decodes only the band of a large JPEG, at a reduced scale', async () => {
+      // Zoomed onto a monitor half its size: a 64 row band, decoded at half size
+      const screen = {
+        ...SCREEN,
+        monitorWidth: LARGE_WIDTH / 2,
+        monitorHeight: LARGE_HEIGHT / 2,
+        spanArea: { x: 0, y: 0, width: LARGE_WIDTH / 2, height: LARGE_HEIGHT / 2 }
+      }
+      const result = await WallpaperAnalyzer.analyze(getFixtures()['large-jpeg'], 0.575, 32, screen)
+
+      expect(result.style).toBe('light')
+      expect(result.decodeScale).toBeCloseTo(1280 / LARGE_WIDTH, 2)
+      // The band alone, not the whole image
+      expect(result.height).toBeLessThan(32)
+    })
+
+    it('reports the dominant color', async () => {
+      const result = await WallpaperAnalyzer.analyze(getFixtures()['solid-white'])
+
+      expect(result.palette.length).toBe(1)
+      expect(result.palette[0].hex).toBe('#FFFFFF')
+      expect(result.palette[0].weight).toBeCloseTo(1)
+    })
+
+    it('styles panel zones separately', async () => {
+      const zones = [
+        { name: 'left', x: 0, width: (CORNER_WIDTH - 16) / WIDTH },
+        { name: 'right', x: 0.7, width: 0.3 }
+      ]
+      const result = await WallpaperAnalyzer.analyze(getFixtures()['high-contrast-corner'], 0.575, 32, { ...SCREEN, zones })
+
+      expect(result.style).toBe('translucent-light')
+      expect(result.zones.left.style).toBe('dark')
+      expect(result.zones.right.style).toBe('light')
+    })
+
+    it('analyzes blurred and dimmed like the unlock dialog', async () => {
+      const blur = { radius: 90, brightness: 0.65 }
+      const noise = await WallpaperAnalyzer.analyze(getFixtures().noise, 0.575, 32, { ...SCREEN, blur })
+      const white = await WallpaperAnalyzer.analyze(getFixtures()['solid-white'], 0.575, 32, { ...SCREEN, blur })
+
+      expect(noise.style).toBe('dark')
+      expect(noise.luminanceStd).toBeLessThan(0.05)
+      expect(white.meanLuminance).toBeCloseTo(0.65, 1)
+      expect(white.style).toBe('light')
+    })
+  })
+
+  describe('errors', () => {
+    it('falls back to dark for a missing file', async () => {
+      const result = await WallpaperAnalyzer.analyze('/nonexistent/wallpaper.png')
+
+      expect(result.style).toBe('dark')
+      expect(result.error).toBeTruthy()
+    })
+
+    it('rejects when cancelled', async () => {
+      const cancellable = new Gio.Cancellable()
+      cancellable.cancel()
+
+      let error = null
+      try {
+        await WallpaperAnalyzer.analyze(getFixtures().noise, 0.575, 32, null, cancellable)
+      } catch (e) {
+        error = e
+      }
+
+      expect(error instanceof GLib.Error && error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)).toBe(true)
+    })
+  })
+
+  describe('analyzeColors', () => {
+    it('analyzes solid background colors', () => {
+      const background = shade => ({ primaryColor: shade, secondaryColor: '#000000', shadingType: 'solid' })
+
+      expect(WallpaperAnalyzer.analyzeColors(background('#000000')).style).toBe('dark')
+      expect(WallpaperAnalyzer.analyzeColors(background('#ffffff')).style).toBe('light')
+    })
+
+    it('reports invalid colors', () => {
+      const result = WallpaperAnalyzer.analyzeColors({ primaryColor: 'nope', secondaryColor: '#000', shadingType: 'solid' })
+
+      expect(result.style).toBe('dark')
+      expect(result.error).toBeTruthy()
+    })
+  })
+
+  describe('evaluate', () => {
+    it('agrees with analyze', async () => {
+      for (const name of Object.keys(EXPECTED)) {
+        const result = await WallpaperAnalyzer.analyze(getFixtures()[name], { strategy: 'contrast' })
+
+        expect(WallpaperAnalyzer.evaluate(result, { strategy: 'contrast' }).style).toBe(result.style)
+      }
+    })
+
+    it('decides again with another threshold', async () => {
+      const result = await WallpaperAnalyzer.analyze(getFixtures()['solid-white'])
+
+      expect(WallpaperAnalyzer.evaluate(result, 0.575).style).toBe('light')
+      expect(WallpaperAnalyzer.evaluate(result, 1.01).style).toBe('dark')
+    })
+
+    it('reports why a wallpaper is busy', async () => {
+      const evaluation = WallpaperAnalyzer.evaluate(await WallpaperAnalyzer.analyze(getFixtures().noise))
+
+      expect(evaluation.isBusy).toBe(true)
+      expect(evaluation.highVariance).toBe(true)
+      expect(evaluation.highContrast).toBe(true)
+      expect(evaluation.range).toBeGreaterThan(0.5)
+    })
+  })
+
+  describe('style colors', () => {
+    // Neither white nor the default dark text reaches 4.5:1 on this grey
+    const grey = { primaryColor: '#777777', secondaryColor: '#777777', shadingType: 'solid' }
+    const definitions = () => Object.fromEntries(PanelStyles.STATES.map(state => [state, PanelStyles.getDefault(state)]))
+
+    it('scores the contrast against the configured colors', () => {
+      expect(WallpaperAnalyzer.analyzeColors(grey, { strategy: 'contrast' }).style).toBe('translucent-dark')
+
+      const styles = definitions()
+      styles.light.foreground = 'rgb(0,0,0)'
+
+      const result = WallpaperAnalyzer.analyzeColors(grey, { strategy: 'contrast', styles })
+      expect(result.style).toBe('light')
+      expect(result.contrast.light.worst).toBeGreaterThan(4.5)
+    })
+
+    it('scores translucent styles on their configured backing', () => {
+      const styles = definitions()
+      styles['translucent-dark'].background = 'rgba(0,0,0,0)'
+      styles['translucent-light'].background = 'rgba(255,255,255,0.8)'
+
+      expect(WallpaperAnalyzer.analyzeColors(grey, { strategy: 'contrast', styles }).style).toBe('translucent-light')
+    })
+  })
+
+  describe('normalizeCriteria', () => {
+    it('accepts a bare threshold', () => {
+      const { styles, ...decision } = WallpaperAnalyzer.normalizeCriteria(0.4)
+
+      expect(decision).toEqual({
+        luminanceThreshold: 0.4,
+        strategy: 'threshold',
+        minContrastRatio: 4.5
+      })
+      expect(styles.light.foreground).toBe('rgba(0, 0, 0, 0.65)')
+    })
+
+    it('normalizes to itself', () => {
+      const decision = WallpaperAnalyzer.normalizeCriteria({ strategy: 'contrast', styles: { dark: { foreground: '#eee' } } })
+
+      expect(WallpaperAnalyzer.normalizeCriteria(decision)).toEqual(decision)
+    })
+
+    it('falls back to the threshold strategy', () => {
+      expect(WallpaperAnalyzer.normalizeCriteria({ strategy: 'bogus' }).strategy).toBe('threshold')
+    })
+  })
+})
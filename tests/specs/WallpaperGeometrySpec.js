@@ -0,0 +1,130 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it, expect } from '../harness.js'
+import { WallpaperGeometry } from '../../src/services/WallpaperGeometry.js'
+
+// A 32px panel across the top of a 1920x1080 monitor
+const PANEL = { x: 0, y: 0, width: 1920, height: 32 }
+
+function makeParams (pictureOptions, imageWidth, imageHeight, overrides = {}) {
+  return {
+    imageWidth,
+    imageHeight,
+    monitorX: 0,
+    monitorY: 0,
+    monitorWidth: 1920,
+    monitorHeight: 1080,
+    scaleFactor: 1,
+    pictureOptions,
+    spanArea: null,
+    ...overrides
+  }
+}
+
+describe('WallpaperGeometry', () => {
+  describe('zoom', () => {
+    it('maps the top rows of an image with the monitor aspect ratio', () => {
+      const rect = WallpaperGeometry.mapScreenRect(makeParams('zoom', 3840, 2160), PANEL)
+      expect(rect).toEqual({ x: 0, y: 0, width: 3840, height: 64 })
+    })
+
+    it('crops the top of a taller image', () => {
+      // 4:3 scaled by 1.2 to cover the width, 180px cut off above
+      const rect = WallpaperGeometry.mapScreenRect(makeParams('zoom', 1600, 1200), PANEL)
+      expect(rect).toEqual({ x: 0, y: 150, width: 1600, height: 27 })
+    })
+
+    it('samples the middle of a portrait image', () => {
+      const params = makeParams('zoom', 1000, 2000, { monitorWidth: 2000, monitorHeight: 1000 })
+      const rect = WallpaperGeometry.mapScreenRect(params, { x: 0, y: 0, width: 2000, height: 32 })
+      expect(rect).toEqual({ x: 0, y: 750, width: 1000, height: 16 })
+    })
+
+    it('crops the sides of a wider image', () => {
+      // 21:9 scaled by 0.5 to cover the height, 960px cut off on each side
+      const rect = WallpaperGeometry.mapScreenRect(makeParams('zoom', 5760, 2160), PANEL)
+      expect(rect).toEqual({ x: 960, y: 0, width: 3840, height: 64 })
+    })
+  })
+
+  describe('scaled', () => {
+    it('maps a pillarboxed image to its full width', () => {
+      // 4:3 scaled by 0.9, drawn from x = 240 to 1680
+      const rect = WallpaperGeometry.mapScreenRect(makeParams('scaled', 1600, 1200), PANEL)
+      expect(rect).toEqual({ x: 0, y: 0, width: 1600, height: 36 })
+    })
+
+    it('finds no image behind the panel when letterboxed', () => {
+      // 32:9 scaled by 0.5, drawn from y = 270
+      expect(WallpaperGeometry.mapScreenRect(makeParams('scaled', 3840, 1080), PANEL)).toBeNull()
+    })
+  })
+
+  describe('centered', () => {
+    it('maps the middle of a larger image', () => {
+      const rect = WallpaperGeometry.mapScreenRect(makeParams('centered', 3840, 2160), PANEL)
+      expect(rect).toEqual({ x: 960, y: 540, width: 1920, height: 32 })
+    })
+
+    it('finds no image behind the panel for a small image', () => {
+      expect(WallpaperGeometry.mapScreenRect(makeParams('centered', 800, 600), PANEL)).toBeNull()
+    })
+
+    it('draws one image pixel per physical pixel on scaled monitors', () => {
+      const params = makeParams('centered', 3840, 2160, { scaleFactor: 2 })
+      const rect = WallpaperGeometry.mapScreenRect(params, PANEL)
+      expect(rect).toEqual({ x: 0, y: 0, width: 3840, height: 64 })
+    })
+  })
+
+  describe('stretched', () => {
+    it('maps the top rows whatever the aspect ratio', () => {
+      const rect = WallpaperGeometry.mapScreenRect(makeParams('stretched', 1000, 1000), PANEL)
+      expect(rect).toEqual({ x: 0, y: 0, width: 1000, height: 30 })
+    })
+  })
+
+  describe('spanned', () => {
+    const spanArea = { x: 0, y: 0, width: 3840, height: 1080 }
+
+    it('maps each monitor to its part of the image', () => {
+      const left = WallpaperGeometry.mapScreenRect(makeParams('spanned', 3840, 1080, { spanArea }), PANEL)
+      const right = WallpaperGeometry.mapScreenRect(makeParams('spanned', 3840, 1080, { spanArea, monitorX: 1920 }), PANEL)
+
+      expect(left).toEqual({ x: 0, y: 0, width: 1920, height: 32 })
+      expect(right).toEqual({ x: 1920, y: 0, width: 1920, height: 32 })
+    })
+
+    it('zooms an image narrower than the span', () => {
+      // 16:9 over two monitors: scaled by 2, 540px cut off above
+      const params = makeParams('spanned', 1920, 1080, { spanArea, monitorX: 1920 })
+      const rect = WallpaperGeometry.mapScreenRect(params, PANEL)
+      expect(rect).toEqual({ x: 960, y: 270, width: 960, height: 16 })
+    })
+
+    it('spans the monitor alone without a span area', () => {
+      const rect = WallpaperGeometry.mapScreenRect(makeParams('spanned', 3840, 2160), PANEL)
+      expect(rect).toEqual({ x: 0, y: 0, width: 3840, height: 64 })
+    })
+  })
+
+  describe('wallpaper', () => {
+    it('maps the panel into the tile centered on the monitor', () => {
+      // Tiles start at y = 412 - 2 * 256, so the panel sits 100px into one
+      const rect = WallpaperGeometry.mapScreenRect(makeParams('wallpaper', 256, 256), PANEL)
+      expect(rect).toEqual({ x: 0, y: 100, width: 256, height: 32 })
+    })
+
+    it('takes the whole tile when the panel crosses a tile edge', () => {
+      // The centered tile starts at y = 8, under the panel
+      const rect = WallpaperGeometry.mapScreenRect(makeParams('wallpaper', 256, 1064), PANEL)
+      expect(rect).toEqual({ x: 0, y: 0, width: 256, height: 1064 })
+    })
+  })
+
+  it('finds no image without a picture', () => {
+    expect(WallpaperGeometry.mapScreenRect(makeParams('none', 1920, 1080), PANEL)).toBeNull()
+    expect(WallpaperGeometry.mapScreenRect(makeParams('zoom', 0, 0), PANEL)).toBeNull()
+  })
+})
@@ -0,0 +1,66 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import GLib from 'gi://GLib'
+
+import { describe, it, expect } from '../harness.js'
+import { WallpaperPins } from '../../src/services/WallpaperPins.js'
+
+const HASH = 'a'.repeat(64)
+
+describe('WallpaperPins', () => {
+  it('splits keys on the last #', () => {
+    const key = WallpaperPins.makeKey('/home/me/#1 wallpaper.png', HASH)
+
+    expect(WallpaperPins.parseKey(key)).toEqual({ path: '/home/me/#1 wallpaper.png', hash: HASH })
+    expect(WallpaperPins.parseKey('/home/me/wallpaper.png')).toBe(null)
+  })
+
+  it('reads the same path from every form of picture-uri', () => {
+    for (const uri of [
+      'file:///home/me/wallpaper.png',
+      'file://localhost/home/me/wallpaper.png',
+      'file:///home/me/photos/../wallpaper.png',
+      '/home/me/wallpaper.png',
+      '/home/me//photos/../wallpaper.png'
+    ]) {
+      expect(WallpaperPins.uriToPath(uri)).toBe('/home/me/wallpaper.png')
+    }
+
+    expect(WallpaperPins.uriToPath('file:///home/me/my%20wallpaper%231.png')).toBe('/home/me/my wallpaper#1.png')
+    expect(WallpaperPins.uriToPath('')).toBe(null)
+  })
+
+  it('drops malformed pins', () => {
+    const pins = WallpaperPins.normalize({
+      [`/a.png#${HASH}`]: 'light',
+      [`/b.png#${HASH}`]: 'sepia',
+      '/c.png#123': 'dark'
+    })
+
+    expect(pins).toEqual({ [`/a.png#${HASH}`]: 'light' })
+  })
+
+  it('identifies a file by its contents', async () => {
+    const dir = GLib.dir_make_tmp('nowa-pins-XXXXXX')
+    const path = GLib.build_filenamev([dir, 'wallpaper.png'])
+
+    try {
+      GLib.file_set_contents(path, 'first')
+
+      const first = await WallpaperPins.identify(path)
+      expect(WallpaperPins.parseKey(first)).toEqual({
+        path,
+        hash: GLib.compute_checksum_for_string(GLib.ChecksumType.SHA256, 'first', -1)
+      })
+      expect(await WallpaperPins.identify(path)).toBe(first)
+
+      GLib.file_set_contents(path, 'second!')
+
+      expect(await WallpaperPins.identify(path)).not.toBe(first)
+    } finally {
+      GLib.unlink(path)
+      GLib.rmdir(dir)
+    }
+  })
+})
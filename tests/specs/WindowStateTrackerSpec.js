@@ -0,0 +1,170 @@
+// SPDX-FileCopyrightText: Nowa Panel Contributors
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import Meta from 'gi://Meta'
+import * as Main from 'resource:///org/gnome/shell/ui/main.js'
+
+import { describe, it, expect, beforeEach, afterEach } from '../harness.js'
+import { WindowStateTracker } from '../../src/modules/WindowStateTracker.js'
+
+// The fake work area starts below a 32px panel
+const PANEL_BOTTOM = 32
+
+describe('WindowStateTracker', () => {
+  let tracker
+  let changes
+
+  const moveWindow = (window, y) => {
+    window.rect = { ...window.rect, y }
+    window.emit('position-changed')
+  }
+
+  const addWindow = (options = {}) => {
+    const window = new Main.FakeWindow(options)
+    global.display.addWindow(window)
+    return window
+  }
+
+  beforeEach(() => {
+    Main.reset()
+    changes = []
+    tracker = new WindowStateTracker((state, previousState) => changes.push([previousState, state]))
+  })
+
+  afterEach(() => {
+    if (tracker.enabled) {
+      tracker.disable()
+    }
+  })
+
+  it('picks up windows that exist before enable', () => {
+    const window = new Main.FakeWindow()
+    window.maximized = true
+    global.display.windows.push(window)
+
+    tracker.enable()
+
+    expect(tracker.state).toBe('maximized')
+    expect(changes).toEqual([])
+  })
+
+  it('follows a window being maximized and restored', () => {
+    tracker.enable()
+    const window = addWindow()
+    expect(tracker.state).toBe('none')
+
+    window.maximize()
+    window.unmaximize()
+
+    expect(changes).toEqual([['none', 'maximized'], ['maximized', 'none']])
+  })
+
+  it('reports windows touching the panel edge', () => {
+    tracker.enable()
+    const window = addWindow()
+
+    moveWindow(window, PANEL_BOTTOM + 2)
+    expect(tracker.state).toBe('edge')
+
+    moveWindow(window, PANEL_BOTTOM + 3)
+    expect(tracker.state).toBe('none')
+  })
+
+  it('reports the strongest state on the workspace', () => {
+    tracker.enable()
+    const edge = addWindow({ rect: { x: 0, y: PANEL_BOTTOM, width: 960, height: 1048 } })
+    const maximized = addWindow()
+    maximized.maximize()
+    expect(tracker.state).toBe('maximized')
+
+    const fullscreen = addWindow()
+    fullscreen.fullscreen = true
+    fullscreen.emit('notify::fullscreen')
+    expect(tracker.state).toBe('fullscreen')
+
+    global.display.removeWindow(fullscreen)
+    global.display.removeWindow(maximized)
+    expect(tracker.state).toBe('edge')
+
+    global.display.removeWindow(edge)
+    expect(changes).toEqual([
+      ['none', 'edge'],
+      ['edge', 'maximized'],
+      ['maximized', 'fullscreen'],
+      ['fullscreen', 'maximized'],
+      ['maximized', 'edge'],
+      ['edge', 'none']
+    ])
+  })
+
+  it('ignores minimized windows', () => {
+    tracker.enable()
+    const window = addWindow()
+    window.maximize()
+
+    window.minimized = true
+    window.emit('notify::minimized')
+
+    expect(tracker.state).toBe('none')
+  })
+
+  it('ignores dialogs and other monitors', () => {
+    const dialog = new Main.FakeWindow()
+    dialog.window_type = Meta.WindowType.DIALOG
+    dialog.maximized = true
+
+    const secondary = new Main.FakeWindow()
+    secondary.get_monitor = () => 1
+    secondary.maximized = true
+
+    tracker.enable()
+    global.display.addWindow(dialog)
+    global.display.addWindow(secondary)
+
+    expect(tracker.state).toBe('none')
+    expect(tracker.maximizedWindow).toBeNull()
+  })
+
+  it('prefers the focused maximized window', () => {
+    tracker.enable()
+    const bottom = addWindow()
+    const top = addWindow()
+    bottom.maximize()
+    top.maximize()
+
+    global.display.focus(bottom)
+    expect(tracker.maximizedWindow).toBe(bottom)
+
+    // Otherwise the top-most one
+    global.display.focus(addWindow())
+    expect(tracker.maximizedWindow).toBe(top)
+  })
+
+  it('stops tracking removed windows', () => {
+    tracker.enable()
+    const window = addWindow()
+    window.maximize()
+
+    global.display.removeWindow(window)
+
+    expect(tracker.state).toBe('none')
+    expect(window.handlerCount).toBe(0)
+  })
+
+  it('releases every handler on disable', () => {
+    tracker.enable()
+    const window = addWindow()
+    window.maximize()
+
+    tracker.disable()
+    window.unmaximize()
+
+    expect(tracker.state).toBe('none')
+    expect(changes).toEqual([['none', 'maximized']])
+    expect(window.handlerCount).toBe(0)
+    expect(global.display.handlerCount).toBe(0)
+    expect(global.workspace_manager.handlerCount).toBe(0)
+    expect(Main.layoutManager.handlerCount).toBe(0)
+    expect(tracker.trackedResources).toEqual({ signals: 0, sources: 0 })
+  })
+})